@@ -6,8 +6,13 @@ var cookieParser = require('cookie-parser');
 var bodyParser = require('body-parser');
 
 var routes = require('./routes/index');
-var users = require('./routes/users');
+var dashboards = require('./routes/dashboards');
 var data = require('./routes/data');
+var api = require('./routes/api');
+var grafana = require('./routes/grafana');
+var graphite = require('./routes/graphite');
+var metrics = require('./routes/metrics');
+var errors = require('./lib/errors');
 
 var app = express();
 
@@ -17,16 +22,27 @@ app.set('view engine', 'jade');
 
 // uncomment after placing your favicon in /public
 //app.use(favicon(__dirname + '/public/favicon.ico'));
-app.use(logger('dev'));
+// tests run quietly
+if (app.get('env') !== 'test') {
+    app.use(logger('dev'));
+}
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: false }));
 app.use(cookieParser());
 app.use(require('stylus').middleware(path.join(__dirname, 'public')));
+// the MetricSystem client is shared with the server, so it is served from lib
+app.get('/javascripts/metricsystem-client.js', function (req, res) {
+    res.sendFile(path.join(__dirname, 'lib', 'metricsystem.js'));
+});
 app.use(express.static(path.join(__dirname, 'public')));
 
 app.use('/', routes);
-app.use('/users', users);
+app.use('/dashboards', dashboards);
 app.use('/data', data);
+app.use('/api', api);
+app.use('/grafana', grafana);
+app.use('/render', graphite);
+app.use('/metrics', metrics);
 
 // catch 404 and forward to error handler
 app.use(function (req, res, next) {
@@ -35,6 +51,13 @@ app.use(function (req, res, next) {
     next(err);
 });
 
+// the data, API, dashboard, Grafana and Graphite routes answer errors with a JSON envelope rather than an error page
+app.use('/data', errors.handler);
+app.use('/api', errors.handler);
+app.use('/dashboards', errors.handler);
+app.use('/grafana', errors.handler);
+app.use('/render', errors.handler);
+
 // error handlers
 
 // development error handler
@@ -0,0 +1,71 @@
+﻿var metricsystem = require("./metricsystem");
+var bond = require("./bond");
+var config = require("./config");
+var registry = require("./registry");
+var errors = require("./errors");
+
+// Clients and tiered requests for the environments and machines picked by the callers of the MetricUX routes
+
+/* Error answered for an environment name the registry does not know, or null. An empty name is the default
+ * endpoint's environment. */
+function checkEnvironment(environmentName) {
+    if (!environmentName || registry.get().getEnvironment(environmentName)) {
+        return null;
+    }
+    return errors.create("Unknown environment: " + environmentName, 404);
+}
+
+/* Client for the server backing an environment, falling back to the default endpoint. With bondResponses set it
+ * reads info, query and batch responses in Bond compact binary. */
+function getClient(environmentName) {
+    var settings = config.get();
+    var environment = registry.get().getEnvironment(environmentName);
+    return new metricsystem.Client(environment ? environment.endpoint : settings.endpoint,
+        { timeout: settings.fanoutTimeout, log: settings.logBackendRequests, transport: settings.bondResponses ? bond.transport : null });
+}
+
+/* Whether the registry lists a machine ("host[:port]" or a ServerInfo object) for an environment. Requests only go to
+ * such machines, so callers cannot have MetricUX or MetricSystem reach arbitrary hosts. */
+function isKnownMachine(environmentName, machine) {
+    var server = metricsystem.parseServerInfo(machine);
+    return (registry.get().getServers(environmentName) || []).some(function (known) {
+        return known.Hostname.toLowerCase() === String(server.Hostname).toLowerCase() && known.Port === server.Port;
+    });
+}
+
+/* Client for a single machine ("host[:port]") of an environment, for commands such as /write which are not fanned
+ * out. Null unless it is a known machine of that environment (see isKnownMachine). */
+function getMachineClient(environmentName, machineName) {
+    var settings = config.get();
+    var server = metricsystem.parseServerInfo(machineName);
+    if (!isKnownMachine(environmentName, server)) {
+        return null;
+    }
+    return new metricsystem.Client("http://" + server.Hostname + ":" + server.Port,
+        { timeout: settings.fanoutTimeout, log: settings.logBackendRequests });
+}
+
+/* Whether the request asked for per-machine diagnostics (form posts send "true") */
+function wantsDiagnostics(body) {
+    return body.diagnostics === true || body.diagnostics === "true";
+}
+
+/* Builds the tiered request for the machines picked in the UI, or for every known machine in the environment */
+function getTieredRequest(body) {
+    var settings = config.get();
+    var sources = body.machineName || registry.get().getServers(body.environmentName);
+    return metricsystem.createTieredRequest(sources, {
+        timeout: body.timeoutValue || settings.fanoutTimeout,
+        maxFanout: settings.maxFanout,
+        includeRequestDiagnostics: settings.includeRequestDiagnostics || wantsDiagnostics(body)
+    });
+}
+
+module.exports = {
+    checkEnvironment: checkEnvironment,
+    getClient: getClient,
+    isKnownMachine: isKnownMachine,
+    getMachineClient: getMachineClient,
+    wantsDiagnostics: wantsDiagnostics,
+    getTieredRequest: getTieredRequest
+};
@@ -0,0 +1,373 @@
+﻿// Decoding of the Bond compact-binary (version 1) responses of MetricSystem servers. Servers answer info, query and
+// batch commands in bond/compact-binary when asked to, which is smaller and quicker to parse than Bond's JSON for
+// large fan-outs. The decoded responses are plain JSON: maps become objects, sets become lists and nullable values
+// are either the value or null, so no Bond peculiarities reach the browser. The schemas are those of src/Schemas.
+
+var request = require("request");
+
+var contentType = "bond/compact-binary";
+
+// Bond data type ids
+var BT_STOP = 0;
+var BT_STOP_BASE = 1;
+var BT_BOOL = 2;
+var BT_UINT8 = 3;
+var BT_UINT16 = 4;
+var BT_UINT32 = 5;
+var BT_UINT64 = 6;
+var BT_FLOAT = 7;
+var BT_DOUBLE = 8;
+var BT_STRING = 9;
+var BT_STRUCT = 10;
+var BT_LIST = 11;
+var BT_SET = 12;
+var BT_MAP = 13;
+var BT_INT8 = 14;
+var BT_INT16 = 15;
+var BT_INT32 = 16;
+var BT_INT64 = 17;
+var BT_WSTRING = 18;
+
+// Each schema lists its base schema and its fields by id as { name, value (the default), schema (of the structs the
+// field holds), nullable }. Fields left at their default are not always serialized.
+var ServerInfo = {
+    base: null,
+    fields: {
+        1: { name: "Hostname", value: "" },
+        2: { name: "Port", value: 0 },
+        3: { name: "MachineFunction", value: "" },
+        4: { name: "Datacenter", value: "" }
+    }
+};
+
+var RequestDetails = {
+    base: null,
+    fields: {
+        1: { name: "Server", value: {}, schema: ServerInfo },
+        2: { name: "Status", value: 0 },
+        3: { name: "StatusDescription", value: "" },
+        4: { name: "HttpResponseCode", value: 0 },
+        5: { name: "IsAggregator", value: false }
+    }
+};
+
+var MetricSystemResponse = { base: null, fields: {} };
+
+var TieredResponse = {
+    base: MetricSystemResponse,
+    fields: {
+        1: { name: "RequestDetails", value: [], schema: RequestDetails }
+    }
+};
+
+var CounterInfo = {
+    base: null,
+    fields: {
+        1: { name: "Name", value: "" },
+        2: { name: "Type", value: 2 },
+        3: { name: "StartTime", value: 0 },
+        4: { name: "EndTime", value: 0 },
+        5: { name: "Dimensions", value: [] },
+        6: { name: "DimensionValues", value: null, nullable: true }
+    }
+};
+
+var CounterInfoResponse = {
+    base: TieredResponse,
+    fields: {
+        1: { name: "Counters", value: [], schema: CounterInfo }
+    }
+};
+
+var DataSample = {
+    base: null,
+    fields: {
+        1: { name: "Name", value: "" },
+        2: { name: "Dimensions", value: {} },
+        3: { name: "StartTime", value: 0 },
+        4: { name: "EndTime", value: 0 },
+        5: { name: "SampleType", value: 0 },
+        10: { name: "HitCount", value: 0 },
+        11: { name: "Histogram", value: {} },
+        12: { name: "SampleCount", value: 0 },
+        13: { name: "Average", value: 0 },
+        14: { name: "Percentile", value: 0 },
+        15: { name: "PercentileValue", value: 0 },
+        16: { name: "MinValue", value: 0 },
+        17: { name: "MaxValue", value: 0 },
+        100: { name: "MachineCount", value: 0 }
+    }
+};
+
+var CounterQueryResponse = {
+    base: TieredResponse,
+    fields: {
+        1: { name: "UserContext", value: "" },
+        2: { name: "HttpResponseCode", value: 0 },
+        3: { name: "ErrorMessage", value: "" },
+        4: { name: "Samples", value: null, schema: DataSample, nullable: true }
+    }
+};
+
+var BatchQueryResponse = {
+    base: TieredResponse,
+    fields: {
+        1: { name: "Responses", value: [], schema: CounterQueryResponse }
+    }
+};
+
+var schemas = {
+    CounterInfoResponse: CounterInfoResponse,
+    CounterQueryResponse: CounterQueryResponse,
+    BatchQueryResponse: BatchQueryResponse
+};
+
+// The response schema of each command MetricUX asks for in compact binary
+var responseSchemas = [
+    [/^\/counters\/.+\/info$/, CounterInfoResponse],
+    [/^\/counters\/.+\/query$/, CounterQueryResponse],
+    [/^\/batch$/, BatchQueryResponse]
+];
+
+/* A struct as read from the wire: the fields of each level of its hierarchy by id, from the base down */
+function Struct(levels) {
+    this.levels = levels;
+}
+
+/* Reads compact-binary values from a buffer */
+function Reader(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+}
+
+Reader.prototype.readByte = function () {
+    if (this.offset >= this.buffer.length) {
+        throw new Error("Unexpected end of data at offset " + this.offset);
+    }
+    return this.buffer[this.offset++];
+};
+
+/* Unsigned LEB128 variable length integer. Values past 2^53 lose precision like any JavaScript number. */
+Reader.prototype.readVarint = function () {
+    var value = 0;
+    var scale = 1;
+    var b;
+    do {
+        b = this.readByte();
+        value += (b & 0x7f) * scale;
+        scale *= 128;
+    } while (b & 0x80);
+    return value;
+};
+
+/* Signed integers are zigzag encoded varints */
+Reader.prototype.readZigzag = function () {
+    var value = this.readVarint();
+    return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+};
+
+Reader.prototype.readBytes = function (length) {
+    if (this.offset + length > this.buffer.length) {
+        throw new Error("Unexpected end of data at offset " + this.offset);
+    }
+    var start = this.offset;
+    this.offset += length;
+    return this.buffer.slice(start, this.offset);
+};
+
+Reader.prototype.readValue = function (type) {
+    var value;
+    switch (type) {
+        case BT_BOOL:
+            return this.readByte() !== 0;
+        case BT_UINT8:
+            return this.readByte();
+        case BT_INT8:
+            value = this.readByte();
+            return value > 127 ? value - 256 : value;
+        case BT_UINT16:
+        case BT_UINT32:
+        case BT_UINT64:
+            return this.readVarint();
+        case BT_INT16:
+        case BT_INT32:
+        case BT_INT64:
+            return this.readZigzag();
+        case BT_FLOAT:
+            return this.readBytes(4).readFloatLE(0);
+        case BT_DOUBLE:
+            return this.readBytes(8).readDoubleLE(0);
+        case BT_STRING:
+            return this.readBytes(this.readVarint()).toString("utf8");
+        case BT_WSTRING:
+            return this.readBytes(this.readVarint() * 2).toString("utf16le");
+        case BT_STRUCT:
+            return this.readStruct();
+        case BT_LIST:
+        case BT_SET:
+            var elementType = this.readByte() & 0x1f;
+            var list = [];
+            for (var count = this.readVarint(); count > 0; count--) {
+                list.push(this.readValue(elementType));
+            }
+            return list;
+        case BT_MAP:
+            var keyType = this.readByte() & 0x1f;
+            var valueType = this.readByte() & 0x1f;
+            var map = {};
+            for (var entries = this.readVarint(); entries > 0; entries--) {
+                var key = this.readValue(keyType);
+                map[key] = this.readValue(valueType);
+            }
+            return map;
+        default:
+            throw new Error("Unknown Bond type " + type + " at offset " + (this.offset - 1));
+    }
+};
+
+/* Reads the fields of a struct up to BT_STOP, starting a new level at each BT_STOP_BASE */
+Reader.prototype.readStruct = function () {
+    var levels = [];
+    var fields = {};
+    for (;;) {
+        var header = this.readByte();
+        var type = header & 0x1f;
+        var id = header >> 5;
+        if (id === 6) {
+            id = this.readByte();
+        }
+        else if (id === 7) {
+            id = this.readByte() | (this.readByte() << 8);
+        }
+
+        if (type === BT_STOP || type === BT_STOP_BASE) {
+            levels.push(fields);
+            if (type === BT_STOP) {
+                return new Struct(levels);
+            }
+            fields = {};
+        }
+        else {
+            fields[id] = this.readValue(type);
+        }
+    }
+};
+
+/* Fresh copy of a field default, so decoded objects never share a list or map */
+function getDefault(value) {
+    if (Array.isArray(value)) {
+        return [];
+    }
+    return value !== null && typeof value === "object" ? {} : value;
+}
+
+/* Converts a value read from the wire into plain JSON, using schema for the structs it holds */
+function toJson(value, schema) {
+    if (value instanceof Struct) {
+        return structToJson(value, schema);
+    }
+    if (Array.isArray(value)) {
+        return value.map(function (element) { return toJson(element, schema); });
+    }
+    if (value !== null && typeof value === "object") {
+        var map = {};
+        Object.keys(value).forEach(function (key) {
+            map[key] = toJson(value[key], schema);
+        });
+        return map;
+    }
+    return value;
+}
+
+function structToJson(struct, schema) {
+    var hierarchy = [];
+    for (var level = schema; level; level = level.base) {
+        hierarchy.unshift(level);
+    }
+
+    // Line the levels read up with the schemas from the most derived one, in case empty bases were left out
+    var result = {};
+    hierarchy.forEach(function (levelSchema, index) {
+        var fields = struct.levels[struct.levels.length - hierarchy.length + index] || {};
+        Object.keys(levelSchema.fields).forEach(function (id) {
+            var field = levelSchema.fields[id];
+            if (!fields.hasOwnProperty(id)) {
+                result[field.name] = getDefault(field.value);
+                return;
+            }
+
+            var value = toJson(fields[id], field.schema || null);
+            if (field.nullable) {
+                value = Array.isArray(value) && value.length > 0 ? value[0] : null;
+            }
+            result[field.name] = value;
+        });
+    });
+    return result;
+}
+
+function read(buffer, schema) {
+    return structToJson(new Reader(buffer).readStruct(), schema);
+}
+
+/* Decodes a compact-binary buffer holding a struct of the named schema (CounterInfoResponse, CounterQueryResponse or
+ * BatchQueryResponse) into plain JSON. Throws on malformed data. */
+function decode(buffer, schemaName) {
+    if (!schemas[schemaName]) {
+        throw new Error("Unknown schema: " + schemaName);
+    }
+    return read(buffer, schemas[schemaName]);
+}
+
+function getResponseSchema(url) {
+    var path = url.replace(/^[a-z]+:\/\/[^\/]+/i, "").split("?")[0];
+    for (var i = 0; i < responseSchemas.length; i++) {
+        if (responseSchemas[i][0].test(path)) {
+            return responseSchemas[i][1];
+        }
+    }
+    return null;
+}
+
+/* Transport for metricsystem.Client (see lib/metricsystem.js) which asks for compact binary where MetricUX can
+ * decode it and falls back to JSON otherwise. Responses which cannot be decoded are answered as a 502 failure. */
+function transport(options, callback) {
+    var schema = getResponseSchema(options.url);
+    var requestOptions = {
+        url: options.url,
+        method: options.method,
+        headers: { Accept: schema ? contentType : "application/json" },
+        timeout: options.timeout,
+        encoding: null
+    };
+    if (options.body) {
+        requestOptions.headers["Content-Type"] = "application/json";
+        requestOptions.body = JSON.stringify(options.body);
+    }
+
+    request(requestOptions, function (error, response, body) {
+        if (error) {
+            return callback(error);
+        }
+
+        var type = String(response.headers["content-type"] || "").split(";")[0].trim();
+        if (!schema || type !== contentType) {
+            return callback(null, response.statusCode, body ? body.toString("utf8") : "");
+        }
+
+        var decoded;
+        try {
+            decoded = read(body, schema);
+        }
+        catch (decodeError) {
+            return callback(null, 502, "Unable to decode the " + contentType + " response of " + options.url + ": " + decodeError.message);
+        }
+        callback(null, response.statusCode, decoded);
+    });
+}
+
+module.exports = {
+    ContentType: contentType,
+    decode: decode,
+    transport: transport
+};
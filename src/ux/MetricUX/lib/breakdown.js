@@ -0,0 +1,143 @@
+﻿var metricsystem = require("./metricsystem");
+var commands = require("./commands");
+var errors = require("./errors");
+
+// Queries a counter on each machine of an environment on its own and compares the machines with each other. Each
+// machine is summarized by the average of its points and scored by its distance from the fleet median in median
+// absolute deviations (a "modified z-score"), which a few bad machines cannot drag along the way a mean would.
+
+// Machines queried at the same time
+var parallelQueries = 10;
+
+// Modified z-score above which a machine is an outlier (Iglewicz and Hoaglin)
+var outlierScore = 3.5;
+
+function median(values) {
+    var sorted = values.slice().sort(function (a, b) { return a - b; });
+    if (sorted.length === 0) {
+        return null;
+    }
+    var middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/* Average of the values of a machine's points, or null if it has none */
+function summarize(values) {
+    if (values.length === 0) {
+        return null;
+    }
+
+    var total = 0;
+    values.forEach(function (value) {
+        total += value.ChartValue || 0;
+    });
+    return total / values.length;
+}
+
+/* Scores each machine with a summary value ({ Value }) against the fleet median. Falls back to the mean absolute
+ * deviation when more than half the machines share the median value. */
+function score(machines) {
+    var values = machines.filter(function (machine) { return machine.Value !== null; }).map(function (machine) { return machine.Value; });
+    var center = median(values);
+    var deviations = values.map(function (value) { return Math.abs(value - center); });
+    var spread = median(deviations) / 0.6745;
+    if (!spread) {
+        var total = 0;
+        deviations.forEach(function (deviation) {
+            total += deviation;
+        });
+        spread = deviations.length > 0 ? total / deviations.length * 1.2533 : 0;
+    }
+
+    machines.forEach(function (machine) {
+        if (machine.Value === null) {
+            return;
+        }
+        machine.Deviation = machine.Value - center;
+        machine.RelativeDeviation = center !== 0 ? machine.Deviation / Math.abs(center) : null;
+        machine.Score = spread ? machine.Deviation / spread : 0;
+        machine.IsOutlier = Math.abs(machine.Score) > outlierScore;
+    });
+    return center;
+}
+
+/* Ranks machines by how far they are from the median; machines without data or which failed come last */
+function rank(machines) {
+    return machines.sort(function (a, b) {
+        if ((a.Score === undefined) !== (b.Score === undefined)) {
+            return a.Score === undefined ? 1 : -1;
+        }
+        return Math.abs(b.Score || 0) - Math.abs(a.Score || 0) || a.Machine.localeCompare(b.Machine);
+    });
+}
+
+/* Calls fn(item, done) for every item, at most limit at a time, then calls back */
+function forEachLimited(items, limit, fn, callback) {
+    var next = 0;
+    var running = 0;
+    var finished = 0;
+    if (items.length === 0) {
+        return callback();
+    }
+
+    var start = function () {
+        while (running < limit && next < items.length) {
+            running++;
+            fn(items[next++], function () {
+                running--;
+                if (++finished === items.length) {
+                    return callback();
+                }
+                start();
+            });
+        }
+    };
+    start();
+}
+
+/* Queries a counter ({ counterName, queryParameters }) on each machine (ServerInfo objects) through client with a
+ * tiered request for that machine alone. Calls back with { Median, Machines: [{ Machine, Value, Deviation,
+ * RelativeDeviation, Score, IsOutlier, Points }] } ranked by deviation; machines whose query failed carry the error
+ * envelope (see errors.js) instead. */
+function query(client, machines, command, options, callback) {
+    if (machines.length === 0) {
+        return callback(errors.create("No machines to break down.", 400));
+    }
+
+    var results = [];
+    forEachLimited(machines, parallelQueries, function (server, done) {
+        var machine = { Machine: server.Hostname + ":" + server.Port, Value: null, Points: [] };
+        results.push(machine);
+
+        commands.execute(client, {
+            queryCommand: "query",
+            counterName: command.counterName,
+            queryParameters: command.queryParameters,
+            tieredRequest: metricsystem.createTieredRequest([server], options)
+        }, function (error, values) {
+            if (error) {
+                // A machine without the counter or without data in range is not a failure
+                if (error.status !== 404) {
+                    machine.Error = errors.toEnvelope(error);
+                }
+            }
+            else {
+                machine.Value = summarize(values);
+                machine.Points = values.map(function (value) {
+                    return [parseInt(value.EndTime.substr(6), 10), value.ChartValue];
+                });
+            }
+            done();
+        });
+    }, function () {
+        var center = score(results);
+        callback(null, { Median: center, Machines: rank(results) });
+    });
+}
+
+module.exports = {
+    median: median,
+    score: score,
+    rank: rank,
+    query: query
+};
@@ -0,0 +1,323 @@
+﻿var commands = require("./commands");
+var backend = require("./backend");
+var registry = require("./registry");
+var errors = require("./errors");
+
+// The metricux command line tool (bin/metricux). It runs the same commands as the data routes, against the
+// environments and machines of the application configuration, and prints the result as a table, CSV, JSON or
+// sparklines.
+
+var usage = [
+    "Usage: metricux <command> [options]",
+    "",
+    "Commands:",
+    "  list [pattern]               counters matching a pattern (default /*)",
+    "  dimensions <counter>         dimensions of a counter",
+    "  values <counter> <dimension> values of a dimension",
+    "  query <counter>              values of a counter over a time range",
+    "",
+    "Options:",
+    "  -e, --environment <name>     environment to query (default: the configured endpoint)",
+    "  -m, --machines <host[:port],...>",
+    "                               machines to query instead of the whole environment",
+    "  -s, --start <time>           start of the range, e.g. now-6h or 2016-10-31T06:00Z (default now-1h)",
+    "  -E, --end <time>             end of the range (default now)",
+    "  -f, --filter <dim=value>     dimension filter; repeat for several",
+    "  -p, --percentile <p>         percentile(s) of a histogram counter, e.g. 99 or 50,5-95",
+    "  -b, --split-by <dimension>   a series per value of a dimension",
+    "  -a, --aggregate              a single value for the whole range",
+    "  -t, --timeout <ms>           fan-out timeout",
+    "  -o, --format <format>        table (default), csv, json or sparkline",
+    "  -h, --help                   show this help"
+].join("\n");
+
+var options = {
+    "-e": "environment", "--environment": "environment",
+    "-m": "machines", "--machines": "machines",
+    "-s": "start", "--start": "start",
+    "-E": "end", "--end": "end",
+    "-f": "filter", "--filter": "filter",
+    "-p": "percentile", "--percentile": "percentile",
+    "-b": "splitBy", "--split-by": "splitBy",
+    "-t": "timeout", "--timeout": "timeout",
+    "-o": "format", "--format": "format"
+};
+
+var flags = {
+    "-a": "aggregate", "--aggregate": "aggregate",
+    "-h": "help", "--help": "help"
+};
+
+var formats = ["table", "csv", "json", "sparkline"];
+
+// Characters of the sparklines, from the lowest value to the highest
+var sparkCharacters = "_.-~=+*#";
+
+/* Parses the command line arguments (without "node" and the script) into { command, args, options }. Throws a
+ * request error (see errors.js) when they are malformed. */
+function parseArguments(argv) {
+    var parsed = { command: null, args: [], options: { filters: {}, format: "table", start: "now-1h", end: "now" } };
+
+    for (var i = 0; i < argv.length; i++) {
+        var arg = argv[i];
+        var value = null;
+        var equals = arg.indexOf("=");
+        if (arg.substr(0, 2) === "--" && equals > 0) {
+            value = arg.substr(equals + 1);
+            arg = arg.substr(0, equals);
+        }
+
+        if (flags[arg]) {
+            parsed.options[flags[arg]] = true;
+        }
+        else if (options[arg]) {
+            if (value === null) {
+                if (i + 1 >= argv.length) {
+                    throw errors.create("Missing value for " + arg + ".", 400);
+                }
+                value = argv[++i];
+            }
+
+            if (options[arg] === "filter") {
+                var parts = value.split("=");
+                if (parts.length < 2 || parts[0] === "") {
+                    throw errors.create("Filters are written dimension=value: " + value, 400);
+                }
+                parsed.options.filters[parts[0]] = parts.slice(1).join("=");
+            }
+            else {
+                parsed.options[options[arg]] = value;
+            }
+        }
+        else if (arg[0] === "-" && arg.length > 1) {
+            throw errors.create("Unknown option: " + arg, 400);
+        }
+        else if (parsed.command === null) {
+            parsed.command = arg;
+        }
+        else {
+            parsed.args.push(arg);
+        }
+    }
+
+    if (formats.indexOf(parsed.options.format) < 0) {
+        throw errors.create("Unknown format: " + parsed.options.format + ". Use " + formats.join(", ") + ".", 400);
+    }
+    return parsed;
+}
+
+/* The query parameters of a query command: filters, percentile, split dimension, aggregation and time range */
+function getQueryParameters(options) {
+    var queryParameters = {};
+    Object.keys(options.filters).forEach(function (key) {
+        queryParameters[key] = options.filters[key];
+    });
+    if (options.percentile) {
+        queryParameters.percentile = options.percentile;
+    }
+    if (options.splitBy) {
+        queryParameters.dimension = options.splitBy;
+    }
+    if (options.aggregate) {
+        queryParameters.aggregate = "true";
+    }
+    queryParameters.start = options.start;
+    queryParameters.end = options.end;
+    return queryParameters;
+}
+
+/* Turns the samples of a query into rows of { Series, Time, Value, MachineCount }, one per value for queries of
+ * several percentiles */
+function toRows(counterName, samples, percentile) {
+    var rows = [];
+    samples.forEach(function (sample) {
+        var series = sample.DimensionVal !== "" ? sample.DimensionVal : counterName;
+        var time = new Date(parseInt(sample.EndTime.substr(6), 10)).toISOString();
+        if (sample.PercentileValues) {
+            percentile.split(",").forEach(function (band) {
+                band.split("-").forEach(function (value) {
+                    value = value.trim();
+                    rows.push({ Series: series + " p" + value, Time: time, Value: sample.PercentileValues[value], MachineCount: sample.MachineCount });
+                });
+            });
+        }
+        else {
+            rows.push({ Series: series, Time: time, Value: sample.ChartValue, MachineCount: sample.MachineCount });
+        }
+    });
+    return rows;
+}
+
+function formatNumber(value) {
+    if (value === null || value === undefined) {
+        return "";
+    }
+    return String(Math.round(value * 1000) / 1000);
+}
+
+/* Lines of a table with a header and columns padded to their widest cell; numeric columns align right */
+function formatTable(header, rows, numeric) {
+    var widths = header.map(function (title, column) {
+        return Math.max.apply(null, [title.length].concat(rows.map(function (row) { return row[column].length; })));
+    });
+    var formatRow = function (row) {
+        return row.map(function (cell, column) {
+            var padding = new Array(widths[column] - cell.length + 1).join(" ");
+            return numeric[column] ? padding + cell : cell + padding;
+        }).join("  ").replace(/\s+$/, "");
+    };
+
+    return [formatRow(header), formatRow(widths.map(function (width) { return new Array(width + 1).join("-"); }))]
+        .concat(rows.map(formatRow));
+}
+
+function escapeCsv(value) {
+    return /[",\r\n]/.test(value) ? "\"" + value.replace(/"/g, "\"\"") + "\"" : value;
+}
+
+/* A sparkline of values scaled between the lowest and highest of them */
+function getSparkline(values) {
+    var present = values.filter(function (value) { return value !== null && value !== undefined; });
+    var min = Math.min.apply(null, present);
+    var max = Math.max.apply(null, present);
+    return values.map(function (value) {
+        if (value === null || value === undefined) {
+            return " ";
+        }
+        var level = max > min ? Math.round((value - min) / (max - min) * (sparkCharacters.length - 1)) : 0;
+        return sparkCharacters[level];
+    }).join("");
+}
+
+/* Lines printing a list of names (counters, dimensions or values) */
+function formatList(values, format) {
+    if (format === "json") {
+        return [JSON.stringify(values, null, 2)];
+    }
+    return values.map(function (value) { return format === "csv" ? escapeCsv(value) : value; });
+}
+
+/* Lines printing the rows of a query */
+function formatRows(rows, format) {
+    switch (format) {
+        case "json":
+            return [JSON.stringify(rows, null, 2)];
+        case "csv":
+            return ["Series,Time,Value,MachineCount"].concat(rows.map(function (row) {
+                return [escapeCsv(row.Series), row.Time, formatNumber(row.Value), row.MachineCount].join(",");
+            }));
+        case "sparkline":
+            var series = {};
+            var names = [];
+            rows.forEach(function (row) {
+                if (!series[row.Series]) {
+                    series[row.Series] = [];
+                    names.push(row.Series);
+                }
+                series[row.Series].push(row.Value);
+            });
+            return formatTable(["Series", "Trend", "Min", "Max", "Last"], names.map(function (name) {
+                var values = series[name];
+                var present = values.filter(function (value) { return value !== null && value !== undefined; });
+                var hasValues = present.length > 0;
+                return [name, getSparkline(values), formatNumber(hasValues ? Math.min.apply(null, present) : null),
+                    formatNumber(hasValues ? Math.max.apply(null, present) : null), formatNumber(values[values.length - 1])];
+            }), [false, false, true, true, true]);
+        default:
+            return formatTable(["Series", "Time", "Value", "Machines"], rows.map(function (row) {
+                return [row.Series, row.Time, formatNumber(row.Value), String(row.MachineCount)];
+            }), [false, false, true, true]);
+    }
+}
+
+/* Message printed for an error, like the error messages of the UI */
+function describeError(error) {
+    var envelope = errors.toEnvelope(error);
+    if (envelope.ErrorType === "upstream") {
+        return "MetricSystem returned " + envelope.HttpResponseCode + ": " + envelope.ErrorMessage;
+    }
+    return envelope.ErrorMessage;
+}
+
+/* Runs a command against the configured environments and calls back with the lines to print */
+function execute(parsed, callback) {
+    var options = parsed.options;
+    var command = { counterName: parsed.args[0], queryParameters: {} };
+    var format = function (result) { return formatList(result, options.format); };
+
+    switch (parsed.command) {
+        case "list":
+            command.queryCommand = "list";
+            command.counterName = parsed.args[0] || "/*";
+            break;
+        case "dimensions":
+            command.queryCommand = "listDimensions";
+            break;
+        case "values":
+            command.queryCommand = "listDimensionValues";
+            command.queryParameters = { dimension: parsed.args[1] };
+            if (!parsed.args[1]) {
+                return callback(errors.create("values needs a counter and a dimension.", 400));
+            }
+            break;
+        case "query":
+            command.queryCommand = "query";
+            command.queryParameters = getQueryParameters(options);
+            format = function (samples) {
+                return formatRows(toRows(command.counterName, samples, options.percentile || ""), options.format);
+            };
+            break;
+        default:
+            return callback(errors.create(parsed.command ? "Unknown command: " + parsed.command : "No command given.", 400));
+    }
+    if (!command.counterName) {
+        return callback(errors.create(parsed.command + " needs a counter.", 400));
+    }
+
+    var request = { environmentName: options.environment || "", machineName: options.machines, timeoutValue: options.timeout };
+    command.tieredRequest = backend.getTieredRequest(request);
+    commands.execute(backend.getClient(request.environmentName), command, function (error, result) {
+        callback(error, error ? null : format(result));
+    });
+}
+
+/* Runs the tool with command line arguments, printing to output. Calls back with the exit code. */
+function run(argv, output, callback) {
+    var parsed;
+    try {
+        parsed = parseArguments(argv);
+    }
+    catch (error) {
+        output.error(error.message + "\n\n" + usage);
+        return callback(2);
+    }
+    if (parsed.options.help || parsed.command === null) {
+        output.log(usage);
+        return callback(parsed.options.help ? 0 : 2);
+    }
+
+    // Environments whose machines come from /listServers need them before a query fans out
+    var environments = registry.get();
+    var refresh = parsed.options.environment && !parsed.options.machines ?
+        environments.refresh.bind(environments) : function (done) { done(null); };
+    refresh(function (refreshError) {
+        if (refreshError) {
+            output.error(refreshError.message);
+        }
+
+        execute(parsed, function (error, lines) {
+            if (error) {
+                output.error(describeError(error));
+                return callback(errors.toEnvelope(error).ErrorType === "request" ? 2 : 1);
+            }
+            output.log(lines.join("\n"));
+            callback(0);
+        });
+    });
+}
+
+module.exports = {
+    parseArguments: parseArguments,
+    getSparkline: getSparkline,
+    run: run
+};
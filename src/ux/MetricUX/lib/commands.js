@@ -0,0 +1,205 @@
+﻿var querystring = require("querystring");
+var metricsystem = require("./metricsystem");
+var errors = require("./errors");
+
+// Translates the queryCommand values sent by the front end into MetricSystem REST calls and shapes the
+// responses the way the front end expects them.
+
+/* Turns "now", "today" and "yesterday" with an optional offset ("now-6h", "today+9h") and "N units ago" into
+ * ISO 8601 timestamps; anything else is passed through */
+function normalizeTime(value, now) {
+    var time = metricsystem.parseRelativeTime(value, now || Date.now());
+    return time !== null ? new Date(time).toISOString() : value;
+}
+
+/* Parses the queryParameters string sent by the front end, dropping empty entries */
+function parseQueryParameters(queryParameters) {
+    var parsed = typeof queryParameters === "object" ? queryParameters : querystring.parse(queryParameters || "");
+    var result = {};
+
+    Object.keys(parsed).forEach(function (key) {
+        var value = parsed[key];
+        if (Array.isArray(value)) {
+            value = value[value.length - 1];
+        }
+        if (key === "" || value === undefined || value === null || value === "") {
+            return;
+        }
+        if (key === "start" || key === "end") {
+            value = normalizeTime(value);
+        }
+        result[key] = value;
+    });
+
+    return result;
+}
+
+function toLegacyDate(timestamp) {
+    return "/Date(" + timestamp + ")/";
+}
+
+/* Parses a percentile parameter listing several percentiles and bands ("50,99,5-95") into the distinct
+ * percentiles it needs. Returns null for a single percentile, which MetricSystem computes itself. */
+function parsePercentiles(value) {
+    if (!value || !/[,\-]/.test(value)) {
+        return null;
+    }
+
+    var percentiles = [];
+    value.split(",").forEach(function (part) {
+        part.split("-").forEach(function (percentile) {
+            percentile = percentile.trim();
+            if (percentile !== "" && percentiles.indexOf(percentile) < 0) {
+                percentiles.push(percentile);
+            }
+        });
+    });
+    return percentiles;
+}
+
+/* Removes a multiple percentile parameter from queryParameters so the raw histograms are queried instead */
+function takePercentiles(queryParameters) {
+    var percentiles = parsePercentiles(queryParameters.percentile);
+    if (percentiles) {
+        delete queryParameters.percentile;
+    }
+    return percentiles;
+}
+
+/* Shapes a DataSample the way the front end plots it */
+function toLegacySample(sample, splitDimension, percentiles) {
+    var legacySample = {
+        StartTime: toLegacyDate(sample.StartTime),
+        EndTime: toLegacyDate(sample.EndTime),
+        ChartValue: metricsystem.getChartValue(sample),
+        MachineCount: sample.MachineCount || 0,
+        DimensionVal: splitDimension ? (sample.Dimensions[splitDimension] || "") : "",
+        SampleType: sample.SampleType
+    };
+    if (sample.SampleType === 2) {
+        legacySample.Histogram = metricsystem.getHistogramBuckets(sample);
+        if (percentiles) {
+            legacySample.PercentileValues = {};
+            percentiles.forEach(function (percentile) {
+                legacySample.PercentileValues[percentile] = metricsystem.getPercentileValue(legacySample.Histogram, percentile);
+            });
+        }
+    }
+    return legacySample;
+}
+
+/* Shapes DataSample objects for the front end, ordered by time */
+function toLegacySamples(samples, splitDimension, percentiles) {
+    return samples.slice().sort(function (a, b) { return a.EndTime - b.EndTime; }).map(function (sample) {
+        return toLegacySample(sample, splitDimension, percentiles);
+    });
+}
+
+function list(client, command, callback) {
+    client.listCounters(command.counterName, command.queryParameters, command.tieredRequest, callback);
+}
+
+function listDimensions(client, command, callback) {
+    client.listDimensions(command.counterName, command.queryParameters, command.tieredRequest, callback);
+}
+
+function listDimensionValues(client, command, callback) {
+    var dimension = command.queryParameters.dimension;
+    if (!dimension) {
+        return callback(errors.create("The dimension parameter is required.", 400));
+    }
+
+    client.listDimensionValues(command.counterName, dimension, command.queryParameters, command.tieredRequest, callback);
+}
+
+/* Calls back with the samples and the RequestDetails of the machines queried */
+function query(client, command, callback) {
+    var percentiles = takePercentiles(command.queryParameters);
+    client.query(command.counterName, command.queryParameters, command.tieredRequest, function (error, response) {
+        if (error) {
+            return callback(error);
+        }
+
+        callback(null, toLegacySamples(response.Samples, command.queryParameters.dimension, percentiles),
+            response.RequestDetails);
+    });
+}
+
+var handlers = {
+    list: list,
+    listDimensions: listDimensions,
+    listDimensionValues: listDimensionValues,
+    query: query
+};
+
+/* Runs a front end command ({ queryCommand, counterName, queryParameters, tieredRequest }) against a client */
+function execute(client, command, callback) {
+    var handler = handlers[command.queryCommand];
+    if (!handler) {
+        return callback(errors.create("Unknown query command: " + command.queryCommand, 400));
+    }
+
+    handler(client, {
+        counterName: command.counterName,
+        queryParameters: parseQueryParameters(command.queryParameters),
+        tieredRequest: command.tieredRequest
+    }, callback);
+}
+
+/* Runs several front end queries ([{ id, counterName, queryParameters }]) as one /batch request. Calls back with
+ * { id: { HttpResponseCode, ErrorMessage, Values, RequestDetails } }; failed queries also carry an ErrorType (see
+ * errors.js). Queries without RequestDetails of their own get those of the batch. */
+function batch(client, queries, tieredRequest, callback) {
+    var parsed = queries.map(function (query) {
+        var queryParameters = parseQueryParameters(query.queryParameters);
+        return {
+            id: String(query.id),
+            counterName: query.counterName,
+            queryParameters: queryParameters,
+            percentiles: takePercentiles(queryParameters)
+        };
+    });
+
+    var batchQueries = parsed.map(function (query) {
+        return { CounterName: query.counterName, QueryParameters: query.queryParameters, UserContext: query.id };
+    });
+
+    client.batch(batchQueries, tieredRequest, function (error, responses, requestDetails) {
+        if (error) {
+            return callback(error);
+        }
+
+        var responsesByContext = {};
+        responses.forEach(function (response) {
+            responsesByContext[response.UserContext] = response;
+        });
+
+        var results = {};
+        parsed.forEach(function (query) {
+            var response = responsesByContext[query.id] ||
+                { HttpResponseCode: 404, ErrorMessage: "No response for query.", Samples: [] };
+            results[query.id] = {
+                HttpResponseCode: response.HttpResponseCode,
+                ErrorMessage: response.ErrorMessage,
+                Values: toLegacySamples(response.Samples, query.queryParameters.dimension, query.percentiles),
+                RequestDetails: response.RequestDetails && response.RequestDetails.length > 0 ?
+                    response.RequestDetails : requestDetails || []
+            };
+            if (response.HttpResponseCode !== 200) {
+                results[query.id].ErrorType = "upstream";
+            }
+        });
+
+        callback(null, results);
+    });
+}
+
+module.exports = {
+    execute: execute,
+    batch: batch,
+    normalizeTime: normalizeTime,
+    parseQueryParameters: parseQueryParameters,
+    parsePercentiles: parsePercentiles,
+    toLegacySample: toLegacySample,
+    toLegacySamples: toLegacySamples
+};
@@ -0,0 +1,122 @@
+﻿var fs = require("fs");
+var path = require("path");
+var yaml = require("js-yaml");
+
+var appDirectory = path.join(__dirname, "..");
+var defaultConfigFile = path.join(appDirectory, "config.json");
+
+var defaults = {
+    port: 1337,
+    endpoint: "http://localhost:4200",
+    environments: {},
+    fanoutTimeout: 2500,
+    maxFanout: 50,
+    includeRequestDiagnostics: false,
+    logBackendRequests: false,
+    bondResponses: false,
+    registryFile: "environments.json",
+    registryRefreshInterval: 5 * 60 * 1000,
+    dashboardFile: "dashboards.json",
+    coverageThreshold: 0.9,
+    metrics: []
+};
+
+// Environment variables which override individual settings, and how to parse them.
+var overrides = {
+    PORT: ["port", parseInt],
+    METRICUX_PORT: ["port", parseInt],
+    METRICUX_ENDPOINT: ["endpoint", String],
+    METRICUX_ENVIRONMENTS: ["environments", JSON.parse],
+    METRICUX_FANOUT_TIMEOUT: ["fanoutTimeout", parseInt],
+    METRICUX_MAX_FANOUT: ["maxFanout", parseInt],
+    METRICUX_REQUEST_DIAGNOSTICS: ["includeRequestDiagnostics", parseBoolean],
+    METRICUX_LOG_BACKEND_REQUESTS: ["logBackendRequests", parseBoolean],
+    METRICUX_BOND_RESPONSES: ["bondResponses", parseBoolean],
+    METRICUX_REGISTRY_FILE: ["registryFile", String],
+    METRICUX_REGISTRY_REFRESH_INTERVAL: ["registryRefreshInterval", parseInt],
+    METRICUX_DASHBOARD_FILE: ["dashboardFile", String],
+    METRICUX_COVERAGE_THRESHOLD: ["coverageThreshold", parseFloat],
+    METRICUX_METRICS: ["metrics", JSON.parse]
+};
+
+function parseBoolean(value) {
+    return /^(1|true|yes|on)$/i.test(String(value).trim());
+}
+
+function readFile(file) {
+    var contents = fs.readFileSync(file, "utf8").replace(/^\uFEFF/, "");
+    if (/\.ya?ml$/i.test(file)) {
+        return yaml.safeLoad(contents) || {};
+    }
+    return JSON.parse(contents);
+}
+
+/* Normalizes environment entries, which may be given as a bare endpoint string */
+function normalizeEnvironments(environments, endpoint) {
+    var result = {};
+    Object.keys(environments || {}).forEach(function (name) {
+        var environment = environments[name];
+        if (typeof environment === "string") {
+            environment = { endpoint: environment };
+        }
+        environment = environment || {};
+        result[name] = {};
+        Object.keys(environment).forEach(function (key) {
+            result[name][key] = environment[key];
+        });
+        result[name].endpoint = (environment.endpoint || endpoint).replace(/\/+$/, "");
+    });
+    return result;
+}
+
+/* Loads settings from a JSON or YAML file, then applies environment variable overrides */
+function load(file, env) {
+    env = env || {};
+    var settings = {};
+    Object.keys(defaults).forEach(function (key) {
+        settings[key] = defaults[key];
+    });
+
+    if (file) {
+        if (fs.existsSync(file)) {
+            var fromFile = readFile(file);
+            Object.keys(fromFile).forEach(function (key) {
+                settings[key] = fromFile[key];
+            });
+        }
+        else if (file !== defaultConfigFile) {
+            throw new Error("Configuration file not found: " + file);
+        }
+    }
+
+    Object.keys(overrides).forEach(function (variable) {
+        if (env[variable] !== undefined && env[variable] !== "") {
+            settings[overrides[variable][0]] = overrides[variable][1](env[variable]);
+        }
+    });
+
+    settings.environments = normalizeEnvironments(settings.environments, settings.endpoint);
+    if (settings.registryFile) {
+        settings.registryFile = path.resolve(appDirectory, settings.registryFile);
+    }
+    if (settings.dashboardFile) {
+        settings.dashboardFile = path.resolve(appDirectory, settings.dashboardFile);
+    }
+    return settings;
+}
+
+var current = null;
+
+/* Settings for this process, loaded from METRICUX_CONFIG (or config.json) on first use */
+function get() {
+    if (!current) {
+        current = load(process.env.METRICUX_CONFIG || defaultConfigFile, process.env);
+    }
+    return current;
+}
+
+module.exports = {
+    defaults: defaults,
+    load: load,
+    get: get
+};
@@ -0,0 +1,329 @@
+﻿var fs = require("fs");
+var crypto = require("crypto");
+var config = require("./config");
+var wirediff = require("./wirediff");
+var errors = require("./errors");
+
+// Named dashboards, each holding the wires ({ counters: [...] }) the front end builds its graphs from. Every save
+// is kept as a numbered version so that changes can be compared and rolled back. Dashboards are kept in memory and
+// written back to a JSON file after every change.
+
+function validateName(name) {
+    if (typeof name !== "string" || name.trim() === "") {
+        return errors.create("A dashboard name is required.", 400);
+    }
+    return null;
+}
+
+function validateWires(wires) {
+    if (!wires || typeof wires !== "object" || !Array.isArray(wires.counters)) {
+        return errors.create("Dashboard wires must be an object with a counters list.", 400);
+    }
+    return null;
+}
+
+function getAuthor(author) {
+    return typeof author === "string" && author.trim() !== "" ? author.trim() : "anonymous";
+}
+
+function countGraphs(wires) {
+    var graphs = {};
+    wires.counters.forEach(function (wire) {
+        graphs[wire.graphId] = true;
+    });
+    return Object.keys(graphs).length;
+}
+
+/* Summary of a dashboard, as listed by the store */
+function summarize(dashboard) {
+    return {
+        Id: dashboard.Id,
+        Name: dashboard.Name,
+        GraphCount: countGraphs(dashboard.Wires),
+        Version: dashboard.Version,
+        Created: dashboard.Created,
+        Updated: dashboard.Updated,
+        UpdatedBy: dashboard.UpdatedBy
+    };
+}
+
+/* A dashboard without its history */
+function present(dashboard) {
+    return {
+        Id: dashboard.Id,
+        Name: dashboard.Name,
+        Wires: dashboard.Wires,
+        Version: dashboard.Version,
+        Created: dashboard.Created,
+        Updated: dashboard.Updated,
+        UpdatedBy: dashboard.UpdatedBy
+    };
+}
+
+/* Records the current state of a dashboard as its newest version */
+function addVersion(dashboard, author) {
+    dashboard.Version = (dashboard.Version || 0) + 1;
+    dashboard.UpdatedBy = author;
+    dashboard.Versions.push({
+        Version: dashboard.Version,
+        Name: dashboard.Name,
+        Wires: dashboard.Wires,
+        Author: author,
+        Saved: dashboard.Updated
+    });
+}
+
+function DashboardStore(file) {
+    this.file = file;
+    this.dashboards = null;
+    this.saving = false;
+    this.pendingCallbacks = null;
+}
+
+DashboardStore.prototype.load = function () {
+    if (this.dashboards === null) {
+        this.dashboards = {};
+        if (this.file && fs.existsSync(this.file)) {
+            this.dashboards = JSON.parse(fs.readFileSync(this.file, "utf8").replace(/^\uFEFF/, "")) || {};
+        }
+    }
+    return this.dashboards;
+};
+
+/* Writes the dashboards to the file. Changes made while a write is in progress are written once it completes. */
+DashboardStore.prototype.save = function (callback) {
+    if (!this.file) {
+        return callback(null);
+    }
+    if (this.saving) {
+        (this.pendingCallbacks = this.pendingCallbacks || []).push(callback);
+        return;
+    }
+
+    var self = this;
+    var temporaryFile = this.file + ".tmp";
+    this.saving = true;
+    fs.writeFile(temporaryFile, JSON.stringify(this.dashboards, null, 2), function (error) {
+        var done = function (error) {
+            var pending = self.pendingCallbacks;
+            self.saving = false;
+            self.pendingCallbacks = null;
+            callback(error);
+            if (pending) {
+                self.save(function (error) {
+                    pending.forEach(function (pendingCallback) { pendingCallback(error); });
+                });
+            }
+        };
+
+        if (error) {
+            return done(error);
+        }
+        fs.rename(temporaryFile, self.file, done);
+    });
+};
+
+DashboardStore.prototype.generateId = function () {
+    var dashboards = this.load();
+    var id;
+    do {
+        id = crypto.randomBytes(4).toString("hex");
+    } while (Object.prototype.hasOwnProperty.call(dashboards, id));
+    return id;
+};
+
+DashboardStore.prototype.find = function (id) {
+    var dashboards = this.load();
+    if (!Object.prototype.hasOwnProperty.call(dashboards, id)) {
+        return null;
+    }
+
+    var dashboard = dashboards[id];
+    if (!Array.isArray(dashboard.Versions)) {
+        // Saved before versions were kept
+        dashboard.Versions = [];
+        dashboard.Version = 0;
+        addVersion(dashboard, getAuthor(dashboard.UpdatedBy));
+    }
+    return dashboard;
+};
+
+DashboardStore.prototype.findVersion = function (id, version, callback) {
+    var dashboard = this.find(id);
+    if (!dashboard) {
+        return callback(errors.create("Unknown dashboard: " + id, 404));
+    }
+
+    var number = parseInt(version, 10);
+    var found = dashboard.Versions.filter(function (entry) { return entry.Version === number; })[0];
+    if (!found) {
+        return callback(errors.create("Unknown version of dashboard " + id + ": " + version, 404));
+    }
+    callback(null, found, dashboard);
+};
+
+/* Calls back with the summaries of every dashboard, ordered by name */
+DashboardStore.prototype.list = function (callback) {
+    var dashboards = this.load();
+    var self = this;
+    var result = Object.keys(dashboards).map(function (id) { return summarize(self.find(id)); });
+    result.sort(function (a, b) { return a.Name.toLowerCase().localeCompare(b.Name.toLowerCase()); });
+    callback(null, result);
+};
+
+DashboardStore.prototype.get = function (id, callback) {
+    var dashboard = this.find(id);
+    if (!dashboard) {
+        return callback(errors.create("Unknown dashboard: " + id, 404));
+    }
+    callback(null, present(dashboard));
+};
+
+/* Creates a dashboard from { name, wires, author } */
+DashboardStore.prototype.create = function (fields, callback) {
+    var error = validateName(fields.name) || validateWires(fields.wires || { counters: [] });
+    if (error) {
+        return callback(error);
+    }
+
+    var now = Date.now();
+    var dashboard = {
+        Id: this.generateId(),
+        Name: fields.name.trim(),
+        Wires: fields.wires || { counters: [] },
+        Created: now,
+        Updated: now,
+        Versions: []
+    };
+    addVersion(dashboard, getAuthor(fields.author));
+    this.load()[dashboard.Id] = dashboard;
+
+    this.save(function (error) {
+        callback(error, present(dashboard));
+    });
+};
+
+/* Renames a dashboard and/or replaces its wires from { name, wires, author }, saving a new version unless neither
+ * changed */
+DashboardStore.prototype.update = function (id, fields, callback) {
+    var dashboard = this.find(id);
+    if (!dashboard) {
+        return callback(errors.create("Unknown dashboard: " + id, 404));
+    }
+
+    var error = (fields.name !== undefined && validateName(fields.name)) ||
+        (fields.wires !== undefined && validateWires(fields.wires));
+    if (error) {
+        return callback(error);
+    }
+
+    // Saving what is already current, as a refresh of the page does, adds no version
+    var renamed = fields.name !== undefined && fields.name.trim() !== dashboard.Name;
+    var rewired = fields.wires !== undefined && wirediff.diff(dashboard.Wires, fields.wires).length > 0;
+    if (!renamed && !rewired) {
+        return callback(null, present(dashboard));
+    }
+
+    if (renamed) {
+        dashboard.Name = fields.name.trim();
+    }
+    if (rewired) {
+        dashboard.Wires = fields.wires;
+    }
+    dashboard.Updated = Date.now();
+    addVersion(dashboard, getAuthor(fields.author));
+
+    this.save(function (error) {
+        callback(error, present(dashboard));
+    });
+};
+
+/* Calls back with the versions of a dashboard, newest first: [{ Version, Name, GraphCount, Author, Saved }] */
+DashboardStore.prototype.versions = function (id, callback) {
+    var dashboard = this.find(id);
+    if (!dashboard) {
+        return callback(errors.create("Unknown dashboard: " + id, 404));
+    }
+
+    callback(null, dashboard.Versions.map(function (version) {
+        return {
+            Version: version.Version,
+            Name: version.Name,
+            GraphCount: countGraphs(version.Wires),
+            Author: version.Author,
+            Saved: version.Saved
+        };
+    }).reverse());
+};
+
+/* Calls back with a version of a dashboard: { Version, Name, Wires, Author, Saved } */
+DashboardStore.prototype.getVersion = function (id, version, callback) {
+    this.findVersion(id, version, callback);
+};
+
+/* Calls back with the changes between two versions of a dashboard (to defaults to the current version):
+ * { From, To, Name, Authors, Changes }. Authors lists who saved each version after From up to To. */
+DashboardStore.prototype.diff = function (id, fromVersion, toVersion, callback) {
+    var self = this;
+    this.findVersion(id, fromVersion, function (error, from, dashboard) {
+        if (error) {
+            return callback(error);
+        }
+
+        self.findVersion(id, toVersion === undefined || toVersion === "" ? dashboard.Version : toVersion, function (error, to) {
+            if (error) {
+                return callback(error);
+            }
+
+            var low = Math.min(from.Version, to.Version);
+            var high = Math.max(from.Version, to.Version);
+            callback(null, {
+                From: { Version: from.Version, Author: from.Author, Saved: from.Saved },
+                To: { Version: to.Version, Author: to.Author, Saved: to.Saved },
+                Name: from.Name !== to.Name ? { From: from.Name, To: to.Name } : null,
+                Authors: dashboard.Versions.filter(function (version) {
+                    return version.Version > low && version.Version <= high;
+                }).map(function (version) {
+                    return { Version: version.Version, Author: version.Author, Saved: version.Saved };
+                }),
+                Changes: wirediff.diff(from.Wires, to.Wires)
+            });
+        });
+    });
+};
+
+/* Makes an earlier version current again. The rollback is saved as a new version so no history is lost. */
+DashboardStore.prototype.restore = function (id, version, author, callback) {
+    var self = this;
+    this.findVersion(id, version, function (error, found) {
+        if (error) {
+            return callback(error);
+        }
+
+        self.update(id, { name: found.Name, wires: JSON.parse(JSON.stringify(found.Wires)), author: author }, callback);
+    });
+};
+
+DashboardStore.prototype.remove = function (id, callback) {
+    if (!this.find(id)) {
+        return callback(errors.create("Unknown dashboard: " + id, 404));
+    }
+
+    delete this.load()[id];
+    this.save(callback);
+};
+
+var current = null;
+
+/* Store for this process, kept in the dashboardFile of the application configuration */
+function get() {
+    if (!current) {
+        current = new DashboardStore(config.get().dashboardFile);
+    }
+    return current;
+}
+
+module.exports = {
+    DashboardStore: DashboardStore,
+    get: get
+};
@@ -0,0 +1,65 @@
+﻿var metricsystem = require("./metricsystem");
+
+// Errors are answered with a JSON envelope: { ErrorMessage, ErrorType, HttpResponseCode }. ErrorType is one of
+//   upstream:   MetricSystem answered with an error; HttpResponseCode is its status code (400, 404, 409, ...)
+//   timeout:    MetricSystem did not answer in time
+//   connection: MetricSystem could not be reached
+//   request:    the request sent to MetricUX is invalid
+//   internal:   anything else
+// Upstream errors also carry the RequestDetails MetricSystem returned for the machines queried, if any.
+
+// Created the same way as the errors of the shared client, whose timeout codes they share
+var create = metricsystem.createError;
+
+function getType(error) {
+    if (error.type === "upstream" || error.type === "timeout" || error.type === "connection") {
+        return error.type;
+    }
+    if (metricsystem.TimeoutCodes.indexOf(error.code) >= 0) {
+        return "timeout";
+    }
+    return error.status >= 400 && error.status < 500 ? "request" : "internal";
+}
+
+function toEnvelope(error) {
+    var envelope = {
+        ErrorMessage: error.message || "Request failed",
+        ErrorType: getType(error),
+        HttpResponseCode: error.status || 500
+    };
+    if (error.requestDetails) {
+        envelope.RequestDetails = error.requestDetails;
+    }
+    return envelope;
+}
+
+/* Status to answer with: client errors (including those MetricSystem returned) pass through, MetricSystem server
+ * errors become 502 and timeouts 504 */
+function getStatus(error) {
+    var status = error.status || 500;
+    var type = getType(error);
+    if (type === "timeout") {
+        return 504;
+    }
+    if ((type === "upstream" && status >= 500) || type === "connection") {
+        return 502;
+    }
+    return status;
+}
+
+function send(res, error) {
+    res.status(getStatus(error)).json(toEnvelope(error));
+}
+
+/* Express error handler answering with the envelope (malformed JSON bodies, unknown routes, ...) */
+function handler(err, req, res, next) {
+    send(res, err);
+}
+
+module.exports = {
+    create: create,
+    toEnvelope: toEnvelope,
+    getStatus: getStatus,
+    send: send,
+    handler: handler
+};
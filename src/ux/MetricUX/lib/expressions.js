@@ -0,0 +1,348 @@
+﻿var targets = require("./targets");
+var commands = require("./commands");
+var backend = require("./backend");
+var errors = require("./errors");
+
+// Expression series combine counters with arithmetic, such as the error rate of each datacenter:
+//
+//   /Svc/Errors{dc=*} / /Svc/Requests{dc=*} * 100
+//
+// Operands are numbers and targets in the targets.js syntax, grouped with parentheses. Since counter names contain
+// / and -, operators need a space or a closing brace before them. Two series are combined at the times both have a
+// point, and split series are matched by dimension value; a series which is not split applies to every value of the
+// other. Points dividing by zero are left out. Series whose points are a different time apart (counters kept at
+// different resolutions) never line up, so combining them is an error rather than an empty result.
+
+var operations = {
+    "+": function (a, b) { return a + b; },
+    "-": function (a, b) { return a - b; },
+    "*": function (a, b) { return a * b; },
+    "/": function (a, b) { return b === 0 ? null : a / b; }
+};
+
+/* Parses an expression into a tree of { type: "binary", operator, left, right }, { type: "negate", operand },
+ * { type: "number", value } and { type: "target", parsed, text } nodes. Throws a 400 error when it is malformed. */
+function parse(expression) {
+    var text = String(expression || "");
+    var position = 0;
+
+    var fail = function (message) {
+        throw errors.create("Invalid expression: " + text + ". " + message, 400);
+    };
+    var skipSpace = function () {
+        while (position < text.length && /\s/.test(text[position])) {
+            position++;
+        }
+    };
+
+    var parseOperand = function () {
+        skipSpace();
+        var start = position;
+        if (text[position] === "(") {
+            position++;
+            var inner = parseSum();
+            skipSpace();
+            if (text[position] !== ")") {
+                fail("Expected ) at position " + position + ".");
+            }
+            position++;
+            return inner;
+        }
+        if (text[position] === "-") {
+            position++;
+            return { type: "negate", operand: parseOperand() };
+        }
+
+        // A number or target runs up to the next space or parenthesis, or to the end of its filter list
+        var depth = 0;
+        while (position < text.length && (depth > 0 || !/[\s()]/.test(text[position]))) {
+            depth += text[position] === "{" ? 1 : text[position] === "}" ? -1 : 0;
+            position++;
+            if (depth === 0 && text[position - 1] === "}") {
+                break;
+            }
+        }
+        var token = text.substring(start, position);
+        if (token === "") {
+            fail("Expected a counter, number or ( at position " + start + ".");
+        }
+
+        if (/^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(token)) {
+            return { type: "number", value: parseFloat(token) };
+        }
+        var parsed = targets.parse(token);
+        if (!parsed) {
+            fail("Expected [environment:]/Counter{dimension=value,...} at position " + start + ".");
+        }
+        return { type: "target", parsed: parsed, text: token };
+    };
+
+    // Left associative operators, each level binding tighter than the one using it
+    var parseOperators = function (operators, parseNext) {
+        return function () {
+            var node = parseNext();
+            for (;;) {
+                skipSpace();
+                if (position >= text.length || operators.indexOf(text[position]) < 0) {
+                    return node;
+                }
+                var operator = text[position++];
+                node = { type: "binary", operator: operator, left: node, right: parseNext() };
+            }
+        };
+    };
+    var parseProduct = parseOperators("*/", parseOperand);
+    var parseSum = parseOperators("+-", parseProduct);
+
+    var node = parseSum();
+    skipSpace();
+    if (position < text.length) {
+        fail("Unexpected " + text[position] + " at position " + position + ".");
+    }
+    return node;
+}
+
+/* Target nodes of a parsed expression, in order */
+function getTargets(node) {
+    switch (node.type) {
+        case "target":
+            return [node];
+        case "binary":
+            return getTargets(node.left).concat(getTargets(node.right));
+        case "negate":
+            return getTargets(node.operand);
+        default:
+            return [];
+    }
+}
+
+/* Milliseconds since the epoch of a legacy sample time ("/Date(ms)/") */
+function getTime(value) {
+    return parseInt(value.substr(6), 10);
+}
+
+/* Samples of a target as { split, series: { dimension value ("" when not split): { time: point } }, widths }, widths
+ * being the set of milliseconds between the start and end of its points */
+function toSeries(values, split) {
+    var series = {};
+    var widths = {};
+    values.forEach(function (value) {
+        var key = split ? value.DimensionVal : "";
+        var time = getTime(value.EndTime);
+        series[key] = series[key] || {};
+        series[key][time] = {
+            value: value.ChartValue,
+            machines: value.MachineCount,
+            start: value.StartTime
+        };
+        widths[time - getTime(value.StartTime)] = true;
+    });
+    return { split: split, series: series, widths: widths };
+}
+
+function formatWidth(width) {
+    var count = width % 60000 === 0 ? width / 60000 : width / 1000;
+    return count + (width % 60000 === 0 ? " minute" : " second") + (count === 1 ? "" : "s");
+}
+
+/* Widths of the points two series share. Throws a 400 error when both have points but none of the same width. */
+function getCommonWidths(left, right) {
+    var leftWidths = Object.keys(left.widths);
+    var rightWidths = Object.keys(right.widths);
+    var common = {};
+    leftWidths.forEach(function (width) {
+        if (right.widths[width]) {
+            common[width] = true;
+        }
+    });
+
+    if (leftWidths.length > 0 && rightWidths.length > 0 && Object.keys(common).length === 0) {
+        throw errors.create("Counters with points " + formatWidth(Number(leftWidths[0])) + " and " +
+            formatWidth(Number(rightWidths[0])) + " apart cannot be combined, as their points never line up. " +
+            "Pick a time range both counters keep at the same resolution.", 400);
+    }
+    return common;
+}
+
+/* Points of an operand for a dimension value: null for a number, undefined when it has no such series */
+function getPoints(operand, key) {
+    if (typeof operand === "number") {
+        return null;
+    }
+    return operand.series[operand.split ? key : ""];
+}
+
+/* Applies an operator to two operands, each a number or series as returned by toSeries */
+function combine(operator, left, right) {
+    var operation = operations[operator];
+    if (typeof left === "number" && typeof right === "number") {
+        var constant = operation(left, right);
+        if (constant === null) {
+            throw errors.create("Division by zero in expression.", 400);
+        }
+        return constant;
+    }
+
+    var leftSplit = typeof left !== "number" && left.split;
+    var rightSplit = typeof right !== "number" && right.split;
+    var keys = leftSplit ? Object.keys(left.series) : rightSplit ? Object.keys(right.series) : [""];
+    if (leftSplit && rightSplit) {
+        keys = keys.filter(function (key) { return right.series.hasOwnProperty(key); });
+    }
+
+    var widths = typeof left === "number" ? right.widths : typeof right === "number" ? left.widths : getCommonWidths(left, right);
+    var result = { split: leftSplit || rightSplit, series: {}, widths: widths };
+    keys.forEach(function (key) {
+        var leftPoints = getPoints(left, key);
+        var rightPoints = getPoints(right, key);
+        if (leftPoints === undefined || rightPoints === undefined) {
+            return;
+        }
+
+        var points = {};
+        Object.keys(leftPoints !== null ? leftPoints : rightPoints).forEach(function (time) {
+            var a = leftPoints !== null ? leftPoints[time] : { value: left, machines: null };
+            var b = rightPoints !== null ? rightPoints[time] : { value: right, machines: null };
+            if (!a || !b || a.value === null || b.value === null) {
+                return;
+            }
+            var value = operation(a.value, b.value);
+            if (value === null || !isFinite(value)) {
+                return;
+            }
+            points[time] = {
+                value: value,
+                machines: a.machines === null ? b.machines : b.machines === null ? a.machines : Math.min(a.machines, b.machines),
+                start: a.start || b.start
+            };
+        });
+        result.series[key] = points;
+    });
+    return result;
+}
+
+/* Computes a parsed expression from the series of its targets (series[i] for targets[i]) */
+function compute(node, targetNodes, series) {
+    switch (node.type) {
+        case "number":
+            return node.value;
+        case "target":
+            return series[targetNodes.indexOf(node)];
+        case "negate":
+            return combine("*", -1, compute(node.operand, targetNodes, series));
+        default:
+            return combine(node.operator, compute(node.left, targetNodes, series), compute(node.right, targetNodes, series));
+    }
+}
+
+/* Series of a computed expression as samples shaped like those of /data/query, ordered by time */
+function toValues(result) {
+    var values = [];
+    Object.keys(result.series).sort().forEach(function (key) {
+        var points = result.series[key];
+        Object.keys(points).forEach(function (time) {
+            values.push({
+                StartTime: points[time].start,
+                EndTime: "/Date(" + time + ")/",
+                ChartValue: points[time].value,
+                MachineCount: points[time].machines || 0,
+                DimensionVal: key
+            });
+        });
+    });
+    return values.sort(function (a, b) { return getTime(a.EndTime) - getTime(b.EndTime); });
+}
+
+/* Queries a target over the time range of queryParameters. Targets naming an environment ignore the machines picked
+ * for the expression. No data is an empty result rather than a failure, but an unknown environment is an error. */
+function queryTarget(parsed, options, callback) {
+    var queryParameters = commands.parseQueryParameters(options.queryParameters);
+    Object.keys(parsed.filters).forEach(function (key) {
+        queryParameters[key] = parsed.filters[key];
+    });
+    if (parsed.splitBy !== "") {
+        queryParameters.dimension = parsed.splitBy;
+    }
+
+    var environmentName = parsed.environmentName || options.environmentName;
+    var unknown = backend.checkEnvironment(environmentName);
+    if (unknown) {
+        return callback(unknown);
+    }
+    commands.execute(backend.getClient(environmentName), {
+        queryCommand: "query",
+        counterName: parsed.counterName,
+        queryParameters: queryParameters,
+        tieredRequest: backend.getTieredRequest({
+            environmentName: environmentName,
+            machineName: parsed.environmentName ? "" : options.machineName,
+            timeoutValue: options.timeoutValue,
+            diagnostics: options.diagnostics
+        })
+    }, function (error, values, requestDetails) {
+        if (error) {
+            return error.status === 404 ? callback(null, [], error.requestDetails || []) : callback(error);
+        }
+        callback(null, values, requestDetails || []);
+    });
+}
+
+/* Runs an expression series ({ expression, environmentName, machineName, queryParameters, timeoutValue,
+ * diagnostics }; queryParameters holds the start and end). Calls back with { Values, SplitBy, RequestDetails }:
+ * SplitBy is the split dimension of the first split target ("" when none is split), and RequestDetails lists the
+ * machines of every target queried. */
+function query(options, callback) {
+    var node;
+    try {
+        node = parse(options.expression);
+    }
+    catch (error) {
+        return callback(error);
+    }
+
+    var targetNodes = getTargets(node);
+    if (targetNodes.length === 0) {
+        return callback(errors.create("Invalid expression: " + options.expression + ". It does not refer to any counter.", 400));
+    }
+
+    var series = [];
+    var requestDetails = [];
+    var failed = null;
+    var remaining = targetNodes.length;
+    targetNodes.forEach(function (target, index) {
+        queryTarget(target.parsed, options, function (error, values, details) {
+            failed = failed || error;
+            series[index] = toSeries(values || [], target.parsed.splitBy !== "");
+            requestDetails = requestDetails.concat(details || []);
+            if (--remaining > 0) {
+                return;
+            }
+            if (failed) {
+                return callback(failed);
+            }
+
+            var result;
+            try {
+                result = compute(node, targetNodes, series);
+            }
+            catch (e) {
+                return callback(e);
+            }
+            var split = targetNodes.filter(function (target) { return target.parsed.splitBy !== ""; });
+            callback(null, {
+                Values: toValues(result),
+                SplitBy: split.length > 0 ? split[0].parsed.splitBy : "",
+                RequestDetails: requestDetails
+            });
+        });
+    });
+}
+
+module.exports = {
+    parse: parse,
+    getTargets: getTargets,
+    toSeries: toSeries,
+    compute: compute,
+    toValues: toValues,
+    query: query
+};
@@ -0,0 +1,336 @@
+﻿var metricsystem = require("./metricsystem");
+var targets = require("./targets");
+var errors = require("./errors");
+
+// Evaluates Graphite render targets against MetricSystem. A Graphite path names a counter with dots for slashes and
+// tags for dimension filters, and may name its environment the way targets.js does:
+//
+//   [environment:]Svc.Requests[;dimension=value;...]
+//
+// so Svc.Requests;dc=west;percentile=99 is /Svc/Requests{dc=west,percentile=99}, and a tag value of "*" splits the
+// series by that dimension. Targets written in the targets.js syntax are accepted as they are. Paths can be wrapped
+// in sumSeries, scale, movingAverage and timeShift.
+
+/* Turns a Graphite from/until value ("now", "-6h", "now-6h", Unix seconds, "HH:MM_YYYYMMDD", "YYYYMMDD") into
+ * milliseconds; null when malformed */
+function parseTime(value, now) {
+    var text = String(value).trim();
+    var match;
+
+    if (/^now$/i.test(text)) {
+        return now;
+    }
+    if ((match = /^(?:now)?\s*([+-].*)$/i.exec(text))) {
+        var offset = metricsystem.parseDuration(match[1]);
+        return offset === null ? null : now + offset;
+    }
+    if ((match = /^(?:(\d{1,2}):(\d{2})_)?(\d{4})(\d{2})(\d{2})$/.exec(text)) && parseInt(match[4], 10) <= 12) {
+        return Date.UTC(parseInt(match[3], 10), parseInt(match[4], 10) - 1, parseInt(match[5], 10),
+            parseInt(match[1] || "0", 10), parseInt(match[2] || "0", 10));
+    }
+    if (/^\d+$/.test(text)) {
+        return parseInt(text, 10) * 1000;
+    }
+
+    var time = Date.parse(text);
+    return isNaN(time) ? null : time;
+}
+
+/* Converts a Graphite path into a parsed target (see targets.parse), or returns null when it is malformed */
+function parsePath(path) {
+    if (/^\s*(?:[^\/:{}\s]+\s*:\s*)?\//.test(path)) {
+        return targets.parse(path);
+    }
+
+    var match = /^\s*(?:([^.;:{}\s]+)\s*:\s*)?([^;{}\s]+)((?:;[^;]*)*)\s*$/.exec(path);
+    if (!match) {
+        return null;
+    }
+    var tags = match[3].split(";").slice(1);
+    return targets.parse((match[1] ? match[1] + ":" : "") + "/" + match[2].split(".").join("/") +
+        (tags.length > 0 ? "{" + tags.join(",") + "}" : ""));
+}
+
+/* Writes a parsed target as a Graphite path. splitValue stands in for the "*" of a split target. */
+function formatPath(parsed, splitValue) {
+    var tags = Object.keys(parsed.filters).map(function (key) { return ";" + key + "=" + parsed.filters[key]; });
+    if (parsed.splitBy !== "") {
+        tags.push(";" + parsed.splitBy + "=" + (splitValue === undefined ? "*" : splitValue));
+    }
+    return (parsed.environmentName ? parsed.environmentName + ":" : "") +
+        parsed.counterName.replace(/^\//, "").split("/").join(".") + tags.join("");
+}
+
+/* Parses a render target into a tree of { type: "call", name, args, text }, { type: "path", parsed, text },
+ * { type: "number", value } and { type: "string", value } nodes. Throws a 400 error when it is malformed. */
+function parseExpression(target) {
+    var text = String(target || "");
+    var position = 0;
+
+    var fail = function (message) {
+        throw errors.create("Invalid target: " + text + ". " + message, 400);
+    };
+    var skipSpace = function () {
+        while (position < text.length && /\s/.test(text[position])) {
+            position++;
+        }
+    };
+
+    var parseNode = function () {
+        skipSpace();
+        var start = position;
+        var quote = text[position];
+        if (quote === "\"" || quote === "'") {
+            var end = text.indexOf(quote, position + 1);
+            if (end < 0) {
+                fail("Unterminated string.");
+            }
+            position = end + 1;
+            return { type: "string", value: text.substring(start + 1, end) };
+        }
+
+        // A path runs up to the next parenthesis or comma outside the braces of a targets.js filter list
+        var depth = 0;
+        while (position < text.length && (depth > 0 || "(),".indexOf(text[position]) < 0)) {
+            depth += text[position] === "{" ? 1 : text[position] === "}" ? -1 : 0;
+            position++;
+        }
+        var token = text.substring(start, position).trim();
+        if (token === "") {
+            fail("Expected a path, function or value at position " + start + ".");
+        }
+
+        if (text[position] === "(") {
+            position++;
+            var args = [];
+            skipSpace();
+            if (text[position] === ")") {
+                position++;
+            }
+            else {
+                for (;;) {
+                    args.push(parseNode());
+                    skipSpace();
+                    if (text[position] === ")") {
+                        position++;
+                        break;
+                    }
+                    if (text[position] !== ",") {
+                        fail("Expected , or ) at position " + position + ".");
+                    }
+                    position++;
+                }
+            }
+            return { type: "call", name: token, args: args, text: text.substring(start, position) };
+        }
+
+        if (/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(token)) {
+            return { type: "number", value: parseFloat(token) };
+        }
+        var parsed = parsePath(token);
+        if (!parsed) {
+            fail("Expected [environment:]Path.To.Counter[;dimension=value...].");
+        }
+        return { type: "path", parsed: parsed, text: token };
+    };
+
+    var node = parseNode();
+    skipSpace();
+    if (position < text.length) {
+        fail("Unexpected " + text[position] + " at position " + position + ".");
+    }
+    return node;
+}
+
+/* Sets the environment of the paths in a parsed render target which do not name one */
+function setEnvironment(node, environmentName) {
+    if (node.type === "path" && !node.parsed.environmentName) {
+        node.parsed.environmentName = environmentName;
+    }
+    (node.args || []).forEach(function (arg) {
+        setEnvironment(arg, environmentName);
+    });
+}
+
+/* Renders a literal argument in a series name the way Graphite does */
+function formatArgument(node) {
+    return node.type === "string" ? "\"" + node.value + "\"" : String(node.value);
+}
+
+/* Sums series point by point, matching points by time */
+function sumSeries(name, series) {
+    var totals = {};
+    var times = [];
+    series.forEach(function (entry) {
+        entry.Points.forEach(function (point) {
+            if (point[1] === null) {
+                return;
+            }
+            if (totals[point[0]] === undefined) {
+                totals[point[0]] = 0;
+                times.push(point[0]);
+            }
+            totals[point[0]] += point[1];
+        });
+    });
+
+    if (series.length === 0) {
+        return [];
+    }
+    return [{
+        Target: name,
+        Points: times.sort(function (a, b) { return a - b; }).map(function (time) { return [time, totals[time]]; })
+    }];
+}
+
+/* Averages each point with the points before it: the last size points, or those within size milliseconds when
+ * byTime is set */
+function movingAverage(points, size, byTime) {
+    return points.map(function (point, index) {
+        var total = 0;
+        var count = 0;
+        for (var i = index; i >= 0; i--) {
+            if (byTime ? points[i][0] <= point[0] - size : index - i >= size) {
+                break;
+            }
+            if (points[i][1] !== null) {
+                total += points[i][1];
+                count++;
+            }
+        }
+        return [point[0], count > 0 ? total / count : null];
+    });
+}
+
+/* Function implementations: each takes the call node, the time range ({ from, until } in milliseconds) and an
+ * evaluate(node, range, callback) for its arguments, and calls back with a list of { Target, Points } */
+var functions = {
+    sumSeries: function (node, range, evaluate, callback) {
+        var results = [];
+        var failed = null;
+        var remaining = node.args.length;
+        if (remaining === 0) {
+            return callback(null, []);
+        }
+
+        node.args.forEach(function (arg, index) {
+            evaluate(arg, range, function (error, series) {
+                failed = failed || error;
+                results[index] = series || [];
+                if (--remaining === 0) {
+                    callback(failed, failed ? null : sumSeries(node.text, [].concat.apply([], results)));
+                }
+            });
+        });
+    },
+
+    scale: function (node, range, evaluate, callback) {
+        var factor = node.args[1];
+        if (node.args.length !== 2 || factor.type !== "number") {
+            return callback(errors.create("scale takes a series and a number: " + node.text, 400));
+        }
+
+        evaluate(node.args[0], range, function (error, series) {
+            callback(error, error ? null : series.map(function (entry) {
+                return {
+                    Target: "scale(" + entry.Target + "," + formatArgument(factor) + ")",
+                    Points: entry.Points.map(function (point) {
+                        return [point[0], point[1] === null ? null : point[1] * factor.value];
+                    })
+                };
+            }));
+        });
+    },
+
+    movingAverage: function (node, range, evaluate, callback) {
+        var size = node.args[1];
+        var window = size && (size.type === "number" ? size.value : metricsystem.parseDuration(size.value));
+        if (node.args.length !== 2 || !(window > 0)) {
+            return callback(errors.create("movingAverage takes a series and a number of points or a time such as \"5min\": " + node.text, 400));
+        }
+
+        evaluate(node.args[0], range, function (error, series) {
+            callback(error, error ? null : series.map(function (entry) {
+                return {
+                    Target: "movingAverage(" + entry.Target + "," + formatArgument(size) + ")",
+                    Points: movingAverage(entry.Points, window, size.type === "string")
+                };
+            }));
+        });
+    },
+
+    timeShift: function (node, range, evaluate, callback) {
+        var shift = node.args[1];
+        var offset = shift && shift.type === "string" ? metricsystem.parseDuration(shift.value) : null;
+        if (node.args.length !== 2 || offset === null) {
+            return callback(errors.create("timeShift takes a series and a time such as \"1d\": " + node.text, 400));
+        }
+
+        // Like Graphite, an unsigned shift goes back in time
+        if (!/^\s*[+-]/.test(shift.value)) {
+            offset = -offset;
+        }
+        evaluate(node.args[0], { from: range.from + offset, until: range.until + offset }, function (error, series) {
+            callback(error, error ? null : series.map(function (entry) {
+                return {
+                    Target: "timeShift(" + entry.Target + ", " + formatArgument(shift) + ")",
+                    Points: entry.Points.map(function (point) { return [point[0] - offset, point[1]]; })
+                };
+            }));
+        });
+    }
+};
+
+/* Evaluates a parsed render target over a time range ({ from, until } in milliseconds). Calls back with a list of
+ * { Target, Points: [[time, value]] } named the way Graphite names them. */
+function evaluate(node, range, callback) {
+    if (node.type === "path") {
+        return targets.query(node.parsed, new Date(range.from).toISOString(), new Date(range.until).toISOString(), function (error, series) {
+            callback(error, error ? null : series.map(function (entry) {
+                return { Target: formatPath(node.parsed, entry.SplitValue), Points: entry.Points };
+            }));
+        });
+    }
+    if (node.type !== "call") {
+        return callback(errors.create("Expected a series but found " + formatArgument(node) + ".", 400));
+    }
+    if (!functions.hasOwnProperty(node.name)) {
+        return callback(errors.create("Unsupported function: " + node.name + ". Supported functions are " +
+            Object.keys(functions).join(", ") + ".", 400));
+    }
+    functions[node.name](node, range, evaluate, callback);
+}
+
+/* Graphite's JSON format: [{ target, datapoints: [[value, seconds]] }] */
+function toJson(series) {
+    return series.map(function (entry) {
+        return {
+            target: entry.Target,
+            datapoints: entry.Points.map(function (point) { return [point[1], Math.floor(point[0] / 1000)]; })
+        };
+    });
+}
+
+/* Graphite's CSV format: a target,YYYY-MM-DD HH:MM:SS,value line per point, in UTC */
+function toCsv(series) {
+    var lines = [];
+    series.forEach(function (entry) {
+        var target = /[",\n]/.test(entry.Target) ? "\"" + entry.Target.replace(/"/g, "\"\"") + "\"" : entry.Target;
+        entry.Points.forEach(function (point) {
+            var time = new Date(point[0]).toISOString().replace("T", " ").substr(0, 19);
+            lines.push(target + "," + time + "," + (point[1] === null ? "" : point[1]));
+        });
+    });
+    return lines.map(function (line) { return line + "\r\n"; }).join("");
+}
+
+module.exports = {
+    parseTime: parseTime,
+    parsePath: parsePath,
+    formatPath: formatPath,
+    parseExpression: parseExpression,
+    setEnvironment: setEnvironment,
+    evaluate: evaluate,
+    toJson: toJson,
+    toCsv: toCsv
+};
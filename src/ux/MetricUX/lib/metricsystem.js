@@ -0,0 +1,669 @@
+﻿// Client for the REST API of a MetricSystem server (see doc/REST APIs.md). It has no dependencies beyond a transport,
+// so the same file runs in Node, where it is required as a module and sends requests with the request module, and in
+// the browser, where MetricUX serves it as /javascripts/metricsystem-client.js. There it defines the MetricSystem
+// global and uses XMLHttpRequest unless a transport is passed in. Types are in typings/metricsystem.
+
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory();
+    }
+    else {
+        root.MetricSystem = factory();
+    }
+}(this, function () {
+    var defaultServerPort = 4200;
+    var defaultTimeout = 2500;
+
+    // Slack added on top of the fan-out timeout so the aggregating server has time to answer after its own
+    // downstream requests time out.
+    var requestTimeoutPadding = 1000;
+
+    // Codes of the transport errors of requests which timed out
+    var timeoutCodes = ["ETIMEDOUT", "ESOCKETTIMEDOUT"];
+
+    /* Errors carry the HTTP status and one of the types described in errors.js */
+    function createError(message, status, type) {
+        var err = new Error(message);
+        err.status = status;
+        if (type) {
+            err.type = type;
+        }
+        return err;
+    }
+
+    /* Wraps a transport error (no response was received) */
+    function fromTransportError(error, url) {
+        var isTimeout = timeoutCodes.indexOf(error.code) >= 0;
+        var message = isTimeout ? "Timed out waiting for " + url : "Unable to connect to " + url + ": " + (error.code || error.message);
+        var err = createError(message, isTimeout ? 504 : 502, isTimeout ? "timeout" : "connection");
+        err.code = error.code;
+        return err;
+    }
+
+    /* Parses "hostname[:port]" into a ServerInfo object */
+    function parseServerInfo(value) {
+        if (typeof value === "object") {
+            return { Hostname: value.Hostname, Port: parseInt(value.Port, 10) || defaultServerPort };
+        }
+
+        var parts = String(value).trim().split(":");
+        return { Hostname: parts[0], Port: parseInt(parts[1], 10) || defaultServerPort };
+    }
+
+    /* Parses a comma separated machine list into ServerInfo objects */
+    function parseServerList(machines) {
+        if (!machines) {
+            return [];
+        }
+
+        if (!Array.isArray(machines)) {
+            machines = String(machines).split(",");
+        }
+
+        return machines.filter(function (machine) {
+            return typeof machine === "object" || String(machine).trim() !== "";
+        }).map(parseServerInfo);
+    }
+
+    /* Builds a TieredRequest body. Returns null when there is nothing to fan out to. */
+    function createTieredRequest(sources, options) {
+        options = options || {};
+        sources = parseServerList(sources);
+        if (sources.length === 0) {
+            return null;
+        }
+
+        var tieredRequest = { Sources: sources };
+        if (options.timeout) {
+            tieredRequest.FanoutTimeoutInMilliseconds = parseInt(options.timeout, 10);
+        }
+        if (options.maxFanout) {
+            tieredRequest.MaxFanout = parseInt(options.maxFanout, 10);
+        }
+        if (options.includeRequestDiagnostics !== undefined) {
+            tieredRequest.IncludeRequestDiagnostics = !!options.includeRequestDiagnostics;
+        }
+
+        return tieredRequest;
+    }
+
+    /* Accepts either a TieredRequest or the { sources, timeout, maxFanout, includeRequestDiagnostics } options of
+     * createTieredRequest */
+    function toTieredRequest(value) {
+        if (!value || value.sources === undefined) {
+            return value || null;
+        }
+        return createTieredRequest(value.sources, value);
+    }
+
+    /* Bond serializes maps as flat [key, value, key, value, ...] lists */
+    function toBondMap(map) {
+        var list = [];
+        Object.keys(map || {}).forEach(function (key) {
+            list.push(key, map[key]);
+        });
+        return list;
+    }
+
+    function fromBondMap(list) {
+        if (!Array.isArray(list)) {
+            return list || {};
+        }
+
+        var map = {};
+        for (var i = 0; i + 1 < list.length; i += 2) {
+            map[list[i]] = list[i + 1];
+        }
+        return map;
+    }
+
+    /* Bond serializes nullable<T> as a list holding zero or one values */
+    function fromBondNullable(value, isList) {
+        if (!Array.isArray(value)) {
+            return value;
+        }
+        if (value.length === 0) {
+            return null;
+        }
+        if (value.length === 1 && (!isList || Array.isArray(value[0]))) {
+            return value[0];
+        }
+        return value;
+    }
+
+    /* Converts a CounterInfo object from Bond JSON into plain JSON */
+    function normalizeCounterInfo(info) {
+        var dimensionValues = fromBondMap(fromBondNullable(info.DimensionValues) || []);
+        return {
+            Name: info.Name,
+            Type: info.Type,
+            StartTime: info.StartTime,
+            EndTime: info.EndTime,
+            Dimensions: info.Dimensions || [],
+            DimensionValues: dimensionValues
+        };
+    }
+
+    /* Converts a DataSample object from Bond JSON into plain JSON */
+    function normalizeDataSample(sample) {
+        var normalized = {};
+        Object.keys(sample).forEach(function (key) {
+            normalized[key] = sample[key];
+        });
+        normalized.Dimensions = fromBondMap(sample.Dimensions);
+        normalized.Histogram = fromBondMap(sample.Histogram);
+        return normalized;
+    }
+
+    // Names of the RequestStatus values reported for each machine in RequestDetails
+    var requestStatusNames = ["Success", "TimedOut", "RequestException", "ServerFailureResponse", "FederationError"];
+
+    /* Converts the RequestDetails of a tiered response (one per machine queried) into plain JSON */
+    function normalizeRequestDetails(details) {
+        return (Array.isArray(details) ? details : []).map(function (detail) {
+            var server = parseServerInfo(detail.Server || {});
+            var status = typeof detail.Status === "number" ? requestStatusNames[detail.Status] : detail.Status;
+            return {
+                Machine: server.Hostname + ":" + server.Port,
+                Server: server,
+                Status: status || "Success",
+                StatusDescription: detail.StatusDescription || "",
+                HttpResponseCode: detail.HttpResponseCode,
+                IsAggregator: !!detail.IsAggregator
+            };
+        });
+    }
+
+    /* Converts a CounterQueryResponse object from Bond JSON into plain JSON */
+    function normalizeQueryResponse(response) {
+        var samples = fromBondNullable(response.Samples, true) || [];
+        return {
+            UserContext: response.UserContext || "",
+            HttpResponseCode: response.HttpResponseCode,
+            ErrorMessage: response.ErrorMessage || "",
+            Samples: samples.map(normalizeDataSample),
+            RequestDetails: normalizeRequestDetails(response.RequestDetails)
+        };
+    }
+
+    /* Query string for query parameters and dimension filters ({ start, end, percentile, dimension: value, ... }) */
+    function encodeQuery(queryParameters) {
+        var pairs = [];
+        Object.keys(queryParameters || {}).forEach(function (key) {
+            [].concat(queryParameters[key]).forEach(function (value) {
+                if (value !== undefined && value !== null) {
+                    pairs.push(encodeURIComponent(key) + "=" + encodeURIComponent(String(value)));
+                }
+            });
+        });
+        return pairs.join("&");
+    }
+
+    function buildCounterCommand(counterName, command, queryParameters) {
+        if (!counterName) {
+            counterName = "/*";
+        }
+        if (counterName[0] !== "/") {
+            counterName = "/" + counterName;
+        }
+
+        var path = "/counters" + encodeURI(counterName) + "/" + command;
+        var query = encodeQuery(queryParameters);
+        return query ? path + "?" + query : path;
+    }
+
+    /* Single plottable value for a DataSample */
+    function getChartValue(sample) {
+        switch (sample.SampleType) {
+            case 1:
+                return sample.HitCount;
+            case 2:
+                var total = 0;
+                var count = 0;
+                Object.keys(sample.Histogram || {}).forEach(function (value) {
+                    total += parseInt(value, 10) * sample.Histogram[value];
+                    count += sample.Histogram[value];
+                });
+                return count > 0 ? total / count : 0;
+            case 3:
+                return sample.PercentileValue;
+            case 4:
+                return sample.Average;
+            case 5:
+                return sample.MaxValue;
+            case 6:
+                return sample.MinValue;
+            default:
+                return 0;
+        }
+    }
+
+    /* Histogram buckets as [value, count] pairs ordered by value */
+    function getHistogramBuckets(sample) {
+        return Object.keys(sample.Histogram || {}).map(function (value) {
+            return [parseInt(value, 10), sample.Histogram[value]];
+        }).sort(function (a, b) { return a[0] - b[0]; });
+    }
+
+    /* Value at a percentile (or "average", "minimum", "maximum") of histogram buckets ordered by value */
+    function getPercentileValue(buckets, percentile) {
+        var total = 0;
+        buckets.forEach(function (bucket) {
+            total += bucket[1];
+        });
+        if (total === 0) {
+            return null;
+        }
+
+        switch (String(percentile).toLowerCase()) {
+            case "average":
+                var sum = 0;
+                buckets.forEach(function (bucket) {
+                    sum += bucket[0] * bucket[1];
+                });
+                return sum / total;
+            case "minimum":
+                return buckets[0][0];
+            case "maximum":
+                return buckets[buckets.length - 1][0];
+        }
+
+        var value = parseFloat(percentile);
+        if (isNaN(value)) {
+            return null;
+        }
+
+        var rank = Math.max(1, Math.ceil(value / 100 * total));
+        var seen = 0;
+        for (var i = 0; i < buckets.length; i++) {
+            seen += buckets[i][1];
+            if (seen >= rank) {
+                return buckets[i][0];
+            }
+        }
+        return buckets[buckets.length - 1][0];
+    }
+
+    /* Groups normalized DataSample objects into a time series per set of dimension values: [{ Name, Dimensions,
+     * Points: [{ StartTime, EndTime, Value, SampleType, MachineCount, HitCount, Histogram }] }], with points ordered
+     * by time and Histogram holding [value, count] buckets for histogram samples */
+    function toTimeSeries(samples) {
+        var seriesByKey = {};
+        var series = [];
+        samples.forEach(function (sample) {
+            var dimensions = sample.Dimensions || {};
+            var key = (sample.Name || "") + JSON.stringify(Object.keys(dimensions).sort().map(function (name) {
+                return [name, dimensions[name]];
+            }));
+            if (!seriesByKey[key]) {
+                seriesByKey[key] = { Name: sample.Name || "", Dimensions: dimensions, Points: [] };
+                series.push(seriesByKey[key]);
+            }
+
+            var point = {
+                StartTime: sample.StartTime,
+                EndTime: sample.EndTime,
+                Value: getChartValue(sample),
+                SampleType: sample.SampleType,
+                MachineCount: sample.MachineCount || 0
+            };
+            if (sample.HitCount !== undefined) {
+                point.HitCount = sample.HitCount;
+            }
+            if (sample.SampleType === 2) {
+                point.Histogram = getHistogramBuckets(sample);
+            }
+            seriesByKey[key].Points.push(point);
+        });
+
+        series.forEach(function (entry) {
+            entry.Points.sort(function (a, b) { return a.EndTime - b.EndTime; });
+        });
+        return series;
+    }
+
+    // Lengths of the units durations and relative times are written in, by abbreviation, and the other names each
+    // unit may be written as. MetricUX, its Graphite and Prometheus endpoints and the browser all read times this way.
+    var timeUnits = {
+        s: 1000,
+        m: 60 * 1000,
+        h: 60 * 60 * 1000,
+        d: 24 * 60 * 60 * 1000,
+        w: 7 * 24 * 60 * 60 * 1000,
+        mon: 30 * 24 * 60 * 60 * 1000,
+        y: 365 * 24 * 60 * 60 * 1000
+    };
+
+    var timeUnitNames = {
+        sec: "s", secs: "s", second: "s", seconds: "s",
+        min: "m", mins: "m", minute: "m", minutes: "m",
+        hour: "h", hours: "h",
+        day: "d", days: "d",
+        week: "w", weeks: "w",
+        month: "mon", months: "mon",
+        year: "y", years: "y"
+    };
+
+    /* Milliseconds in a time unit written as an abbreviation or a name ("m", "min", "minutes"); null when unknown */
+    function getTimeUnit(name) {
+        var unit = String(name).toLowerCase();
+        unit = timeUnitNames.hasOwnProperty(unit) ? timeUnitNames[unit] : unit;
+        return timeUnits.hasOwnProperty(unit) ? timeUnits[unit] : null;
+    }
+
+    /* Milliseconds in a duration such as "5m", "-1d" or "+30min"; null when malformed */
+    function parseDuration(value) {
+        var match = /^\s*([+-]?)\s*(\d+)\s*([a-z]+)\s*$/i.exec(String(value));
+        var unit = match ? getTimeUnit(match[3]) : null;
+        if (unit === null) {
+            return null;
+        }
+        var duration = parseInt(match[2], 10) * unit;
+        return match[1] === "-" ? -duration : duration;
+    }
+
+    /* Milliseconds since the epoch of "now", "today" or "yesterday" with an optional offset ("now-6h", "today+9h"),
+     * or of "N units ago", at the given time now. Days start at local midnight. Null for anything else. */
+    function parseRelativeTime(value, now) {
+        if (typeof value !== "string") {
+            return null;
+        }
+
+        var match = /^\s*(now|today|yesterday)\s*(?:([+-]\s*\d+\s*[a-z]+))?\s*$/i.exec(value);
+        if (match) {
+            var time = now;
+            if (match[1].toLowerCase() !== "now") {
+                var day = new Date(now);
+                day.setHours(0, 0, 0, 0);
+                if (match[1].toLowerCase() === "yesterday") {
+                    day.setDate(day.getDate() - 1);
+                }
+                time = day.getTime();
+            }
+            var offset = match[2] ? parseDuration(match[2]) : 0;
+            return offset === null ? null : time + offset;
+        }
+
+        match = /^\s*(\d+\s*[a-z]+)\s+ago\s*$/i.exec(value);
+        var duration = match ? parseDuration(match[1]) : null;
+        return duration === null ? null : now - duration;
+    }
+
+    /* Sends requests with the request module */
+    function nodeTransport(options, callback) {
+        var request = require("request");
+        var requestOptions = {
+            url: options.url,
+            method: options.method,
+            headers: { Accept: "application/json" },
+            timeout: options.timeout
+        };
+        if (options.body) {
+            requestOptions.json = options.body;
+        }
+
+        request(requestOptions, function (error, response, body) {
+            callback(error, response && response.statusCode, body);
+        });
+    }
+
+    /* Sends requests with XMLHttpRequest */
+    function browserTransport(options, callback) {
+        var xhr = new XMLHttpRequest();
+        xhr.open(options.method, options.url);
+        xhr.setRequestHeader("Accept", "application/json");
+        xhr.timeout = options.timeout;
+        xhr.onload = function () {
+            callback(null, xhr.status, xhr.responseText);
+        };
+        xhr.ontimeout = function () {
+            callback({ code: "ETIMEDOUT", message: "Timed out" });
+        };
+        xhr.onerror = function () {
+            callback({ message: "Network error" });
+        };
+
+        if (options.body) {
+            xhr.setRequestHeader("Content-Type", "application/json");
+            xhr.send(JSON.stringify(options.body));
+        }
+        else {
+            xhr.send();
+        }
+    }
+
+    /* Client for the REST API of a single MetricSystem server. options are { timeout, log, transport }; a transport
+     * is a function ({ url, method, body, timeout }, callback(error, statusCode, body)). */
+    function Client(endpoint, options) {
+        options = options || {};
+        this.endpoint = endpoint.replace(/\/+$/, "");
+        this.timeout = options.timeout || defaultTimeout;
+        this.log = !!options.log;
+        this.transport = options.transport || (typeof XMLHttpRequest === "undefined" ? nodeTransport : browserTransport);
+    }
+
+    /* Issues a GET (or a POST if a body is given) and calls back with the parsed JSON response. Errors carry the
+     * status and type described in errors.js, and the RequestDetails of the response when it had any. */
+    Client.prototype.send = function (path, body, timeout, callback) {
+        var options = {
+            url: this.endpoint + path,
+            method: body ? "POST" : "GET",
+            body: body || null,
+            timeout: (timeout || this.timeout) + requestTimeoutPadding
+        };
+
+        var log = this.log;
+        var started = Date.now();
+        this.transport(options, function (error, statusCode, responseBody) {
+            if (log) {
+                console.log("backend " + options.method + " " + options.url + " " +
+                    (error ? error.code || error.message : statusCode) + " " + (Date.now() - started) + " ms");
+            }
+            if (error) {
+                return callback(fromTransportError(error, options.url));
+            }
+
+            var result = responseBody;
+            if (typeof result === "string") {
+                try {
+                    result = JSON.parse(result);
+                }
+                catch (SyntaxException) {
+                    // Error responses carry a plain text message.
+                }
+            }
+
+            // Writes are answered with 202 Accepted
+            if (statusCode < 200 || statusCode >= 300) {
+                // Proxies such as MetricUX's /api answer their own failures with an error envelope
+                var err = createError((result && result.ErrorMessage) || (typeof result === "string" && result) || "Request failed",
+                    statusCode, (result && result.ErrorType) || "upstream");
+                err.response = result;
+                if (result && Array.isArray(result.RequestDetails)) {
+                    err.requestDetails = normalizeRequestDetails(result.RequestDetails);
+                }
+                return callback(err, result);
+            }
+
+            callback(null, result);
+        });
+    };
+
+    /* GET|POST /counters/{pattern}/info. counterPattern may hold * and ? wildcards. Calls back with a list of
+     * CounterInfo objects. */
+    Client.prototype.info = function (counterPattern, queryParameters, tieredRequest, callback) {
+        tieredRequest = toTieredRequest(tieredRequest);
+        var timeout = tieredRequest && tieredRequest.FanoutTimeoutInMilliseconds;
+        this.send(buildCounterCommand(counterPattern, "info", queryParameters), tieredRequest, timeout, function (error, response) {
+            if (error) {
+                return callback(error);
+            }
+
+            callback(null, ((response && response.Counters) || []).map(normalizeCounterInfo));
+        });
+    };
+
+    /* Calls back with the sorted names of the counters matching a pattern */
+    Client.prototype.listCounters = function (counterPattern, queryParameters, tieredRequest, callback) {
+        this.info(counterPattern || "/*", queryParameters, tieredRequest, function (error, counters) {
+            if (error) {
+                return callback(error);
+            }
+
+            callback(null, counters.map(function (counter) { return counter.Name; }).sort());
+        });
+    };
+
+    /* Calls back with the sorted dimensions of the counters matching a pattern */
+    Client.prototype.listDimensions = function (counterPattern, queryParameters, tieredRequest, callback) {
+        this.info(counterPattern, queryParameters, tieredRequest, function (error, counters) {
+            if (error) {
+                return callback(error);
+            }
+
+            var dimensions = {};
+            counters.forEach(function (counter) {
+                counter.Dimensions.forEach(function (dimension) {
+                    dimensions[dimension] = true;
+                });
+            });
+            callback(null, Object.keys(dimensions).sort());
+        });
+    };
+
+    /* Calls back with the sorted values of a dimension (matched without regard to case) across the counters matching
+     * a pattern */
+    Client.prototype.listDimensionValues = function (counterPattern, dimension, queryParameters, tieredRequest, callback) {
+        var parameters = { dimension: dimension };
+        Object.keys(queryParameters || {}).forEach(function (key) {
+            parameters[key] = queryParameters[key];
+        });
+
+        this.info(counterPattern, parameters, tieredRequest, function (error, counters) {
+            if (error) {
+                return callback(error);
+            }
+
+            var values = {};
+            counters.forEach(function (counter) {
+                Object.keys(counter.DimensionValues).forEach(function (name) {
+                    if (name.toLowerCase() === String(dimension).toLowerCase()) {
+                        counter.DimensionValues[name].forEach(function (value) {
+                            values[value] = true;
+                        });
+                    }
+                });
+            });
+            callback(null, Object.keys(values).sort());
+        });
+    };
+
+    /* GET|POST /counters/{name}/query. Calls back with a CounterQueryResponse object. Responses without data (404
+     * "No data matched query.", 409 when the machines queried failed differently) are errors. */
+    Client.prototype.query = function (counterName, queryParameters, tieredRequest, callback) {
+        tieredRequest = toTieredRequest(tieredRequest);
+        var timeout = tieredRequest && tieredRequest.FanoutTimeoutInMilliseconds;
+        this.send(buildCounterCommand(counterName, "query", queryParameters), tieredRequest, timeout, function (error, response) {
+            if (error) {
+                return callback(error);
+            }
+
+            callback(null, normalizeQueryResponse(response || {}));
+        });
+    };
+
+    /* Like query, but calls back with the samples as time series (see toTimeSeries) and the RequestDetails */
+    Client.prototype.querySeries = function (counterName, queryParameters, tieredRequest, callback) {
+        this.query(counterName, queryParameters, tieredRequest, function (error, response) {
+            if (error) {
+                return callback(error);
+            }
+
+            callback(null, toTimeSeries(response.Samples), response.RequestDetails);
+        });
+    };
+
+    /* POST /batch. queries is a list of { CounterName, QueryParameters, UserContext }. Calls back with a list of
+     * CounterQueryResponse objects and the RequestDetails of the batch as a whole. */
+    Client.prototype.batch = function (queries, tieredRequest, callback) {
+        var body = {};
+        tieredRequest = toTieredRequest(tieredRequest);
+        Object.keys(tieredRequest || {}).forEach(function (key) {
+            body[key] = tieredRequest[key];
+        });
+        body.Queries = queries.map(function (query) {
+            return {
+                CounterName: query.CounterName,
+                QueryParameters: toBondMap(query.QueryParameters),
+                UserContext: query.UserContext || ""
+            };
+        });
+
+        this.send("/batch", body, body.FanoutTimeoutInMilliseconds, function (error, response) {
+            if (error) {
+                return callback(error);
+            }
+
+            callback(null, ((response && response.Responses) || []).map(normalizeQueryResponse),
+                normalizeRequestDetails(response && response.RequestDetails));
+        });
+    };
+
+    /* POST /write/{name}. writes is a list of { Value, Count, Timestamp, Dimensions } where Dimensions maps dimension
+     * names to values. Writes are atomic: either all of them are recorded or none. */
+    Client.prototype.write = function (counterName, writes, callback) {
+        var body = {
+            Writes: writes.map(function (write) {
+                var operation = { Value: write.Value };
+                if (write.Count !== undefined) {
+                    operation.Count = write.Count;
+                }
+                if (write.Timestamp !== undefined) {
+                    operation.Timestamp = write.Timestamp;
+                }
+                if (write.Dimensions) {
+                    operation.DimensionValues = toBondMap(write.Dimensions);
+                }
+                return operation;
+            })
+        };
+
+        var path = "/write" + encodeURI(counterName[0] === "/" ? counterName : "/" + counterName);
+        this.send(path, body, null, function (error) {
+            callback(error || null);
+        });
+    };
+
+    /* GET /listServers. Calls back with the ServerInfo objects registered with an aggregation server. */
+    Client.prototype.listServers = function (callback) {
+        this.send("/listServers", null, null, function (error, response) {
+            if (error) {
+                return callback(error);
+            }
+
+            callback(null, parseServerList((response && response.Servers) || []));
+        });
+    };
+
+    return {
+        DefaultServerPort: defaultServerPort,
+        TimeoutCodes: timeoutCodes,
+        Client: Client,
+        createError: createError,
+        parseServerInfo: parseServerInfo,
+        parseServerList: parseServerList,
+        createTieredRequest: createTieredRequest,
+        normalizeRequestDetails: normalizeRequestDetails,
+        toBondMap: toBondMap,
+        fromBondMap: fromBondMap,
+        encodeQuery: encodeQuery,
+        getChartValue: getChartValue,
+        getHistogramBuckets: getHistogramBuckets,
+        getPercentileValue: getPercentileValue,
+        toTimeSeries: toTimeSeries,
+        TimeUnits: timeUnits,
+        getTimeUnit: getTimeUnit,
+        parseDuration: parseDuration,
+        parseRelativeTime: parseRelativeTime
+    };
+}));
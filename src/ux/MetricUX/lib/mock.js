@@ -0,0 +1,1110 @@
+﻿var http = require("http");
+var url = require("url");
+var fs = require("fs");
+var errors = require("./errors");
+var commands = require("./commands");
+
+// A stand-in for MetricSystem aggregation servers, for running MetricUX and its tests without a real deployment
+// (bin/metricsystem-mock starts it). Each environment listens on its own port and answers /counters/{pattern}/info,
+// /counters/{name}/query, /batch, /write/{name} and /listServers in Bond JSON like a real server (or in Bond compact
+// binary when asked for it), fanning queries out to its fake machines. Data is synthetic but deterministic: the value
+// of a counter for a machine, set of dimension values and time bucket is derived from a hash of them, so the same
+// query always answers the same way. Machines can be made slow, bigger than the others, or fail some or all of the
+// time. Values written with /write are kept in memory and added to the environment's data.
+
+var minute = 60 * 1000;
+var day = 24 * 60 * minute;
+
+// Bucket widths, the narrowest one keeping a query under maxBuckets samples per series being used
+var bucketWidths = [minute, 5 * minute, 15 * minute, 60 * minute, 6 * 60 * minute, day];
+var maxBuckets = 720;
+
+// Values histogram counters record, and how widely they spread around a machine's median
+var histogramValues = [1, 2, 3, 4, 5, 6, 8, 10, 12, 15, 20, 25, 30, 40, 50, 60, 80, 100, 120, 150, 200, 250, 300, 400, 500,
+    600, 800, 1000, 1200, 1500, 2000, 2500, 3000, 4000, 5000, 6000, 8000, 10000];
+var histogramSpread = 0.6;
+
+var reservedParameters = ["start", "end", "percentile", "aggregate", "dimension", "machine", "machinefunction", "datacenter", "environment"];
+
+// RequestStatus values
+var statusSuccess = 0;
+var statusTimedOut = 1;
+var statusRequestException = 2;
+var statusServerFailureResponse = 3;
+
+var defaults = {
+    seed: "metricsystem-mock",
+    retentionDays: 7,
+    environments: {
+        "mock-prod": {
+            port: 4200,
+            machines: 8,
+            datacenters: ["east", "west"],
+            overrides: {
+                "mock-prod-03": { failure: "timeout", failureRate: 0.1 },
+                "mock-prod-06": { scale: 3 },
+                "mock-prod-08": { failure: "error", failureRate: 0.2 }
+            }
+        },
+        "mock-test": { port: 4201, machines: 2, datacenters: ["east"] }
+    },
+    counters: [
+        {
+            name: "/Mock/Requests",
+            type: "hitcount",
+            rate: 600,
+            dimensions: { dc: ["east", "west"], role: ["web", "api"], status: { "200": 0.9, "404": 0.07, "500": 0.03 } }
+        },
+        {
+            name: "/Mock/Errors",
+            type: "hitcount",
+            rate: 12,
+            dimensions: { dc: ["east", "west"], role: ["web", "api"], reason: { timeout: 0.5, exception: 0.3, throttled: 0.2 } }
+        },
+        {
+            name: "/Mock/Latency",
+            type: "histogram",
+            rate: 300,
+            median: 40,
+            dimensions: { dc: ["east", "west"], role: ["web", "api"] }
+        }
+    ]
+};
+
+/* 32 bit FNV-1a hash of a string */
+function hash(text) {
+    var value = 0x811c9dc5;
+    for (var i = 0; i < text.length; i++) {
+        value ^= text.charCodeAt(i);
+        value = (value * 0x01000193) >>> 0;
+    }
+    return value;
+}
+
+/* A number in [0, 1) picked by a key, always the same for the same key */
+function random(key) {
+    return hash(key) / 4294967296;
+}
+
+function globToRegExp(pattern) {
+    var escaped = String(pattern).replace(/[.+^${}()|[\]\\\/]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+    return new RegExp("^" + escaped + "$", "i");
+}
+
+function matchGlob(value, pattern) {
+    return globToRegExp(pattern).test(String(value));
+}
+
+/* Milliseconds since the epoch for a time parameter (milliseconds, a time such as now-1h, or anything Date.parse
+ * reads), or fallback */
+function parseTime(value, fallback) {
+    if (value === undefined || value === null || value === "") {
+        return fallback;
+    }
+    if (/^\s*-?\d+\s*$/.test(value)) {
+        return parseInt(value, 10);
+    }
+    var time = Date.parse(commands.normalizeTime(String(value)));
+    return isNaN(time) ? null : time;
+}
+
+function getBucketWidth(start, end) {
+    for (var i = 0; i < bucketWidths.length; i++) {
+        if ((end - start) / bucketWidths[i] <= maxBuckets) {
+            return bucketWidths[i];
+        }
+    }
+    return bucketWidths[bucketWidths.length - 1];
+}
+
+/* Weight of each value of a dimension: given as { value: weight }, or shared evenly by a list of values */
+function getDimensionWeights(values) {
+    var weights = {};
+    if (Array.isArray(values)) {
+        values.forEach(function (value) {
+            weights[value] = 1 / values.length;
+        });
+    }
+    else {
+        Object.keys(values || {}).forEach(function (value) {
+            weights[value] = Number(values[value]) || 0;
+        });
+    }
+    return weights;
+}
+
+function normalizeCounter(counter) {
+    var dimensions = {};
+    Object.keys(counter.dimensions || {}).forEach(function (dimension) {
+        dimensions[dimension] = getDimensionWeights(counter.dimensions[dimension]);
+    });
+    return {
+        name: counter.name[0] === "/" ? counter.name : "/" + counter.name,
+        type: counter.type === "histogram" ? "histogram" : "hitcount",
+        rate: counter.rate !== undefined ? Number(counter.rate) : 60,
+        median: counter.median !== undefined ? Number(counter.median) : 50,
+        dimensions: dimensions
+    };
+}
+
+/* Machines of an environment: a count, named <environment>-01 and on, or a list of names or machine objects.
+ * overrides adds settings to machines by name. */
+function normalizeMachines(name, environment) {
+    var machines = environment.machines !== undefined ? environment.machines : 4;
+    if (typeof machines === "number") {
+        var count = machines;
+        machines = [];
+        for (var i = 1; i <= count; i++) {
+            machines.push(name + "-" + (i < 10 ? "0" : "") + i);
+        }
+    }
+
+    var datacenters = environment.datacenters || [""];
+    return machines.map(function (machine, index) {
+        if (typeof machine === "string") {
+            machine = { name: machine };
+        }
+        var settings = {};
+        [machine, (environment.overrides || {})[machine.name] || {}].forEach(function (source) {
+            Object.keys(source).forEach(function (key) {
+                settings[key] = source[key];
+            });
+        });
+        return {
+            Hostname: settings.name,
+            Port: settings.port || environment.port,
+            MachineFunction: settings.machineFunction || environment.machineFunction || "",
+            Datacenter: settings.datacenter || datacenters[index % datacenters.length],
+            latency: settings.latency !== undefined ? settings.latency : 5 + Math.round(random(settings.name + "|latency") * 20),
+            failure: settings.failure || (settings.failureRate ? "error" : null),
+            failureRate: settings.failure && settings.failureRate === undefined ? 1 : settings.failureRate || 0,
+            scale: settings.scale !== undefined ? settings.scale : 1
+        };
+    });
+}
+
+/* One mocked aggregation server and its machines */
+function Environment(name, settings, options) {
+    this.name = name;
+    this.port = settings.port;
+    this.latency = settings.latency || 0;
+    this.machines = normalizeMachines(name, settings);
+    this.counters = options.counters;
+    this.seed = options.seed;
+    this.retention = options.retentionDays * day;
+    this.writes = {}; // written values by lower case counter name
+    this.requestCount = 0;
+    this.log = !!options.log;
+}
+
+Environment.prototype.getCounter = function (name) {
+    var lowerName = String(name).toLowerCase();
+    for (var i = 0; i < this.counters.length; i++) {
+        if (this.counters[i].name.toLowerCase() === lowerName) {
+            return this.counters[i];
+        }
+    }
+    return null;
+};
+
+/* Values of a dimension of a counter, including values written to it */
+Environment.prototype.getDimensionValues = function (counter, dimension) {
+    var values = Object.keys(counter.dimensions[dimension]);
+    (this.writes[counter.name.toLowerCase()] || []).forEach(function (write) {
+        if (values.indexOf(write.dimensions[dimension]) < 0) {
+            values.push(write.dimensions[dimension]);
+        }
+    });
+    return values;
+};
+
+/* Decides how each machine queried fares: { machine, status, code, description }. Sources are matched by host
+ * name; without sources every machine matching the machineFunction and datacenter parameters is queried, as real
+ * aggregation servers do. */
+Environment.prototype.fanOut = function (sources, queryParameters) {
+    var self = this;
+    var requestNumber = ++this.requestCount;
+    var targets;
+    if (sources && sources.length > 0) {
+        targets = sources.map(function (source) {
+            var hostname = String(source.Hostname || "").toLowerCase();
+            var matches = self.machines.filter(function (machine) { return machine.Hostname.toLowerCase() === hostname; });
+            return matches[0] || { Hostname: source.Hostname, Port: source.Port || self.port, unknown: true };
+        });
+    }
+    else {
+        targets = this.machines.filter(function (machine) {
+            return matchGlob(machine.MachineFunction, queryParameters.machinefunction || "*") &&
+                matchGlob(machine.Datacenter, queryParameters.datacenter || "*");
+        });
+    }
+
+    return targets.map(function (machine) {
+        if (machine.unknown) {
+            return { machine: machine, status: statusRequestException, code: 0, description: "Unknown host " + machine.Hostname };
+        }
+
+        var fails = machine.failure && random(self.seed + "|" + machine.Hostname + "|" + requestNumber) < machine.failureRate;
+        switch (fails ? machine.failure : null) {
+            case "timeout":
+                return { machine: machine, status: statusTimedOut, code: 0, description: "" };
+            case "unreachable":
+                return { machine: machine, status: statusRequestException, code: 0, description: "Unable to connect to " + machine.Hostname };
+            case "nodata":
+                return { machine: machine, status: statusServerFailureResponse, code: 404, description: "No data matched query." };
+            case "error":
+                return { machine: machine, status: statusServerFailureResponse, code: 500, description: "Internal server error" };
+            default:
+                return { machine: machine, status: statusSuccess, code: 200, description: "OK" };
+        }
+    });
+};
+
+/* Milliseconds to wait before answering: the environment's latency plus that of the slowest machine, or the fan-out
+ * timeout when a machine timed out or was slower than it */
+Environment.prototype.getDelay = function (outcomes, fanoutTimeout) {
+    var slowest = 0;
+    outcomes.forEach(function (outcome) {
+        if (outcome.status === statusTimedOut) {
+            slowest = Math.max(slowest, fanoutTimeout);
+        }
+        else if (!outcome.machine.unknown) {
+            slowest = Math.max(slowest, outcome.machine.latency);
+        }
+    });
+    return this.latency + Math.min(slowest, fanoutTimeout);
+};
+
+/* Marks machines slower than the fan-out timeout as timed out */
+function applyTimeout(outcomes, fanoutTimeout) {
+    outcomes.forEach(function (outcome) {
+        if (outcome.status === statusSuccess && outcome.machine.latency > fanoutTimeout) {
+            outcome.status = statusTimedOut;
+            outcome.code = 0;
+            outcome.description = "";
+        }
+    });
+}
+
+function toRequestDetails(outcome) {
+    return {
+        Server: { Hostname: outcome.machine.Hostname, Port: outcome.machine.Port },
+        Status: outcome.status,
+        StatusDescription: outcome.description,
+        HttpResponseCode: outcome.code,
+        IsAggregator: false
+    };
+}
+
+/* Dimension value combinations of a counter matching the filters: [{ dimensions, weight }] */
+function getCombinations(counter, filters) {
+    var combinations = [{ dimensions: {}, weight: 1 }];
+    Object.keys(counter.dimensions).forEach(function (dimension) {
+        var weights = counter.dimensions[dimension];
+        var pattern = filters[dimension.toLowerCase()];
+        var expanded = [];
+        combinations.forEach(function (combination) {
+            Object.keys(weights).forEach(function (value) {
+                if (pattern !== undefined && !matchGlob(value, pattern)) {
+                    return;
+                }
+                var dimensions = {};
+                Object.keys(combination.dimensions).forEach(function (key) {
+                    dimensions[key] = combination.dimensions[key];
+                });
+                dimensions[dimension] = value;
+                expanded.push({ dimensions: dimensions, weight: combination.weight * weights[value] });
+            });
+        });
+        combinations = expanded;
+    });
+    return combinations;
+}
+
+function getCombinationKey(dimensions) {
+    return Object.keys(dimensions).sort().map(function (key) { return key + "=" + dimensions[key]; }).join(",");
+}
+
+/* Synthetic hits of a counter on a machine for a set of dimension values over [start, start + width): a per machine
+ * rate following a daily cycle, with some noise */
+Environment.prototype.getHits = function (counter, machine, combination, start, width) {
+    var key = this.seed + "|" + counter.name + "|" + machine.Hostname;
+    var comboKey = key + "|" + getCombinationKey(combination.dimensions);
+    var rate = counter.rate * combination.weight * machine.scale * (0.75 + 0.5 * random(comboKey));
+    var middle = start + width / 2;
+    var cycle = 1 + 0.3 * Math.sin(2 * Math.PI * ((middle % day) / day + random(key + "|phase")));
+    var noise = 0.85 + 0.3 * random(comboKey + "|" + start);
+    return Math.round(rate * (width / minute) * cycle * noise);
+};
+
+/* Synthetic histogram ({ value: count }) spreading the hits around a per machine median */
+Environment.prototype.getHistogram = function (counter, machine, combination, start, width) {
+    var count = this.getHits(counter, machine, combination, start, width);
+    var comboKey = this.seed + "|" + counter.name + "|" + machine.Hostname + "|" + getCombinationKey(combination.dimensions);
+    var median = counter.median * machine.scale * (0.7 + 0.6 * random(comboKey + "|median")) *
+        (0.9 + 0.2 * random(comboKey + "|median|" + start));
+
+    var weights = histogramValues.map(function (value) {
+        var distance = Math.log(value / median) / histogramSpread;
+        return Math.exp(-distance * distance / 2);
+    });
+    var total = weights.reduce(function (sum, weight) { return sum + weight; }, 0);
+
+    var histogram = {};
+    histogramValues.forEach(function (value, index) {
+        var hits = Math.round(count * weights[index] / total);
+        if (hits > 0) {
+            histogram[value] = hits;
+        }
+    });
+    return histogram;
+};
+
+function addHistogram(target, histogram) {
+    Object.keys(histogram).forEach(function (value) {
+        target[value] = (target[value] || 0) + histogram[value];
+    });
+}
+
+/* Value at a percentile (0 to 100) of a histogram */
+function getPercentile(histogram, percentile) {
+    var values = Object.keys(histogram).map(Number).sort(function (a, b) { return a - b; });
+    var total = 0;
+    values.forEach(function (value) {
+        total += histogram[value];
+    });
+    var rank = Math.max(1, Math.ceil(percentile / 100 * total));
+    var seen = 0;
+    for (var i = 0; i < values.length; i++) {
+        seen += histogram[values[i]];
+        if (seen >= rank) {
+            return values[i];
+        }
+    }
+    return values[values.length - 1];
+}
+
+/* A Bond JSON DataSample for the hits or histogram of a bucket, shaped by the percentile parameter */
+function toDataSample(counter, dimensions, bucket, percentile) {
+    var sample = {
+        Name: counter.name,
+        Dimensions: [],
+        StartTime: bucket.start,
+        EndTime: bucket.end,
+        MachineCount: bucket.machines.length
+    };
+    Object.keys(dimensions).forEach(function (key) {
+        sample.Dimensions.push(key, dimensions[key]);
+    });
+
+    if (counter.type === "hitcount") {
+        sample.SampleType = 1;
+        sample.HitCount = bucket.hits;
+        return sample;
+    }
+
+    var values = Object.keys(bucket.histogram).map(Number).sort(function (a, b) { return a - b; });
+    var count = 0;
+    var sum = 0;
+    values.forEach(function (value) {
+        count += bucket.histogram[value];
+        sum += value * bucket.histogram[value];
+    });
+    sample.SampleCount = count;
+
+    switch (percentile === undefined ? "" : String(percentile).toLowerCase()) {
+        case "":
+            sample.SampleType = 2;
+            sample.Histogram = [];
+            values.forEach(function (value) {
+                sample.Histogram.push(value, bucket.histogram[value]);
+            });
+            break;
+        case "average":
+            sample.SampleType = 4;
+            sample.Average = sum / count;
+            break;
+        case "maximum":
+            sample.SampleType = 5;
+            sample.MaxValue = values[values.length - 1];
+            break;
+        case "minimum":
+            sample.SampleType = 6;
+            sample.MinValue = values[0];
+            break;
+        default:
+            sample.SampleType = 3;
+            sample.Percentile = Number(percentile);
+            sample.PercentileValue = getPercentile(bucket.histogram, Number(percentile));
+    }
+    return sample;
+}
+
+/* Splits query parameters into lower case reserved parameters and dimension filters */
+function splitParameters(queryParameters) {
+    var result = { reserved: {}, filters: {} };
+    Object.keys(queryParameters || {}).forEach(function (key) {
+        var value = queryParameters[key];
+        if (Array.isArray(value)) {
+            value = value[value.length - 1];
+        }
+        var lowerKey = key.toLowerCase();
+        if (reservedParameters.indexOf(lowerKey) >= 0) {
+            result.reserved[lowerKey] = value;
+        }
+        else {
+            result.filters[lowerKey] = String(value);
+        }
+    });
+    return result;
+}
+
+function matchesFilters(dimensions, filters) {
+    return Object.keys(filters).every(function (key) {
+        var values = Object.keys(dimensions).filter(function (name) { return name.toLowerCase() === key; });
+        return values.length > 0 && matchGlob(dimensions[values[0]], filters[key]);
+    });
+}
+
+/* Runs a query against the machines which answered. Returns a Bond JSON CounterQueryResponse without RequestDetails,
+ * and marks machines without data as having answered 404. Throws errors with a status for malformed queries. */
+Environment.prototype.runQuery = function (counterName, queryParameters, outcomes) {
+    var parameters = splitParameters(queryParameters);
+    var reserved = parameters.reserved;
+    var filters = parameters.filters;
+    var now = Date.now();
+
+    var end = parseTime(reserved.end, now);
+    var start = parseTime(reserved.start, end - 60 * minute);
+    if (start === null || end === null || start >= end) {
+        throw errors.create("Invalid time range.", 400);
+    }
+    var splitBy = reserved.dimension;
+    if (splitBy !== undefined && filters[splitBy.toLowerCase()] !== undefined) {
+        throw errors.create("The split dimension " + splitBy + " cannot also be filtered.", 400);
+    }
+    var percentile = reserved.percentile;
+    if (percentile !== undefined && ["average", "maximum", "minimum"].indexOf(String(percentile).toLowerCase()) < 0) {
+        var value = Number(percentile);
+        if (isNaN(value) || value < 0 || value > 100) {
+            throw errors.create("Percentile must be a value between 0 and 100 (inclusive)", 400);
+        }
+    }
+
+    var counter = this.getCounter(counterName);
+    var series = {};
+    var answered = outcomes.filter(function (outcome) { return outcome.status === statusSuccess; });
+    if (counter) {
+        var splitDimension = null;
+        Object.keys(counter.dimensions).forEach(function (dimension) {
+            if (splitBy !== undefined && dimension.toLowerCase() === splitBy.toLowerCase()) {
+                splitDimension = dimension;
+            }
+        });
+        var unknownFilter = Object.keys(filters).some(function (key) {
+            return !Object.keys(counter.dimensions).some(function (dimension) { return dimension.toLowerCase() === key; });
+        });
+        if (!unknownFilter && (splitBy === undefined || splitDimension !== null)) {
+            series = this.collect(counter, answered, filters, splitDimension, Math.max(start, now - this.retention), Math.min(end, now),
+                reserved.aggregate !== undefined && String(reserved.aggregate).toLowerCase() === "true");
+        }
+    }
+
+    // Machines which answered but had no data report 404
+    var reporting = {};
+    var samples = [];
+    Object.keys(series).forEach(function (key) {
+        series[key].buckets.forEach(function (bucket) {
+            bucket.machines.forEach(function (machine) {
+                reporting[machine] = true;
+            });
+            samples.push(toDataSample(counter, series[key].dimensions, bucket, percentile));
+        });
+    });
+    answered.forEach(function (outcome) {
+        if (!reporting[outcome.machine.Hostname]) {
+            outcome.status = statusServerFailureResponse;
+            outcome.code = 404;
+            outcome.description = "No data matched query.";
+        }
+    });
+
+    // Like a real aggregation server: 200 when anyone had data, the shared status when every machine failed alike
+    var failedCodes = {};
+    outcomes.forEach(function (outcome) {
+        failedCodes[outcome.code] = true;
+    });
+    var code = 409;
+    var message = "Machines queried failed with different errors.";
+    if (samples.length > 0) {
+        code = 200;
+        message = "";
+    }
+    else if (outcomes.length === 0 || (Object.keys(failedCodes).length === 1 && outcomes[0].code !== 0)) {
+        code = outcomes.length === 0 ? 404 : outcomes[0].code;
+        message = outcomes.length === 0 ? "No data matched query." : outcomes[0].description;
+    }
+    return {
+        UserContext: "",
+        HttpResponseCode: code,
+        ErrorMessage: message,
+        Samples: [samples]
+    };
+};
+
+/* Sums the data of the machines which answered (and the values written to the environment) into buckets of each
+ * series: { key: { dimensions, buckets: [{ start, end, hits, histogram, machines }] } } */
+Environment.prototype.collect = function (counter, answered, filters, splitDimension, start, end, aggregate) {
+    var self = this;
+    var series = {};
+    if (start >= end) {
+        return series;
+    }
+
+    var width = getBucketWidth(start, end);
+    var firstBucket = Math.floor(start / width) * width;
+    var bucketCount = Math.ceil((end - firstBucket) / width);
+    var filterDimensions = {};
+    Object.keys(counter.dimensions).forEach(function (dimension) {
+        if (filters[dimension.toLowerCase()] !== undefined) {
+            filterDimensions[dimension] = filters[dimension.toLowerCase()];
+        }
+    });
+
+    var getSeries = function (splitValue) {
+        var key = splitDimension ? splitValue : "";
+        if (!series[key]) {
+            var dimensions = {};
+            Object.keys(filterDimensions).forEach(function (dimension) {
+                dimensions[dimension] = filterDimensions[dimension];
+            });
+            if (splitDimension) {
+                dimensions[splitDimension] = splitValue;
+            }
+            var buckets = [];
+            for (var i = 0; i < (aggregate ? 1 : bucketCount); i++) {
+                buckets.push({
+                    start: aggregate ? start : firstBucket + i * width,
+                    end: aggregate ? end : firstBucket + (i + 1) * width,
+                    hits: 0,
+                    histogram: {},
+                    machines: []
+                });
+            }
+            series[key] = { dimensions: dimensions, buckets: buckets };
+        }
+        return series[key];
+    };
+    var add = function (bucket, machineName, hits, histogram) {
+        bucket.hits += hits;
+        addHistogram(bucket.histogram, histogram);
+        if (bucket.machines.indexOf(machineName) < 0) {
+            bucket.machines.push(machineName);
+        }
+    };
+
+    var combinations = getCombinations(counter, filters);
+    answered.forEach(function (outcome) {
+        var machine = outcome.machine;
+        combinations.forEach(function (combination) {
+            var entry = getSeries(splitDimension ? combination.dimensions[splitDimension] : "");
+            for (var i = 0; i < bucketCount; i++) {
+                var bucketStart = firstBucket + i * width;
+                var histogram = counter.type === "histogram" ? self.getHistogram(counter, machine, combination, bucketStart, width) : {};
+                var hits = counter.type === "histogram" ? 0 : self.getHits(counter, machine, combination, bucketStart, width);
+                if (hits > 0 || Object.keys(histogram).length > 0) {
+                    add(entry.buckets[aggregate ? 0 : i], machine.Hostname, hits, histogram);
+                }
+            }
+        });
+    });
+
+    // Values written to the environment count as the data of the aggregation server itself
+    (this.writes[counter.name.toLowerCase()] || []).forEach(function (write) {
+        if (write.time < firstBucket || write.time >= firstBucket + bucketCount * width || !matchesFilters(write.dimensions, filters)) {
+            return;
+        }
+        var entry = getSeries(splitDimension ? write.dimensions[splitDimension] : "");
+        var histogram = {};
+        if (counter.type === "histogram") {
+            histogram[write.value] = write.count;
+        }
+        var bucket = entry.buckets[aggregate ? 0 : Math.floor((write.time - firstBucket) / width)];
+        add(bucket, self.name, counter.type === "histogram" ? 0 : write.value * write.count, histogram);
+    });
+
+    Object.keys(series).forEach(function (key) {
+        series[key].buckets = series[key].buckets.filter(function (bucket) { return bucket.machines.length > 0; });
+        if (series[key].buckets.length === 0) {
+            delete series[key];
+        }
+    });
+    return series;
+};
+
+/* CounterInfo objects of the counters matching a pattern. The dimension parameter (a pattern) asks for the values
+ * of the dimensions it matches, narrowed by the filter on each dimension. */
+Environment.prototype.getCounterInfo = function (pattern, queryParameters) {
+    var self = this;
+    var parameters = splitParameters(queryParameters);
+    var now = Date.now();
+    return this.counters.filter(function (counter) { return matchGlob(counter.name, pattern); }).map(function (counter) {
+        var dimensions = Object.keys(counter.dimensions);
+        var dimensionValues = [];
+        if (parameters.reserved.dimension !== undefined) {
+            dimensions.filter(function (dimension) { return matchGlob(dimension, parameters.reserved.dimension); }).forEach(function (dimension) {
+                var filter = parameters.filters[dimension.toLowerCase()];
+                dimensionValues.push(dimension, self.getDimensionValues(counter, dimension).filter(function (value) {
+                    return filter === undefined || matchGlob(value, filter);
+                }));
+            });
+        }
+        return {
+            Name: counter.name,
+            Type: counter.type === "histogram" ? 1 : 0,
+            StartTime: Math.floor((now - self.retention) / minute) * minute,
+            EndTime: Math.floor(now / minute) * minute,
+            Dimensions: dimensions,
+            DimensionValues: [dimensionValues]
+        };
+    });
+};
+
+/* Records a CounterWriteRequest, all of its writes or none */
+Environment.prototype.write = function (counterName, body) {
+    var counter = this.getCounter(counterName);
+    if (!counter) {
+        throw errors.create("Unknown counter name provided.", 404);
+    }
+    if (!body || !Array.isArray(body.Writes) || body.Writes.length === 0) {
+        throw errors.create("No write operations were provided.", 400);
+    }
+
+    var now = Date.now();
+    var writes = body.Writes.map(function (operation) {
+        var count = operation.Count !== undefined ? Number(operation.Count) : 1;
+        if (!(count >= 1)) {
+            throw errors.create("Operation counts must be greater than zero.", 400);
+        }
+        var value = Number(operation.Value);
+        if (isNaN(value)) {
+            throw errors.create("Could not deserialize input.", 400);
+        }
+
+        var given = operation.DimensionValues || [];
+        var dimensions = {};
+        Object.keys(counter.dimensions).forEach(function (dimension) {
+            dimensions[dimension] = "";
+            for (var i = 0; i + 1 < given.length; i += 2) {
+                if (String(given[i]).toLowerCase() === dimension.toLowerCase()) {
+                    dimensions[dimension] = String(given[i + 1]);
+                }
+            }
+        });
+
+        var time = operation.Timestamp === undefined || operation.Timestamp <= -9007199254740991 ? now : Number(operation.Timestamp);
+        return { value: value, count: count, time: time, dimensions: dimensions };
+    });
+
+    var key = counter.name.toLowerCase();
+    this.writes[key] = (this.writes[key] || []).concat(writes);
+};
+
+function parseBody(req, callback) {
+    var chunks = [];
+    req.on("data", function (chunk) {
+        chunks.push(chunk);
+    });
+    req.on("end", function () {
+        var text = Buffer.concat(chunks).toString("utf8");
+        if (text.trim() === "") {
+            return callback(null, null);
+        }
+        try {
+            callback(null, JSON.parse(text));
+        }
+        catch (e) {
+            callback(errors.create("Could not read input body", 400));
+        }
+    });
+}
+
+// Bond compact binary (version 1), which clients asking for bond/compact-binary get info, query and batch responses
+// in. The schemas are those of src/Schemas: each has its base and its fields as [id, name, type], a type being the
+// name of a Bond type, a schema, or a container as [list or set, element type] or [map, key type, value type].
+// Nullable values are written as the list of none or one value Bond makes of them.
+var bondContentType = "bond/compact-binary";
+
+var bondTypeIds = {
+    bool: 2, uint8: 3, uint16: 4, uint32: 5, uint64: 6, float: 7, double: 8, string: 9, struct: 10, list: 11, set: 12,
+    map: 13, int8: 14, int16: 15, int32: 16, int64: 17
+};
+
+var bondServerInfo = {
+    base: null,
+    fields: [[1, "Hostname", "string"], [2, "Port", "uint16"], [3, "MachineFunction", "string"], [4, "Datacenter", "string"]]
+};
+
+var bondRequestDetails = {
+    base: null,
+    fields: [[1, "Server", bondServerInfo], [2, "Status", "int32"], [3, "StatusDescription", "string"], [4, "HttpResponseCode", "int16"],
+        [5, "IsAggregator", "bool"]]
+};
+
+var bondTieredResponse = {
+    base: { base: null, fields: [] },
+    fields: [[1, "RequestDetails", ["list", bondRequestDetails]]]
+};
+
+var bondCounterInfo = {
+    base: null,
+    fields: [[1, "Name", "string"], [2, "Type", "int32"], [3, "StartTime", "int64"], [4, "EndTime", "int64"],
+        [5, "Dimensions", ["list", "string"]], [6, "DimensionValues", ["list", ["map", "string", ["set", "string"]]]]]
+};
+
+var bondDataSample = {
+    base: null,
+    fields: [[1, "Name", "string"], [2, "Dimensions", ["map", "string", "string"]], [3, "StartTime", "int64"], [4, "EndTime", "int64"],
+        [5, "SampleType", "int32"], [10, "HitCount", "int64"], [11, "Histogram", ["map", "int64", "uint32"]], [12, "SampleCount", "uint64"],
+        [13, "Average", "double"], [14, "Percentile", "double"], [15, "PercentileValue", "int64"], [16, "MinValue", "int64"],
+        [17, "MaxValue", "int64"], [100, "MachineCount", "uint32"]]
+};
+
+var bondCounterQueryResponse = {
+    base: bondTieredResponse,
+    fields: [[1, "UserContext", "string"], [2, "HttpResponseCode", "int16"], [3, "ErrorMessage", "string"],
+        [4, "Samples", ["list", ["list", bondDataSample]]]]
+};
+
+var bondSchemas = {
+    info: { base: bondTieredResponse, fields: [[1, "Counters", ["list", bondCounterInfo]]] },
+    query: bondCounterQueryResponse,
+    batch: { base: bondTieredResponse, fields: [[1, "Responses", ["list", bondCounterQueryResponse]]] }
+};
+
+function getBondTypeId(type) {
+    if (typeof type === "string") {
+        return bondTypeIds[type];
+    }
+    return Array.isArray(type) ? bondTypeIds[type[0]] : bondTypeIds.struct;
+}
+
+/* Writes compact-binary values as a list of bytes */
+function BondWriter() {
+    this.bytes = [];
+}
+
+/* Unsigned LEB128 variable length integer */
+BondWriter.prototype.writeVarint = function (value) {
+    value = Math.round(value);
+    do {
+        var b = value % 128;
+        value = Math.floor(value / 128);
+        this.bytes.push(value > 0 ? b | 0x80 : b);
+    } while (value > 0);
+};
+
+BondWriter.prototype.writeBuffer = function (buffer) {
+    for (var i = 0; i < buffer.length; i++) {
+        this.bytes.push(buffer[i]);
+    }
+};
+
+BondWriter.prototype.writeValue = function (type, value) {
+    var self = this;
+    var buffer;
+    if (typeof type !== "string" && !Array.isArray(type)) {
+        return this.writeStruct(type, value);
+    }
+
+    switch (Array.isArray(type) ? type[0] : type) {
+        case "bool":
+            return this.bytes.push(value ? 1 : 0);
+        case "uint8":
+        case "int8":
+            return this.bytes.push(value & 0xff);
+        case "uint16":
+        case "uint32":
+        case "uint64":
+            return this.writeVarint(value);
+        case "int16":
+        case "int32":
+        case "int64":
+            // Signed integers are zigzag encoded
+            value = Math.round(value);
+            return this.writeVarint(value >= 0 ? value * 2 : -value * 2 - 1);
+        case "float":
+            buffer = new Buffer(4);
+            buffer.writeFloatLE(value, 0);
+            return this.writeBuffer(buffer);
+        case "double":
+            buffer = new Buffer(8);
+            buffer.writeDoubleLE(value, 0);
+            return this.writeBuffer(buffer);
+        case "string":
+            buffer = new Buffer(String(value), "utf8");
+            this.writeVarint(buffer.length);
+            return this.writeBuffer(buffer);
+        case "list":
+        case "set":
+            this.bytes.push(getBondTypeId(type[1]));
+            this.writeVarint(value.length);
+            return value.forEach(function (element) {
+                self.writeValue(type[1], element);
+            });
+        case "map":
+            // Bond JSON maps are flat [key, value, key, value, ...] lists
+            this.bytes.push(getBondTypeId(type[1]), getBondTypeId(type[2]));
+            this.writeVarint(Math.floor(value.length / 2));
+            for (var i = 0; i + 1 < value.length; i += 2) {
+                this.writeValue(type[1], value[i]);
+                this.writeValue(type[2], value[i + 1]);
+            }
+            return;
+    }
+};
+
+/* Writes the fields a struct has a value for, each level of its hierarchy from the base down ending in BT_STOP_BASE
+ * and the struct itself in BT_STOP */
+BondWriter.prototype.writeStruct = function (schema, value) {
+    var self = this;
+    var hierarchy = [];
+    for (var level = schema; level; level = level.base) {
+        hierarchy.unshift(level);
+    }
+
+    hierarchy.forEach(function (levelSchema, index) {
+        levelSchema.fields.forEach(function (field) {
+            var id = field[0];
+            var typeId = getBondTypeId(field[2]);
+            if (value[field[1]] === undefined) {
+                return;
+            }
+            if (id <= 5) {
+                self.bytes.push((id << 5) | typeId);
+            }
+            else if (id <= 0xff) {
+                self.bytes.push((6 << 5) | typeId, id);
+            }
+            else {
+                self.bytes.push((7 << 5) | typeId, id & 0xff, id >> 8);
+            }
+            self.writeValue(field[2], value[field[1]]);
+        });
+        self.bytes.push(index < hierarchy.length - 1 ? 1 : 0);
+    });
+};
+
+/* Encodes a Bond JSON response in compact binary */
+function toCompactBinary(schema, value) {
+    var writer = new BondWriter();
+    writer.writeStruct(schema, value);
+    return new Buffer(writer.bytes);
+}
+
+/* Answers a request after delay milliseconds: as text for errors, in compact binary when given the schema of the
+ * response, or as JSON */
+function respond(res, status, body, delay, schema) {
+    setTimeout(function () {
+        if (typeof body === "string") {
+            res.writeHead(status, { "Content-Type": "text/plain" });
+            return res.end(body);
+        }
+        if (schema) {
+            res.writeHead(status, { "Content-Type": bondContentType });
+            return res.end(toCompactBinary(schema, body));
+        }
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(body));
+    }, delay || 0);
+}
+
+/* Handles /counters/{pattern}/info and /counters/{name}/query, answering in compact binary when binary is set */
+Environment.prototype.handleCounters = function (path, queryParameters, body, res, binary) {
+    var separator = path.lastIndexOf("/");
+    var counterName = path.substr("/counters".length, separator - "/counters".length);
+    var command = path.substr(separator + 1).toLowerCase();
+    if (counterName === "" || (command !== "info" && command !== "query")) {
+        return respond(res, 400, "Unknown command: " + command);
+    }
+
+    var tiered = body || {};
+    var fanoutTimeout = tiered.FanoutTimeoutInMilliseconds || 300;
+    var outcomes = this.fanOut(tiered.Sources, splitParameters(queryParameters).reserved);
+    applyTimeout(outcomes, fanoutTimeout);
+    var delay = this.getDelay(outcomes, fanoutTimeout);
+    var diagnostics = tiered.IncludeRequestDiagnostics !== false;
+
+    if (command === "info") {
+        var answered = outcomes.some(function (outcome) { return outcome.status === statusSuccess; });
+        var counters = answered ? this.getCounterInfo(counterName, queryParameters) : [];
+        return respond(res, 200, {
+            Counters: counters,
+            RequestDetails: diagnostics ? outcomes.map(toRequestDetails) : []
+        }, delay, binary ? bondSchemas.info : null);
+    }
+
+    var response = this.runQuery(counterName, queryParameters, outcomes);
+    response.RequestDetails = diagnostics ? outcomes.map(toRequestDetails) : [];
+    respond(res, response.HttpResponseCode, response, delay, binary ? bondSchemas.query : null);
+};
+
+/* Handles /batch: each query runs against the same machines. Answers in compact binary when binary is set. */
+Environment.prototype.handleBatch = function (body, res, binary) {
+    var self = this;
+    if (!body || !Array.isArray(body.Queries)) {
+        return respond(res, 400, "Could not read input body");
+    }
+
+    var fanoutTimeout = body.FanoutTimeoutInMilliseconds || 300;
+    var outcomes = this.fanOut(body.Sources, {});
+    applyTimeout(outcomes, fanoutTimeout);
+    var delay = this.getDelay(outcomes, fanoutTimeout);
+
+    var responses = body.Queries.map(function (query) {
+        var queryParameters = {};
+        var list = query.QueryParameters || [];
+        for (var i = 0; i + 1 < list.length; i += 2) {
+            queryParameters[list[i]] = list[i + 1];
+        }
+
+        var queryOutcomes = outcomes.map(function (outcome) {
+            return { machine: outcome.machine, status: outcome.status, code: outcome.code, description: outcome.description };
+        });
+        var response;
+        try {
+            response = self.runQuery(query.CounterName, queryParameters, queryOutcomes);
+        }
+        catch (error) {
+            response = { HttpResponseCode: error.status || 500, ErrorMessage: error.message, Samples: [] };
+        }
+        response.UserContext = query.UserContext || "";
+        response.RequestDetails = [];
+        return response;
+    });
+
+    respond(res, 200, {
+        Responses: responses,
+        RequestDetails: body.IncludeRequestDiagnostics !== false ? outcomes.map(toRequestDetails) : []
+    }, delay, binary ? bondSchemas.batch : null);
+};
+
+Environment.prototype.handle = function (req, res) {
+    var self = this;
+    var parsed = url.parse(req.url, true);
+    var path = decodeURIComponent(parsed.pathname);
+    var binary = String(req.headers.accept || "").indexOf(bondContentType) >= 0;
+    if (this.log) {
+        console.log(this.name + " " + req.method + " " + req.url);
+    }
+
+    parseBody(req, function (error, body) {
+        try {
+            if (error) {
+                throw error;
+            }
+            if (/^\/counters\//i.test(path)) {
+                return self.handleCounters(path, parsed.query, body, res, binary);
+            }
+            if (/^\/batch$/i.test(path) && req.method === "POST") {
+                return self.handleBatch(body, res, binary);
+            }
+            if (/^\/write\//i.test(path) && req.method === "POST") {
+                self.write(path.substr("/write".length), body);
+                return respond(res, 202, "Accepted", self.latency);
+            }
+            if (/^\/listServers$/i.test(path)) {
+                return respond(res, 200, {
+                    Servers: self.machines.map(function (machine) {
+                        return { Hostname: machine.Hostname, Port: machine.Port, MachineFunction: machine.MachineFunction, Datacenter: machine.Datacenter };
+                    })
+                }, self.latency);
+            }
+            respond(res, 404, "Unknown command: " + path);
+        }
+        catch (e) {
+            respond(res, e.status || 500, e.message);
+        }
+    });
+};
+
+/* Fills in the defaults of mock settings. Environments and counters given replace the default ones. */
+function normalizeSettings(settings) {
+    settings = settings || {};
+    var result = {};
+    Object.keys(defaults).forEach(function (key) {
+        result[key] = settings[key] !== undefined ? settings[key] : defaults[key];
+    });
+    result.counters = result.counters.map(normalizeCounter);
+    result.log = !!settings.log;
+    return result;
+}
+
+/* Reads mock settings from a JSON file */
+function load(file) {
+    return normalizeSettings(JSON.parse(fs.readFileSync(file, "utf8").replace(/^\uFEFF/, "")));
+}
+
+/* Starts a server for each environment of the settings ({ seed, retentionDays, environments, counters }, see
+ * defaults; log prints each request). An environment on port 0 gets a free port, found in its port once started.
+ * Calls back with an error or { environments, close(callback) }. */
+function start(settings, callback) {
+    settings = normalizeSettings(settings);
+    var options = { counters: settings.counters, seed: settings.seed, retentionDays: settings.retentionDays, log: settings.log };
+    var environments = Object.keys(settings.environments).map(function (name) {
+        return new Environment(name, settings.environments[name], options);
+    });
+
+    var servers = [];
+    var remaining = environments.length;
+    var failed = null;
+    var close = function (done) {
+        var open = servers.length;
+        if (open === 0) {
+            return done && done();
+        }
+        servers.forEach(function (server) {
+            server.close(function () {
+                if (--open === 0 && done) {
+                    done();
+                }
+            });
+        });
+    };
+
+    if (remaining === 0) {
+        return callback(null, { environments: environments, close: close });
+    }
+    environments.forEach(function (environment) {
+        var server = http.createServer(environment.handle.bind(environment));
+        server.on("error", function (error) {
+            failed = failed || error;
+            if (--remaining === 0) {
+                close(function () { callback(failed); });
+            }
+        });
+        server.listen(environment.port, function () {
+            // Port 0 picks a free port, which the machines without a port of their own share
+            var port = server.address().port;
+            environment.machines.forEach(function (machine) {
+                if (machine.Port === environment.port) {
+                    machine.Port = port;
+                }
+            });
+            environment.port = port;
+            servers.push(server);
+            if (--remaining === 0) {
+                if (failed) {
+                    return close(function () { callback(failed); });
+                }
+                callback(null, { environments: environments, close: close });
+            }
+        });
+    });
+}
+
+module.exports = {
+    defaults: defaults,
+    load: load,
+    start: start
+};
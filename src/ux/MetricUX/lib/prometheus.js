@@ -0,0 +1,372 @@
+﻿var backend = require("./backend");
+var commands = require("./commands");
+var config = require("./config");
+var metricsystem = require("./metricsystem");
+
+// Renders configured MetricSystem counters in the Prometheus text exposition format. Each entry of the "metrics"
+// setting describes one metric family:
+//
+//   { "counter": "/Svc/Requests", "environment": "prod", "name": "svc_requests_total", "type": "counter",
+//     "labels": ["dc"], "filters": { "role": "web" }, "window": "5m", "help": "Requests served" }
+//
+// type is one of
+//   gauge:     the value of the counter over the trailing window (hits, or the percentile filtered on)
+//   counter:   hit counts summed into a running total. Buckets are added once they are older than the settle time,
+//              so the total only grows; it restarts from the last window when MetricUX restarts. A bucket compacted
+//              across the end of those already counted adds the share of its hits past that end.
+//   histogram: histogram samples summed into running counts, settling like counters, as cumulative _bucket, _sum
+//              and _count series. The bucket bounds are the values MetricSystem recorded unless "buckets" lists them.
+// labels lists the dimensions exposed as labels; every combination of their values is queried.
+
+var defaultWindow = "5m";
+var defaultSettleTime = 60 * 1000;
+var contentType = "text/plain; version=0.0.4";
+
+function sanitizeName(name) {
+    var sanitized = String(name).replace(/[^a-zA-Z0-9_:]/g, "_").replace(/^_+/, "");
+    return /^[0-9]/.test(sanitized) ? "_" + sanitized : sanitized;
+}
+
+function sanitizeLabel(name) {
+    return sanitizeName(name).replace(/:/g, "_");
+}
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+function escapeHelp(text) {
+    return String(text).replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+}
+
+function formatValue(value) {
+    if (value === Infinity) {
+        return "+Inf";
+    }
+    return isFinite(value) ? String(value) : "NaN";
+}
+
+/* Renders a label set ([[name, value], ...]) as {name="value",...} */
+function formatLabels(labels) {
+    if (labels.length === 0) {
+        return "";
+    }
+    return "{" + labels.map(function (label) { return label[0] + "=\"" + escapeLabelValue(label[1]) + "\""; }).join(",") + "}";
+}
+
+/* Milliseconds in a window such as "5m"; null when malformed or negative */
+function parseWindow(window) {
+    var duration = metricsystem.parseDuration(window || defaultWindow);
+    return duration !== null && duration >= 0 ? duration : null;
+}
+
+/* Fills in the defaults of a metric entry. Returns null for entries without a counter or with an unknown type. */
+function normalizeMetric(metric) {
+    var type = metric.type || "gauge";
+    if (!metric.counter || ["gauge", "counter", "histogram"].indexOf(type) < 0 || parseWindow(metric.window) === null) {
+        return null;
+    }
+
+    var name = metric.name || sanitizeName(metric.counter.replace(/^\//, "")).toLowerCase() + (type === "counter" ? "_total" : "");
+    return {
+        name: sanitizeName(name),
+        help: metric.help || "MetricSystem counter " + metric.counter,
+        type: type,
+        counter: metric.counter,
+        environment: metric.environment || "",
+        labels: (metric.labels || []).slice(),
+        filters: metric.filters || {},
+        window: parseWindow(metric.window),
+        settle: metric.settle !== undefined ? parseWindow(metric.settle) || 0 : defaultSettleTime,
+        buckets: Array.isArray(metric.buckets) ? metric.buckets.map(Number).sort(function (a, b) { return a - b; }) : null
+    };
+}
+
+function Exporter(metrics) {
+    this.metrics = [];
+    this.totals = {}; // running totals of counter and histogram metrics, by metric name and label values
+
+    var self = this;
+    (metrics || []).forEach(function (metric) {
+        var normalized = normalizeMetric(metric);
+        if (normalized) {
+            self.metrics.push(normalized);
+        }
+        else {
+            console.error("Ignoring invalid metrics entry: " + JSON.stringify(metric));
+        }
+    });
+}
+
+/* Runs a query for a metric, treating "no data" as an empty result */
+Exporter.prototype.query = function (metric, queryCommand, queryParameters, callback) {
+    commands.execute(backend.getClient(metric.environment), {
+        queryCommand: queryCommand,
+        counterName: metric.counter,
+        queryParameters: queryParameters,
+        tieredRequest: backend.getTieredRequest({ environmentName: metric.environment })
+    }, function (error, result) {
+        if (error && error.status === 404) {
+            return callback(null, []);
+        }
+        callback(error, result);
+    });
+};
+
+/* Calls back with the filters for every combination of values of the labels but the last, which queries split by */
+Exporter.prototype.expandLabels = function (metric, callback) {
+    var combinations = [{}];
+    var labels = metric.labels.slice(0, -1);
+    var self = this;
+
+    var next = function (index) {
+        if (index >= labels.length) {
+            return callback(null, combinations);
+        }
+
+        var queryParameters = { dimension: labels[index] };
+        Object.keys(metric.filters).forEach(function (key) {
+            queryParameters[key] = metric.filters[key];
+        });
+        self.query(metric, "listDimensionValues", queryParameters, function (error, values) {
+            if (error) {
+                return callback(error);
+            }
+
+            var expanded = [];
+            combinations.forEach(function (combination) {
+                values.forEach(function (value) {
+                    var filters = {};
+                    Object.keys(combination).forEach(function (key) {
+                        filters[key] = combination[key];
+                    });
+                    filters[labels[index]] = value;
+                    expanded.push(filters);
+                });
+            });
+            combinations = expanded;
+            next(index + 1);
+        });
+    };
+    next(0);
+};
+
+/* Queries a metric over [start, end] for each label combination. Calls back with a list of { labels, samples }. */
+Exporter.prototype.collect = function (metric, start, end, aggregate, callback) {
+    var self = this;
+    var splitBy = metric.labels[metric.labels.length - 1];
+
+    this.expandLabels(metric, function (error, combinations) {
+        if (error) {
+            return callback(error);
+        }
+
+        var results = [];
+        var failed = null;
+        var remaining = combinations.length;
+        if (remaining === 0) {
+            return callback(null, results);
+        }
+
+        combinations.forEach(function (combination) {
+            var queryParameters = { start: new Date(start).toISOString(), end: new Date(end).toISOString() };
+            [metric.filters, combination].forEach(function (filters) {
+                Object.keys(filters).forEach(function (key) {
+                    queryParameters[key] = filters[key];
+                });
+            });
+            if (splitBy !== undefined) {
+                queryParameters.dimension = splitBy;
+            }
+            if (aggregate) {
+                queryParameters.aggregate = "true";
+            }
+
+            self.query(metric, "query", queryParameters, function (error, samples) {
+                failed = failed || error;
+                var groups = {};
+                (samples || []).forEach(function (sample) {
+                    var values = metric.labels.map(function (label) {
+                        return label === splitBy ? sample.DimensionVal : combination[label];
+                    });
+                    var key = JSON.stringify(values);
+                    (groups[key] = groups[key] || { values: values, samples: [] }).samples.push(sample);
+                });
+                Object.keys(groups).forEach(function (key) {
+                    results.push(groups[key]);
+                });
+
+                if (--remaining === 0) {
+                    callback(failed, results);
+                }
+            });
+        });
+    });
+};
+
+/* Label set of a series: its dimensions, then the environment unless a dimension has that name */
+function getLabels(metric, values) {
+    var labels = metric.labels.map(function (label, index) { return [sanitizeLabel(label), values[index]]; });
+    if (metric.environment && metric.labels.indexOf("environment") < 0) {
+        labels.push(["environment", metric.environment]);
+    }
+    return labels;
+}
+
+function renderGauge(metric, series) {
+    return series.map(function (entry) {
+        var value = 0;
+        entry.samples.forEach(function (sample) {
+            value += sample.ChartValue;
+        });
+        return metric.name + formatLabels(getLabels(metric, entry.values)) + " " + formatValue(value);
+    });
+}
+
+/* Running state of a series of a counter or histogram metric, and the samples which settled since the last scrape
+ * with the fraction of each not counted yet: a sample ending before the settle time counts from the end of the last
+ * one counted, so a bucket MetricSystem compacted across that end is counted for the time past it */
+Exporter.prototype.takeSettled = function (metric, entry, settled, initial) {
+    var key = metric.name + JSON.stringify(entry.values);
+    var state = this.totals[key] = this.totals[key] || initial;
+    var counted = state.end;
+    var taken = [];
+    entry.samples.forEach(function (sample) {
+        var sampleStart = parseInt(sample.StartTime.substr(6), 10);
+        var sampleEnd = parseInt(sample.EndTime.substr(6), 10);
+        if (sampleEnd > counted && sampleEnd <= settled) {
+            taken.push({ sample: sample, fraction: sampleStart >= counted ? 1 : (sampleEnd - counted) / (sampleEnd - sampleStart) });
+            state.end = Math.max(state.end, sampleEnd);
+        }
+    });
+    return { state: state, samples: taken };
+};
+
+/* Adds the buckets which settled since the last scrape to the running totals of a counter metric */
+Exporter.prototype.renderCounter = function (metric, series, settled) {
+    var self = this;
+    return series.map(function (entry) {
+        var taken = self.takeSettled(metric, entry, settled, { total: 0, end: 0 });
+        taken.samples.forEach(function (settledSample) {
+            taken.state.total += settledSample.sample.ChartValue * settledSample.fraction;
+        });
+        return metric.name + formatLabels(getLabels(metric, entry.values)) + " " + formatValue(taken.state.total);
+    });
+};
+
+/* Adds the histograms of the buckets which settled since the last scrape to the running counts of a histogram
+ * metric, and renders them as cumulative _bucket, _sum and _count series */
+Exporter.prototype.renderHistogram = function (metric, series, settled) {
+    var self = this;
+    var lines = [];
+    series.forEach(function (entry) {
+        var taken = self.takeSettled(metric, entry, settled, { counts: {}, sum: 0, total: 0, end: 0 });
+        var counts = taken.state.counts;
+        taken.samples.forEach(function (settledSample) {
+            (settledSample.sample.Histogram || []).forEach(function (bucket) {
+                var count = bucket[1] * settledSample.fraction;
+                counts[bucket[0]] = (counts[bucket[0]] || 0) + count;
+                taken.state.sum += bucket[0] * count;
+                taken.state.total += count;
+            });
+        });
+        var values = Object.keys(counts).map(Number).sort(function (a, b) { return a - b; });
+        var bounds = (metric.buckets || values).concat(Infinity);
+        var labels = getLabels(metric, entry.values);
+
+        var seen = 0;
+        var index = 0;
+        bounds.forEach(function (bound) {
+            while (index < values.length && values[index] <= bound) {
+                seen += counts[values[index++]];
+            }
+            lines.push(metric.name + "_bucket" + formatLabels(labels.concat([["le", formatValue(bound)]])) + " " + seen);
+        });
+        lines.push(metric.name + "_sum" + formatLabels(labels) + " " + formatValue(taken.state.sum));
+        lines.push(metric.name + "_count" + formatLabels(labels) + " " + taken.state.total);
+    });
+    return lines;
+};
+
+/* Renders one metric family. Calls back with its lines and whether it could be queried. */
+Exporter.prototype.renderMetric = function (metric, now, callback) {
+    var self = this;
+    var start = now - metric.window;
+    if (metric.type !== "gauge") {
+        // Continue from the oldest bucket not yet counted for any series, but never from before the window: a series
+        // which stopped reporting would otherwise stretch every later query back to its last bucket
+        var ends = Object.keys(this.totals).filter(function (key) {
+            return key.indexOf(metric.name + "[") === 0;
+        }).map(function (key) { return self.totals[key].end; });
+        if (ends.length > 0) {
+            start = Math.max(start, Math.min.apply(null, ends));
+        }
+    }
+
+    this.collect(metric, start, now, metric.type === "gauge", function (error, series) {
+        var lines = ["# HELP " + metric.name + " " + escapeHelp(metric.help), "# TYPE " + metric.name + " " + metric.type];
+        if (!error) {
+            if (metric.type === "gauge") {
+                lines = lines.concat(renderGauge(metric, series));
+            }
+            else if (metric.type === "histogram") {
+                lines = lines.concat(self.renderHistogram(metric, series, now - metric.settle));
+            }
+            else {
+                lines = lines.concat(self.renderCounter(metric, series, now - metric.settle));
+            }
+        }
+        callback(lines, !error);
+    });
+};
+
+/* Calls back with the exposition text for every configured metric. Metrics which could not be queried are left out
+ * and reported by metricux_metric_up. */
+Exporter.prototype.render = function (callback) {
+    var self = this;
+    var metrics = this.metrics;
+    var now = Date.now();
+    var families = [];
+    var up = [];
+    var remaining = metrics.length;
+
+    var done = function () {
+        var lines = [];
+        families.forEach(function (family) {
+            lines = lines.concat(family);
+        });
+        lines.push("# HELP metricux_metric_up Whether MetricSystem could be queried for the metric");
+        lines.push("# TYPE metricux_metric_up gauge");
+        callback(lines.concat(up).join("\n") + "\n");
+    };
+
+    if (remaining === 0) {
+        return done();
+    }
+    metrics.forEach(function (metric, index) {
+        self.renderMetric(metric, now, function (lines, succeeded) {
+            families[index] = lines;
+            up[index] = "metricux_metric_up" + formatLabels([["metric", metric.name]]) + " " + (succeeded ? 1 : 0);
+            if (--remaining === 0) {
+                done();
+            }
+        });
+    });
+};
+
+var current = null;
+
+/* Exporter for the metrics setting of the application configuration */
+function get() {
+    if (!current) {
+        current = new Exporter(config.get().metrics);
+    }
+    return current;
+}
+
+module.exports = {
+    ContentType: contentType,
+    Exporter: Exporter,
+    normalizeMetric: normalizeMetric,
+    get: get
+};
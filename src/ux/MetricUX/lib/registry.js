@@ -0,0 +1,152 @@
+﻿var fs = require("fs");
+var metricsystem = require("./metricsystem");
+var config = require("./config");
+
+// Known environments and the MetricSystem servers (ServerInfo objects) in each. Machines come from the registry
+// file and, for environments with "listServers" set, from the /listServers command of the environment's server.
+
+function Environment(name, endpoint, listServers) {
+    this.name = name;
+    this.endpoint = endpoint;
+    this.listServers = !!listServers;
+    this.servers = [];
+    this.lastRefreshed = null;
+}
+
+Environment.prototype.toJSON = function () {
+    return {
+        Name: this.name,
+        MachineCount: this.servers.length,
+        LastRefreshed: this.lastRefreshed
+    };
+};
+
+function sortServers(servers) {
+    return servers.sort(function (a, b) {
+        var cmp = a.Hostname.toLowerCase().localeCompare(b.Hostname.toLowerCase());
+        return cmp !== 0 ? cmp : a.Port - b.Port;
+    });
+}
+
+/* settings is the application configuration (see config.js) */
+function Registry(settings) {
+    this.settings = settings;
+    this.environments = {};
+    this.refreshTimer = null;
+
+    var self = this;
+    Object.keys(settings.environments).forEach(function (name) {
+        var environment = settings.environments[name];
+        self.environments[name] = new Environment(name, environment.endpoint, environment.listServers);
+    });
+}
+
+Registry.prototype.getEnvironment = function (name) {
+    if (!Object.prototype.hasOwnProperty.call(this.environments, name)) {
+        return null;
+    }
+    return this.environments[name];
+};
+
+Registry.prototype.addEnvironment = function (name) {
+    var environment = this.getEnvironment(name);
+    if (!environment) {
+        environment = this.environments[name] = new Environment(name, this.settings.endpoint, false);
+    }
+    return environment;
+};
+
+Registry.prototype.getEnvironments = function () {
+    var environments = this.environments;
+    return Object.keys(environments).sort().map(function (name) { return environments[name]; });
+};
+
+/* ServerInfo objects for an environment, or null if the environment is unknown */
+Registry.prototype.getServers = function (name) {
+    var environment = this.getEnvironment(name);
+    return environment ? environment.servers : null;
+};
+
+/* Loads { "environment": [ServerInfo or "hostname[:port]", ...] } from a JSON file */
+Registry.prototype.load = function (file) {
+    var contents = JSON.parse(fs.readFileSync(file, "utf8").replace(/^\uFEFF/, ""));
+    var self = this;
+    Object.keys(contents).forEach(function (name) {
+        var environment = self.addEnvironment(name);
+        environment.servers = sortServers(metricsystem.parseServerList(contents[name]));
+        environment.lastRefreshed = Date.now();
+    });
+};
+
+/* Refreshes the machines of every environment with "listServers" set */
+Registry.prototype.refresh = function (callback) {
+    var pending = this.getEnvironments().filter(function (environment) { return environment.listServers; });
+    var remaining = pending.length;
+    var errors = [];
+    var settings = this.settings;
+
+    if (remaining === 0) {
+        return callback && callback(null);
+    }
+
+    pending.forEach(function (environment) {
+        var client = new metricsystem.Client(environment.endpoint,
+            { timeout: settings.fanoutTimeout, log: settings.logBackendRequests });
+        client.listServers(function (error, servers) {
+            if (error) {
+                errors.push(environment.name + ": " + error.message);
+            }
+            else {
+                environment.servers = sortServers(servers);
+                environment.lastRefreshed = Date.now();
+            }
+
+            if (--remaining === 0 && callback) {
+                callback(errors.length > 0 ? new Error("Failed to refresh " + errors.join(", ")) : null);
+            }
+        });
+    });
+};
+
+/* Refreshes now and then every interval milliseconds */
+Registry.prototype.startRefresh = function (interval) {
+    var self = this;
+    var logError = function (error) {
+        if (error) {
+            console.error(error.message);
+        }
+    };
+
+    this.stopRefresh();
+    this.refresh(logError);
+    if (interval > 0) {
+        this.refreshTimer = setInterval(function () { self.refresh(logError); }, interval);
+        this.refreshTimer.unref();
+    }
+};
+
+Registry.prototype.stopRefresh = function () {
+    if (this.refreshTimer) {
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+};
+
+var current = null;
+
+/* Registry for this process, built from the application configuration on first use */
+function get() {
+    if (!current) {
+        var settings = config.get();
+        current = new Registry(settings);
+        if (settings.registryFile && fs.existsSync(settings.registryFile)) {
+            current.load(settings.registryFile);
+        }
+    }
+    return current;
+}
+
+module.exports = {
+    Registry: Registry,
+    get: get
+};
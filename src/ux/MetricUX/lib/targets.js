@@ -0,0 +1,113 @@
+﻿var backend = require("./backend");
+var commands = require("./commands");
+var errors = require("./errors");
+
+// Targets name a counter query in a single string, the way dashboards of other tools refer to series:
+//
+//   [environment:]/Counter/Name[{dimension=value, ...}]
+//
+// Filters are passed on as query parameters, so MetricSystem parameters such as percentile=99 work as well. A
+// dimension filtered on "*" splits the query into a series per value of that dimension.
+
+var targetPattern = /^\s*(?:([^\/:{}\s]+)\s*:\s*)?(\/[^{}]*?)\s*(?:\{([^{}]*)\})?\s*$/;
+
+/* Parses a target into { environmentName, counterName, filters, splitBy }, or returns null when it is malformed */
+function parse(target) {
+    var match = targetPattern.exec(String(target || ""));
+    if (!match) {
+        return null;
+    }
+
+    var parsed = { environmentName: match[1] || "", counterName: match[2], filters: {}, splitBy: "" };
+    var filters = (match[3] || "").split(",").filter(function (filter) { return filter.trim() !== ""; });
+    for (var i = 0; i < filters.length; i++) {
+        var parts = filters[i].split("=");
+        var key = parts[0].trim();
+        var value = parts.slice(1).join("=").trim();
+        if (parts.length < 2 || key === "") {
+            return null;
+        }
+        if (value === "*") {
+            if (parsed.splitBy !== "") {
+                return null;
+            }
+            parsed.splitBy = key;
+        }
+        else {
+            parsed.filters[key] = value;
+        }
+    }
+    return parsed;
+}
+
+/* Writes a parsed target back as a string. splitValue stands in for the "*" of a split target. */
+function format(parsed, splitValue) {
+    var filters = Object.keys(parsed.filters).map(function (key) { return key + "=" + parsed.filters[key]; });
+    if (parsed.splitBy !== "") {
+        filters.push(parsed.splitBy + "=" + (splitValue === undefined ? "*" : splitValue));
+    }
+    return (parsed.environmentName ? parsed.environmentName + ":" : "") + parsed.counterName +
+        (filters.length > 0 ? "{" + filters.join(",") + "}" : "");
+}
+
+/* Error answered for a malformed target */
+function invalid(target) {
+    return errors.create("Invalid target: " + target + ". Expected [environment:]/Counter{dimension=value,...}.", 400);
+}
+
+/* Queries a parsed target between two times (anything normalizeTime accepts). Calls back with a list of
+ * { Target, SplitValue, Points: [[time, value]] }, one per value of the split dimension (SplitValue, "" when the
+ * target is not split) or a single one, or with a 404 error when the target names an unknown environment. */
+function query(parsed, start, end, callback) {
+    var queryParameters = {};
+    Object.keys(parsed.filters).forEach(function (key) {
+        queryParameters[key] = parsed.filters[key];
+    });
+    if (parsed.splitBy !== "") {
+        queryParameters.dimension = parsed.splitBy;
+    }
+    queryParameters.start = start;
+    queryParameters.end = end;
+
+    var unknown = backend.checkEnvironment(parsed.environmentName);
+    if (unknown) {
+        return callback(unknown);
+    }
+
+    commands.execute(backend.getClient(parsed.environmentName), {
+        queryCommand: "query",
+        counterName: parsed.counterName,
+        queryParameters: queryParameters,
+        tieredRequest: backend.getTieredRequest({ environmentName: parsed.environmentName })
+    }, function (error, values) {
+        if (error) {
+            // No data is an empty result rather than a failure
+            return error.status === 404 ? callback(null, []) : callback(error);
+        }
+
+        var series = {};
+        var splitValues = {};
+        var names = [];
+        values.forEach(function (value) {
+            var splitValue = parsed.splitBy !== "" ? value.DimensionVal : "";
+            var name = format(parsed, parsed.splitBy !== "" ? splitValue : undefined);
+            if (!series[name]) {
+                series[name] = [];
+                splitValues[name] = splitValue;
+                names.push(name);
+            }
+            series[name].push([parseInt(value.EndTime.substr(6), 10), value.ChartValue]);
+        });
+
+        callback(null, names.sort().map(function (name) {
+            return { Target: name, SplitValue: splitValues[name], Points: series[name] };
+        }));
+    });
+}
+
+module.exports = {
+    parse: parse,
+    format: format,
+    invalid: invalid,
+    query: query
+};
@@ -0,0 +1,92 @@
+﻿// Compares two dashboard wire sets ({ counters: [...] }). Each counter wire describes one series of a graph; series
+// are matched on their graph, counter and machines, and every other field (dimensions, pivotDimension, time range,
+// view, gridster position and size, ...) is compared.
+
+var identityFields = ["graphId", "counter", "environmentName", "machines"];
+
+function getIdentity(wire) {
+    return identityFields.map(function (field) { return wire[field] === undefined ? "" : String(wire[field]); }).join("|");
+}
+
+/* Map from a unique key to each wire. Repeated series of a graph are told apart by their order. */
+function indexWires(wires) {
+    var index = {};
+    var counts = {};
+    ((wires && wires.counters) || []).forEach(function (wire) {
+        var identity = getIdentity(wire);
+        counts[identity] = (counts[identity] || 0) + 1;
+        index[identity + "#" + counts[identity]] = wire;
+    });
+    return index;
+}
+
+function describe(type, wire, fields) {
+    var change = {
+        Type: type,
+        GraphId: wire.graphId,
+        Counter: wire.counter,
+        EnvironmentName: wire.environmentName || "",
+        Machines: wire.machines || ""
+    };
+    if (fields) {
+        change.Fields = fields;
+    }
+    return change;
+}
+
+/* Fields of two wires for the same series which differ, as [{ Field, From, To }] */
+function diffFields(from, to) {
+    var fields = {};
+    Object.keys(from).concat(Object.keys(to)).forEach(function (field) {
+        if (identityFields.indexOf(field) < 0) {
+            fields[field] = true;
+        }
+    });
+
+    return Object.keys(fields).sort().filter(function (field) {
+        // Gridster positions come back as strings once a widget has been placed
+        return JSON.stringify(normalizeValue(from[field])) !== JSON.stringify(normalizeValue(to[field]));
+    }).map(function (field) {
+        return { Field: field, From: from[field], To: to[field] };
+    });
+}
+
+function normalizeValue(value) {
+    if (typeof value === "string" && value !== "" && !isNaN(value)) {
+        return Number(value);
+    }
+    return value === undefined ? null : value;
+}
+
+/* Lists the series added, removed and changed between two wire sets, ordered by graph */
+function diff(fromWires, toWires) {
+    var from = indexWires(fromWires);
+    var to = indexWires(toWires);
+    var changes = [];
+
+    Object.keys(from).forEach(function (key) {
+        if (!Object.prototype.hasOwnProperty.call(to, key)) {
+            changes.push(describe("removed", from[key]));
+        }
+        else {
+            var fields = diffFields(from[key], to[key]);
+            if (fields.length > 0) {
+                changes.push(describe("changed", to[key], fields));
+            }
+        }
+    });
+
+    Object.keys(to).forEach(function (key) {
+        if (!Object.prototype.hasOwnProperty.call(from, key)) {
+            changes.push(describe("added", to[key]));
+        }
+    });
+
+    return changes.sort(function (a, b) {
+        return String(a.GraphId).localeCompare(String(b.GraphId)) || String(a.Counter).localeCompare(String(b.Counter));
+    });
+}
+
+module.exports = {
+    diff: diff
+};
@@ -0,0 +1,218 @@
+﻿var metricsystem = require("./metricsystem");
+var commands = require("./commands");
+var errors = require("./errors");
+
+// Validates the writes posted to /data/write and sends them to MetricSystem's /write command. A write is
+// { Value, Count, Timestamp, Dimensions } (DimensionValues, as MetricSystem names it, is accepted too), with an
+// optional Counter when a replayed file writes to several counters. CSV files have a header row naming the Counter,
+// Value, Count and Timestamp columns; every other column is a dimension.
+
+var writeFields = ["counter", "value", "count", "timestamp"];
+
+/* Splits CSV text into rows of cells. Cells may be quoted, with "" standing for a quote. */
+function parseCsvRows(text) {
+    var rows = [];
+    var row = [];
+    var cell = "";
+    var quoted = false;
+
+    for (var i = 0; i < text.length; i++) {
+        var c = text[i];
+        if (quoted) {
+            if (c === "\"" && text[i + 1] === "\"") {
+                cell += c;
+                i++;
+            }
+            else if (c === "\"") {
+                quoted = false;
+            }
+            else {
+                cell += c;
+            }
+        }
+        else if (c === "\"") {
+            quoted = true;
+        }
+        else if (c === ",") {
+            row.push(cell);
+            cell = "";
+        }
+        else if (c === "\n" || c === "\r") {
+            if (c === "\r" && text[i + 1] === "\n") {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = "";
+        }
+        else {
+            cell += c;
+        }
+    }
+    if (cell !== "" || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(function (cells) { return cells.length > 1 || cells[0].trim() !== ""; });
+}
+
+/* Turns CSV text into writes, one per row after the header */
+function parseCsv(text) {
+    var rows = parseCsvRows(String(text).replace(/^\uFEFF/, ""));
+    if (rows.length === 0) {
+        return [];
+    }
+
+    var header = rows[0].map(function (name) { return name.trim(); });
+    if (!header.some(function (name) { return name.toLowerCase() === "value"; })) {
+        throw errors.create("The CSV header needs a Value column.", 400);
+    }
+
+    return rows.slice(1).map(function (cells) {
+        var write = { Dimensions: {} };
+        header.forEach(function (name, column) {
+            var cell = (cells[column] || "").trim();
+            if (cell === "") {
+                return;
+            }
+            var field = name.toLowerCase();
+            if (writeFields.indexOf(field) >= 0) {
+                write[field[0].toUpperCase() + field.substr(1)] = cell;
+            }
+            else {
+                write.Dimensions[name] = cell;
+            }
+        });
+        return write;
+    });
+}
+
+/* A 64 bit integer field of a write, or undefined if it was left out */
+function parseInteger(value, field, index) {
+    if (value === undefined || value === null || value === "") {
+        return undefined;
+    }
+    var number = typeof value === "number" ? value : Number(String(value).trim());
+    if (!isFinite(number) || Math.floor(number) !== number) {
+        throw errors.create("Write " + (index + 1) + ": " + field + " must be an integer, not " + JSON.stringify(value) + ".", 400);
+    }
+    return number;
+}
+
+/* Timestamps are milliseconds since the epoch, or a time such as "now-5m" or "2016-10-31T06:00Z". Left out (or
+ * "now"), MetricSystem records the write at its current time. */
+function parseTimestamp(value, index) {
+    if (value === undefined || value === null || value === "" || String(value).trim().toLowerCase() === "now") {
+        return undefined;
+    }
+    if (typeof value === "number" || /^\s*\d+\s*$/.test(value)) {
+        return parseInteger(value, "Timestamp", index);
+    }
+
+    var time = Date.parse(commands.normalizeTime(String(value)));
+    if (isNaN(time)) {
+        throw errors.create("Write " + (index + 1) + ": invalid Timestamp " + JSON.stringify(value) + ".", 400);
+    }
+    return time;
+}
+
+/* Checks a write and converts it into the form Client.write takes */
+function normalizeWrite(write, index, counterName) {
+    if (!write || typeof write !== "object" || Array.isArray(write)) {
+        throw errors.create("Write " + (index + 1) + " is not an object.", 400);
+    }
+
+    var value = parseInteger(write.Value, "Value", index);
+    if (value === undefined) {
+        throw errors.create("Write " + (index + 1) + " has no Value.", 400);
+    }
+    var count = parseInteger(write.Count, "Count", index);
+    if (count !== undefined && count < 1) {
+        throw errors.create("Write " + (index + 1) + ": Count must be at least 1.", 400);
+    }
+
+    var dimensions = {};
+    var given = metricsystem.fromBondMap(write.Dimensions || write.DimensionValues);
+    Object.keys(given).forEach(function (name) {
+        if (given[name] !== undefined && given[name] !== null && given[name] !== "") {
+            dimensions[name] = String(given[name]);
+        }
+    });
+
+    var counter = write.Counter || counterName;
+    if (!counter) {
+        throw errors.create("Write " + (index + 1) + " has no counter.", 400);
+    }
+
+    return {
+        Counter: counter[0] === "/" ? counter : "/" + counter,
+        Value: value,
+        Count: count,
+        Timestamp: parseTimestamp(write.Timestamp, index),
+        Dimensions: dimensions
+    };
+}
+
+/* Parses the writes of a /data/write request ({ counterName, writes } or { counterName, csv }) and groups them by
+ * counter, in the order the counters first appear: [{ Counter, Writes }]. Throws request errors. */
+function parse(body) {
+    var writes = body.csv !== undefined ? parseCsv(body.csv) : body.writes;
+    if (typeof writes === "string") {
+        try {
+            writes = JSON.parse(writes);
+        }
+        catch (SyntaxException) {
+            throw errors.create("writes is not valid JSON.", 400);
+        }
+    }
+    if (writes && !Array.isArray(writes) && Array.isArray(writes.Writes)) {
+        writes = writes.Writes; // a CounterWriteRequest
+    }
+    if (!Array.isArray(writes) || writes.length === 0) {
+        throw errors.create("No writes provided.", 400);
+    }
+
+    var groups = [];
+    var byCounter = {};
+    writes.forEach(function (write, index) {
+        var normalized = normalizeWrite(write, index, body.counterName);
+        var group = byCounter[normalized.Counter];
+        if (!group) {
+            group = byCounter[normalized.Counter] = { Counter: normalized.Counter, Writes: [] };
+            groups.push(group);
+        }
+        delete normalized.Counter;
+        group.Writes.push(normalized);
+    });
+    return groups;
+}
+
+/* Sends the writes for each counter in turn, stopping at the first failure. Calls back with the counters written
+ * ([{ Counter, Writes }] with the number of writes) and the error, if any. */
+function send(client, groups, callback) {
+    var written = [];
+    var next = function (index) {
+        if (index >= groups.length) {
+            return callback(null, written);
+        }
+
+        var group = groups[index];
+        client.write(group.Counter, group.Writes, function (error) {
+            if (error) {
+                error.message = "Writing " + group.Counter + ": " + error.message;
+                return callback(error, written);
+            }
+            written.push({ Counter: group.Counter, Writes: group.Writes.length });
+            next(index + 1);
+        });
+    };
+    next(0);
+}
+
+module.exports = {
+    parseCsv: parseCsv,
+    parse: parse,
+    send: send
+};
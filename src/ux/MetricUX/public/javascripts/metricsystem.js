@@ -4,22 +4,53 @@
 /// <reference path="..\..\typings\highcharts\highstock.d.ts" />
 /// <reference path="..\..\typings\bootstrap.v3.datetimepicker\bootstrap.v3.datetimepicker.d.ts" />
 /// <reference path="..\..\typings\jquery.dataTables/jquery.dataTables.d.ts" />
+/// <reference path="..\..\typings\metricsystem\metricsystem.d.ts" />
 var defaultMachineName = "127.0.0.1";
+var defaultServerPort = 4200;
 var baseUri = "/data";
+var apiUri = "/api"; // the MetricSystem REST API of each environment, for the MetricSystem client
+var dashboardsUri = "/dashboards";
 var currentMachineName = "";
 var currentCounterName = "";
+var currentDashboardId = ""; // short id of the saved dashboard being shown
+var savedWireString = ""; // wires of that dashboard as last loaded or saved
 var wires = {};
 var gridster = null;
 var graphToSeriesMap = {};
 var seriesToMetadataMap = {};
 var chartData = {}; // map from seriesId to data
-function queryData(machineName, environmentName, timeoutValue, pivotDimension, counterName, limit, params, startTime, endTime, width, height, top, left, seriesId, graphId) {
+var histogramData = {}; // map from seriesId to samples carrying histogram buckets
+var graphViews = {}; // map from graphId to "line", "heatmap" or "distribution"
+var graphWindows = {}; // map from graphId to the time window being inspected
+var graphViewOrder = ["line", "heatmap", "distribution"];
+var seriesPrefixes = {}; // map from seriesId to the prefix of its chart series names
+var liveGraphs = {}; // map from graphId to its live refresh settings
+var liveTimers = {}; // map from graphId to its refresh timer
+var seriesErrors = {}; // map from seriesId to the error its query failed with
+var seriesDiagnostics = {}; // map from seriesId to how each machine queried fared
+var machineOutcomeOrder = ["timed out", "failed", "not reached", "no data", "responded"];
+var coverageData = {}; // map from seriesId to [time, machines reporting] points
+var graphCoverage = {}; // map from graphId to whether machine counts are drawn
+var environmentMachineCounts = {}; // map from environment name to its known machines
+var coverageThreshold = 0.9; // points reported by fewer than this fraction of the machines queried are partial
+var seriesComparisons = {}; // map from seriesId to the time shift it is compared with ("1d")
+var comparisonValues = {}; // map from seriesId to the shifted samples, moved to its time axis
+var comparisonData = {}; // map from seriesId to the data sets drawn from those samples
+var seriesExpressions = {}; // map from seriesId to whether its counter is an expression
+var graphLimits = {}; // map from graphId to the dimension values its split series keep
+// values (or the error the query failed with) may be supplied when the series was already fetched (e.g. through a
+// batch query). Expression series (see seriesExpressions) pass the expression as counterName, and their
+// pivotDimension is the split dimension the expression route answers with. limit becomes the split limit of the
+// graph; null keeps every dimension value.
+function queryData(machineName, environmentName, timeoutValue, pivotDimension, counterName, limit, params, startTime, endTime, width, height, top, left, seriesId, graphId, values, error) {
     if (seriesId === "")
         seriesId = generateUuid();
-    if (pivotDimension !== "") {
-        params["dimension"] = pivotDimension;
-    }
-    var queryParams = decodeURIComponent(params) + "&" + getStartEndTimes(startTime, endTime);
+    var isExpression = seriesExpressions[seriesId] === true;
+    var queryFilters = isExpression ? "" : params;
+    var queryPivot = isExpression ? "" : pivotDimension;
+    var queryUri = baseUri + (isExpression ? "/expression" : "/query");
+    var queryParams = getQueryString(queryFilters, queryPivot, startTime, endTime);
+    var filters = serializeParams(params);
     var gridData = [];
     var perDimensionData = {};
     var seriesMachines = machineName;
@@ -29,167 +60,1211 @@ function queryData(machineName, environmentName, timeoutValue, pivotDimension, c
     if (seriesMachines.length > 28) {
         seriesDescription += "... (" + seriesMachines.split(",").length + " machines)";
     }
-    if (pivotDimension !== "") {
+    if (pivotDimension !== "" && !isExpression) {
         seriesDescription += " (split by " + pivotDimension + ")";
     }
-    if (decodeURIComponent(params) !== "") {
-        seriesDescription += " [" + decodeURIComponent(params) + "]";
+    if (filters !== "") {
+        seriesDescription += " [" + filters + "]";
     }
-    seriesDescription += " from " + new Date(startTime).toLocaleTimeString() + " to " + new Date(endTime).toLocaleTimeString();
-    var queryPayload = { machineName: machineName, environmentName: environmentName, counterName: counterName, queryCommand: "query", queryParameters: queryParams, timeoutValue: timeoutValue };
-    $.ajax({
-        url: baseUri + "/query",
-        type: "POST",
-        data: queryPayload,
-        success: (function (values) {
-            var series = [];
-            var seriesPrefix = "";
-            if (graphToSeriesMap[graphId] !== undefined && graphToSeriesMap[graphId].length > 0) {
-                seriesPrefix += "series" + graphToSeriesMap[graphId].length + " - ";
+    if (seriesComparisons[seriesId] !== undefined) {
+        seriesDescription += " compared with " + getComparisonLabel(seriesComparisons[seriesId]);
+    }
+    seriesDescription += " from " + formatTime(startTime) + " to " + formatTime(endTime);
+    var queryPayload = { machineName: machineName, environmentName: environmentName, counterName: counterName, queryCommand: "query", queryParameters: queryParams, timeoutValue: timeoutValue, diagnostics: true };
+    if (isExpression) {
+        queryPayload = { machineName: machineName, environmentName: environmentName, expression: counterName, queryParameters: queryParams, timeoutValue: timeoutValue, diagnostics: true };
+    }
+    var render = function (values) {
+        var series = [];
+        var seriesPrefix = "";
+        if (graphToSeriesMap[graphId] !== undefined && graphToSeriesMap[graphId].length > 0) {
+            seriesPrefix += "series" + graphToSeriesMap[graphId].length + " - ";
+        }
+        else {
+            seriesPrefix += "series0 - ";
+        }
+        var percentileSpec = getPercentileSpec(filters);
+        var isSplit = pivotDimension !== "" || percentileSpec !== null;
+        // A new graph takes the limit picked; series added to a graph keep its own, which only changes when picked
+        // again (see setGraphLimit)
+        if (graphToSeriesMap[graphId] === undefined || graphToSeriesMap[graphId].length === 0) {
+            if (limit) {
+                graphLimits[graphId] = limit;
+            }
+            else {
+                delete graphLimits[graphId];
+            }
+        }
+        // Build data sets
+        seriesPrefixes[seriesId] = seriesPrefix;
+        if (isSplit) {
+            perDimensionData = buildDataSets(values, seriesPrefix, counterName, pivotDimension, percentileSpec);
+            series = Object.keys(perDimensionData).map(function (name) { return seriesFromData(name, perDimensionData[name]); });
+        }
+        else {
+            series = [seriesPrefix + counterName].map(seriesFromMachine);
+        }
+        if (comparisonValues[seriesId] !== undefined) {
+            comparisonData[seriesId] = buildComparisonDataSets(seriesId, seriesPrefix, counterName, pivotDimension, percentileSpec);
+        }
+        if (values.some(function (value) { return value.Histogram !== undefined; })) {
+            histogramData[seriesId] = values;
+        }
+        coverageData[seriesId] = getCoveragePoints(values);
+        var grid = $("<table>").addClass("ms-grid");
+        var gridRow = getGridRowFormatter(seriesId);
+        var chartDiv;
+        var thisChart;
+        var data;
+        // Add to existing chart
+        if (graphToSeriesMap[graphId] !== undefined && graphToSeriesMap[graphId].length > 0) {
+            if (isSplit) {
+                chartData[seriesId] = perDimensionData;
+            }
+            else {
+                chartData[seriesId] = values.map(function (value) { return [new Date(parseInt(value.EndTime.substr(6))).getTime(), value.ChartValue]; });
+            }
+            graphToSeriesMap[graphId].push(seriesId);
+            seriesToMetadataMap[seriesId] = seriesFromMachine(seriesPrefix + counterName);
+            renderLineChart(graphId);
+            chartDiv = $("#" + graphId + "_chart");
+            thisChart = chartDiv.highcharts();
+            highchartsResizeHack(chartDiv);
+            values.forEach(function (value) {
+                gridData.push(gridRow(value));
+            });
+        }
+        else {
+            graphToSeriesMap[graphId] = [];
+            graphToSeriesMap[graphId].push(seriesId);
+            seriesToMetadataMap[seriesId] = seriesFromMachine(seriesPrefix + counterName);
+            chartDiv = $("<div>").addClass("chartContainer").attr("id", graphId + "_chart");
+            var maxDescWidth = 84 * width;
+            var seriesWrap = $("<li>").attr("id", graphId).addClass("seriesWrap").append($("<div>").addClass("seriesTitle").attr("id", graphId + "_title").attr("title", seriesDescription).text(seriesDescription.substr(0, maxDescWidth) + "..."), chartDiv.highcharts(getHighchartsConfig(null, series, {})), $("<div>").addClass("table-wrapper").attr("id", graphId + "_table").hide());
+            if (top > 0 && left > 0) {
+                gridster.add_widget(seriesWrap[0], width, height, top, left);
             }
             else {
-                seriesPrefix += "series0 - ";
+                gridster.add_widget(seriesWrap[0], width, height);
             }
-            // Build data sets
-            if (pivotDimension !== "") {
+            thisChart = chartDiv.highcharts();
+            highchartsResizeHack(chartDiv);
+            if (isSplit) {
+                Object.keys(perDimensionData).map(function (dimension) {
+                    thisChart.get(seriesFromMachine(dimension).id).setData(perDimensionData[dimension], false);
+                });
+                chartData[seriesId] = perDimensionData;
                 values.forEach(function (value) {
-                    if (!perDimensionData[value.DimensionVal]) {
-                        perDimensionData[seriesPrefix + value.DimensionVal] = [];
-                    }
-                    perDimensionData[seriesPrefix + value.DimensionVal].push([new Date(parseInt(value.EndTime.substr(6))).getTime(), value.ChartValue]);
+                    gridData.push(gridRow(value));
                 });
-                series = Object.keys(perDimensionData).map(seriesFromMachine);
             }
             else {
-                series = [seriesPrefix + counterName].map(seriesFromMachine);
-            }
-            var grid = $("<table>").addClass("ms-grid");
-            var chartDiv;
-            var thisChart;
-            var data;
-            // Add to existing chart
-            if (graphToSeriesMap[graphId] !== undefined && graphToSeriesMap[graphId].length > 0) {
-                chartDiv = $("#" + graphId + "_chart");
-                thisChart = chartDiv.highcharts();
                 data = values.map(function (value) { return [new Date(parseInt(value.EndTime.substr(6))).getTime(), value.ChartValue]; });
-                graphToSeriesMap[graphId].map(function (val) {
-                    series.push(seriesToMetadataMap[val]);
-                });
-                chartDiv.highcharts(getHighchartsConfig(null, series, {}));
-                thisChart = chartDiv.highcharts();
-                highchartsResizeHack(chartDiv);
+                chartData[seriesId] = data;
+                //renderChart(data);
                 thisChart.get(seriesFromMachine(seriesPrefix + counterName).id).setData(data, false);
-                graphToSeriesMap[graphId].map(function (val) {
-                    thisChart.get(seriesToMetadataMap[val].id).setData(chartData[val], false);
-                });
                 values.forEach(function (value) {
-                    gridData.push([new Date(parseInt(value.EndTime.substr(6))).toLocaleString(), value.ChartValue, value.MachineCount]);
+                    gridData.push(gridRow(value));
                 });
-                thisChart.redraw();
-                chartData[seriesId] = data;
-                graphToSeriesMap[graphId].push(seriesId);
-                seriesToMetadataMap[seriesId] = seriesFromMachine(seriesPrefix + counterName);
             }
-            else {
-                graphToSeriesMap[graphId] = [];
-                graphToSeriesMap[graphId].push(seriesId);
-                seriesToMetadataMap[seriesId] = seriesFromMachine(seriesPrefix + counterName);
-                chartDiv = $("<div>").addClass("chartContainer").attr("id", graphId + "_chart");
-                var maxDescWidth = 84 * width;
-                var seriesWrap = $("<li>").attr("id", graphId).addClass("seriesWrap").append($("<div>").addClass("seriesTitle").attr("id", graphId + "_title").attr("title", seriesDescription).text(seriesDescription.substr(0, maxDescWidth) + "..."), chartDiv.highcharts(getHighchartsConfig(null, series, {})), $("<div>").addClass("table-wrapper").attr("id", graphId + "_table").hide());
-                if (top > 0 && left > 0) {
-                    gridster.add_widget(seriesWrap[0], width, height, top, left);
+        }
+        $("#" + graphId + "_table").append($("<h4>").text(seriesDescription), grid);
+        grid.DataTable({
+            paging: false,
+            scrollY: "300px",
+            "data": gridData,
+            "columns": getGridColumns(seriesId)
+        });
+        thisChart.redraw();
+        var newCounter = {
+            graphId: graphId,
+            counter: counterName,
+            machines: machineName,
+            environmentName: environmentName,
+            startTime: startTime,
+            endTime: endTime,
+            dimensions: replaceAll(typeof params === "string" ? params : $.param(params), "&", "%26"),
+            pivotDimension: pivotDimension,
+            view: graphViews[graphId] || "line",
+            live: liveGraphs[graphId],
+            coverage: graphCoverage[graphId],
+            compare: seriesComparisons[seriesId],
+            limit: graphLimits[graphId],
+            expression: seriesExpressions[seriesId],
+            top: 1,
+            left: 1,
+            width: 1,
+            height: 1
+        };
+        wires[seriesId] = newCounter;
+        if (graphToSeriesMap[graphId].length == 1) {
+            $("#" + graphId + "_title").append($("<i class='fa fa-times-circle'></i>").addClass("toggle").click(function () {
+                graphToSeriesMap[graphId].forEach(function (val) {
+                    delete wires[val];
+                    delete seriesToMetadataMap[val];
+                    delete chartData[val];
+                    delete histogramData[val];
+                    delete seriesPrefixes[val];
+                    delete seriesErrors[val];
+                    delete seriesDiagnostics[val];
+                    delete coverageData[val];
+                    delete seriesComparisons[val];
+                    delete comparisonValues[val];
+                    delete comparisonData[val];
+                    delete seriesExpressions[val];
+                });
+                gridster.remove_widget($("#" + graphId)[0]);
+                delete graphToSeriesMap[graphId];
+                delete graphViews[graphId];
+                delete graphWindows[graphId];
+                stopLiveRefresh(graphId);
+                delete liveGraphs[graphId];
+                delete graphCoverage[graphId];
+                delete graphLimits[graphId];
+                updateWires();
+            }), $("<i class='fa fa-table'></i>").addClass("toggle").click(function (e) {
+                if ($("#" + graphId + "_chart").is(":hidden")) {
+                    $("#" + graphId + "_table").hide();
+                    $("#" + graphId + "_chart").show();
+                    $(e.target).removeClass("fa-line-chart");
+                    $(e.target).addClass("fa-table");
                 }
                 else {
-                    gridster.add_widget(seriesWrap[0], width, height);
-                }
-                thisChart = chartDiv.highcharts();
-                highchartsResizeHack(chartDiv);
-                if (pivotDimension !== "") {
-                    Object.keys(perDimensionData).map(function (dimension) {
-                        thisChart.get(seriesFromMachine(dimension).id).setData(perDimensionData[dimension], false);
-                    });
-                    chartData[seriesId] = perDimensionData;
-                    values.forEach(function (value) {
-                        gridData.push([new Date(parseInt(value.EndTime.substr(6))).toLocaleString(), value.ChartValue, value.MachineCount]);
+                    $("#" + graphId + "_chart").hide();
+                    $("#" + graphId + "_table").show();
+                    $("th").each(function () {
+                        if (this.textContent == "EndTime") {
+                            this.click();
+                            this.click();
+                        }
                     });
+                    $(e.target).removeClass("fa-table");
+                    $(e.target).addClass("fa-line-chart");
                 }
-                else {
-                    data = values.map(function (value) { return [new Date(parseInt(value.EndTime.substr(6))).getTime(), value.ChartValue]; });
-                    chartData[seriesId] = data;
-                    //renderChart(data);
-                    thisChart.get(seriesFromMachine(seriesPrefix + counterName).id).setData(data, false);
-                    values.forEach(function (value) {
-                        gridData.push([new Date(parseInt(value.EndTime.substr(6))).toLocaleString(), value.ChartValue, value.MachineCount]);
-                    });
+            }), $("<i class='fa fa-bookmark'></i>").addClass("toggle").click(function () {
+                alert(document.URL.split("?")[0] + "?" + "wires={\"counters\":[" + JSON.stringify(wires[seriesId]) + "]}");
+            }), $("<i class='fa fa-info-circle'></i>").addClass("toggle").click(function () {
+                alert(seriesDescription);
+            }), $("<i class='fa fa-server'></i>").attr("id", graphId + "_diagnosticsToggle").addClass("toggle").click(function () {
+                $("#" + graphId + "_diagnostics").toggle();
+            }), $("<i class='fa fa-sitemap'></i>").attr("title", "Break down by machine").addClass("toggle").click(function () {
+                toggleGraphBreakdown(graphId);
+            }), $("<i class='fa fa-users'></i>").attr("id", graphId + "_coverage").attr("title", "Show the number of machines reporting").addClass("toggle").click(function () {
+                setGraphCoverage(graphId, !graphCoverage[graphId]);
+            }));
+        }
+        if (histogramData[seriesId] !== undefined && $("#" + graphId + "_histogram").length === 0) {
+            $("#" + graphId + "_title").append($("<i class='fa fa-th'></i>").attr("id", graphId + "_histogram").attr("title", "Switch between line, heatmap and distribution views").addClass("toggle").click(function () {
+                var current = graphViewOrder.indexOf(graphViews[graphId] || "line");
+                setGraphView(graphId, graphViewOrder[(current + 1) % graphViewOrder.length]);
+            }));
+        }
+        if (graphViews[graphId] !== undefined && graphViews[graphId] !== "line") {
+            renderGraphView(graphId);
+        }
+        else if (graphCoverage[graphId] || comparisonData[seriesId] !== undefined || graphLimits[graphId] !== undefined) {
+            renderLineChart(graphId);
+        }
+        renderGraphErrors(graphId);
+        renderGraphDiagnostics(graphId);
+        renderGraphCoverage(graphId);
+        if (liveGraphs[graphId] !== undefined && $("#" + graphId + "_live").length === 0) {
+            $("#" + graphId + "_title").append($("<i class='fa'></i>").attr("id", graphId + "_live").addClass("toggle").click(function () {
+                setLivePaused(graphId, !liveGraphs[graphId].paused);
+            }));
+            setLivePaused(graphId, !!liveGraphs[graphId].paused);
+        }
+        updateWires();
+        refreshPath();
+    };
+    // A failed series keeps its place in the graph and the wires, without data
+    var fail = function (envelope) {
+        seriesErrors[seriesId] = envelope;
+        if (envelope.RequestDetails !== undefined) {
+            seriesDiagnostics[seriesId] = envelope.RequestDetails;
+        }
+        render([]);
+    };
+    if (error !== undefined) {
+        fail(error);
+        return;
+    }
+    if (values !== undefined) {
+        loadComparison(seriesId, queryUri, queryPayload, queryFilters, queryPivot, startTime, endTime, function () { return render(values); });
+        return;
+    }
+    $.ajax({
+        url: queryUri,
+        type: "POST",
+        data: queryPayload,
+        success: function (response) {
+            seriesDiagnostics[seriesId] = response.RequestDetails;
+            if (isExpression) {
+                pivotDimension = response.SplitBy;
+            }
+            loadComparison(seriesId, queryUri, queryPayload, queryFilters, queryPivot, startTime, endTime, function () { return render(response.Values); });
+        },
+        error: function (xhr) { return fail(getErrorEnvelope(xhr)); }
+    });
+    return;
+}
+// Errors
+function getErrorEnvelope(xhr) {
+    if (xhr.responseJSON && xhr.responseJSON.ErrorMessage !== undefined) {
+        return xhr.responseJSON;
+    }
+    return {
+        ErrorMessage: xhr.status === 0 ? "Unable to reach MetricUX" : xhr.statusText || "Request failed",
+        ErrorType: xhr.status === 0 ? "connection" : "internal",
+        HttpResponseCode: xhr.status
+    };
+}
+function describeError(error) {
+    switch (error.ErrorType) {
+        case "upstream":
+            return "MetricSystem returned " + error.HttpResponseCode + ": " + error.ErrorMessage;
+        case "timeout":
+        case "connection":
+            return error.ErrorMessage;
+        default:
+            return error.ErrorMessage + " (" + error.HttpResponseCode + ")";
+    }
+}
+function showErrorMessage(xhr) {
+    $("#errorMessage").text(describeError(getErrorEnvelope(xhr))).show();
+}
+function showClientError(error) {
+    $("#errorMessage").text(describeError({
+        ErrorMessage: error.message,
+        ErrorType: error.type || "internal",
+        HttpResponseCode: error.status
+    })).show();
+}
+// Lists the failed series of a graph in its widget. A graph none of whose series returned data shows only the errors.
+function renderGraphErrors(graphId) {
+    var failed = graphToSeriesMap[graphId].filter(function (seriesId) { return seriesErrors[seriesId] !== undefined; });
+    $("#" + graphId + "_errors").remove();
+    $("#" + graphId + "_chart").toggle(failed.length < graphToSeriesMap[graphId].length);
+    if (failed.length === 0) {
+        return;
+    }
+    var errorList = $("<div>").addClass("graphErrors").attr("id", graphId + "_errors");
+    failed.forEach(function (seriesId) {
+        var wire = wires[seriesId];
+        errorList.append($("<div>").addClass("graphError").append($("<i class='fa fa-exclamation-triangle'></i>"), $("<span>").text(" " + describeError(seriesErrors[seriesId])), $("<div>").addClass("graphErrorSeries").text(wire.counter + " for " + (wire.machines || wire.environmentName))));
+    });
+    $("#" + graphId + "_title").after(errorList);
+}
+// Request diagnostics
+// How a machine fared in a query: "responded", "no data", "timed out", "failed" or "not reached" (the machine was in a
+// block whose aggregating machine failed, so nothing is known about it)
+function getMachineOutcome(detail) {
+    switch (detail.Status) {
+        case "TimedOut":
+            return "timed out";
+        case "FederationError":
+            return "not reached";
+        case "RequestException":
+            return "failed";
+    }
+    if (detail.HttpResponseCode === 200) {
+        return "responded";
+    }
+    return detail.HttpResponseCode === 404 ? "no data" : "failed";
+}
+function countMachineOutcomes(details, counts) {
+    details.forEach(function (detail) {
+        var outcome = getMachineOutcome(detail);
+        counts[outcome] = (counts[outcome] || 0) + 1;
+    });
+    return counts;
+}
+function describeMachineOutcomes(counts) {
+    return machineOutcomeOrder.filter(function (outcome) { return counts[outcome] !== undefined; }).map(function (outcome) { return counts[outcome] + " " + outcome; }).join(", ");
+}
+// Lists which machines answered each series of a graph. The title toggle turns into a warning when machines timed
+// out or failed, so a dip caused by missing machines can be told apart from a real drop.
+function renderGraphDiagnostics(graphId) {
+    var panel = $("#" + graphId + "_diagnostics");
+    if (panel.length === 0) {
+        panel = $("<div>").addClass("graphDiagnostics").attr("id", graphId + "_diagnostics").hide();
+        $("#" + graphId + "_chart").before(panel);
+    }
+    panel.empty();
+    var totals = {};
+    graphToSeriesMap[graphId].forEach(function (seriesId) {
+        var wire = wires[seriesId];
+        var details = (seriesDiagnostics[seriesId] || []).slice();
+        var counts = countMachineOutcomes(details, {});
+        countMachineOutcomes(details, totals);
+        panel.append($("<div>").addClass("diagnosticsSeries").text(wire.counter + " for " + (wire.machines || wire.environmentName) + (details.length > 0 ? ": " + describeMachineOutcomes(counts) : "")));
+        if (details.length === 0) {
+            panel.append($("<div>").addClass("diagnosticsNone").text("No per-machine details were returned; the query was answered by a single server."));
+            return;
+        }
+        details.sort(function (a, b) { return machineOutcomeOrder.indexOf(getMachineOutcome(a)) - machineOutcomeOrder.indexOf(getMachineOutcome(b)) || a.Machine.localeCompare(b.Machine); });
+        var table = $("<table>").addClass("diagnosticsTable").append($("<tr>").append(["Machine", "Outcome", "Status", "HTTP", "Role", "Details"].map(function (title) { return $("<th>").text(title); })));
+        details.forEach(function (detail) {
+            var outcome = getMachineOutcome(detail);
+            table.append($("<tr>").addClass("outcome-" + outcome.replace(" ", "-")).append($("<td>").text(detail.Machine), $("<td>").text(outcome), $("<td>").text(detail.Status), $("<td>").text(detail.HttpResponseCode ? String(detail.HttpResponseCode) : ""), $("<td>").text(detail.IsAggregator ? "aggregator" : ""), $("<td>").text(detail.StatusDescription)));
+        });
+        panel.append(table);
+    });
+    var missing = (totals["timed out"] || 0) + (totals["failed"] || 0) + (totals["not reached"] || 0);
+    var summary = describeMachineOutcomes(totals);
+    $("#" + graphId + "_diagnosticsToggle").toggleClass("diagnosticsWarning", missing > 0).attr("title", "Machines queried" + (summary !== "" ? ": " + summary : ""));
+}
+// Machine coverage
+// Number of machines which reported each point in time. Split series take the most of any dimension value.
+function getCoveragePoints(values) {
+    var counts = {};
+    values.forEach(function (value) {
+        var time = getSampleTime(value);
+        counts[time] = Math.max(counts[time] || 0, value.MachineCount || 0);
+    });
+    return Object.keys(counts).map(function (time) { return [parseInt(time), counts[time]]; }).sort(function (a, b) { return a[0] - b[0]; });
+}
+// Machines a series was queried from: those picked, else every machine known for its environment (0 if unknown)
+function getExpectedMachineCount(wire) {
+    if (wire.machines) {
+        return wire.machines.split(",").filter(function (machine) { return machine.trim() !== ""; }).length;
+    }
+    return environmentMachineCounts[wire.environmentName] || 0;
+}
+function isPartialCoverage(point, expected) {
+    return expected > 0 && point[1] < expected * coverageThreshold;
+}
+// Time ranges covered by consecutive partial points. Each point covers the time since the previous one.
+function getPartialCoveragePeriods(points, expected) {
+    var periods = [];
+    points.forEach(function (point, index) {
+        if (!isPartialCoverage(point, expected)) {
+            return;
+        }
+        var last = periods[periods.length - 1];
+        if (last !== undefined && index > 0 && last.max === points[index - 1][0]) {
+            last.max = point[0];
+        }
+        else {
+            periods.push({ min: index > 0 ? points[index - 1][0] : point[0], max: point[0] });
+        }
+    });
+    return periods;
+}
+function setGraphCoverage(graphId, visible) {
+    graphCoverage[graphId] = visible;
+    graphToSeriesMap[graphId].forEach(function (seriesId) {
+        if (wires[seriesId] !== undefined) {
+            wires[seriesId].coverage = visible;
+        }
+    });
+    if ((graphViews[graphId] || "line") === "line") {
+        renderLineChart(graphId);
+    }
+    renderGraphCoverage(graphId);
+    updateWires();
+    refreshPath();
+}
+// Draws the machines reporting every series of a line chart on a second axis and shades the partial periods
+function addCoverageOverlay(graphId, config) {
+    config.yAxis = [].concat(config.yAxis, {
+        min: 0,
+        allowDecimals: false,
+        opposite: true,
+        title: { text: "Machines" },
+        lineWidth: 1,
+        id: "yAxis_coverage"
+    });
+    config.xAxis.plotBands = [];
+    graphToSeriesMap[graphId].forEach(function (seriesId) {
+        var points = coverageData[seriesId] || [];
+        config.series.push({
+            data: points,
+            id: "coverage-" + seriesId,
+            name: "machines - " + seriesToMetadataMap[seriesId].name,
+            type: "area",
+            fillOpacity: 0.15,
+            lineWidth: 1,
+            dashStyle: "ShortDot",
+            tooltip: { valueDecimals: 0 },
+            yAxis: "yAxis_coverage"
+        });
+        var expected = wires[seriesId] !== undefined ? getExpectedMachineCount(wires[seriesId]) : 0;
+        getPartialCoveragePeriods(points, expected).forEach(function (period) {
+            config.xAxis.plotBands.push({ from: period.min, to: period.max, color: "rgba(255, 140, 0, 0.15)" });
+        });
+    });
+}
+// Warns when points of a graph were reported by fewer than coverageThreshold of the machines queried
+function renderGraphCoverage(graphId) {
+    $("#" + graphId + "_coverageWarning").remove();
+    $("#" + graphId + "_coverage").toggleClass("active", !!graphCoverage[graphId]);
+    var warnings = [];
+    graphToSeriesMap[graphId].forEach(function (seriesId) {
+        var wire = wires[seriesId];
+        var expected = wire !== undefined ? getExpectedMachineCount(wire) : 0;
+        var points = coverageData[seriesId] || [];
+        var partial = points.filter(function (point) { return isPartialCoverage(point, expected); });
+        if (partial.length === 0) {
+            return;
+        }
+        var fewest = partial.reduce(function (a, b) { return b[1] < a[1] ? b : a; });
+        warnings.push(wire.counter + " for " + (wire.machines || wire.environmentName) + ": " + partial.length + " of " + points.length + " points had fewer than " + Math.round(coverageThreshold * 100) + "% of " + expected + " machines reporting, as few as " + fewest[1] + " at " + new Date(fewest[0]).toLocaleString());
+    });
+    if (warnings.length === 0) {
+        return;
+    }
+    $("#" + graphId + "_chart").before($("<div>").addClass("coverageWarning").attr("id", graphId + "_coverageWarning").append($("<i class='fa fa-exclamation-triangle'></i>"), $("<span>").text(" Partial data"), warnings.map(function (warning) { return $("<div>").addClass("coverageWarningSeries").text(warning); })));
+}
+// Per-machine breakdown
+function toggleGraphBreakdown(graphId) {
+    var panel = $("#" + graphId + "_breakdown");
+    if (panel.length > 0 && panel.css("display") !== "none") {
+        panel.hide();
+        return;
+    }
+    if (panel.length === 0) {
+        panel = $("<div>").addClass("graphBreakdown").attr("id", graphId + "_breakdown");
+        $("#" + graphId + "_chart").before(panel);
+    }
+    panel.show();
+    refreshGraphBreakdown(graphId);
+}
+// Queries every series of a graph on each of its machines alone and lists the machines, furthest from the median first
+function refreshGraphBreakdown(graphId) {
+    var panel = $("#" + graphId + "_breakdown").empty();
+    // Expression series combine several counters, so they are not broken down
+    graphToSeriesMap[graphId].filter(function (seriesId) { return wires[seriesId] !== undefined && !wires[seriesId].expression; }).forEach(function (seriesId) {
+        var wire = wires[seriesId];
+        var section = $("<div>").addClass("breakdownSeries").append($("<div>").addClass("breakdownTitle").text(wire.counter + " for " + (wire.machines || wire.environmentName) + ": querying each machine..."));
+        panel.append(section);
+        $.ajax({
+            url: baseUri + "/breakdown",
+            type: "POST",
+            data: {
+                counterName: wire.counter,
+                environmentName: wire.environmentName,
+                machineName: wire.machines,
+                queryParameters: getQueryString(wire.dimensions || "", "", wire.startTime, wire.endTime),
+                timeoutValue: getTimeoutValue()
+            },
+            success: function (result) { return renderBreakdown(graphId, section, wire, result); },
+            error: function (xhr) {
+                section.children(".breakdownTitle").text(wire.counter + " for " + (wire.machines || wire.environmentName) + ": " + describeError(getErrorEnvelope(xhr)));
+            }
+        });
+    });
+}
+function renderBreakdown(graphId, section, wire, result) {
+    var scored = result.Machines.filter(function (machine) { return machine.Score !== undefined; });
+    var outliers = scored.filter(function (machine) { return machine.IsOutlier; }).length;
+    section.children(".breakdownTitle").text(wire.counter + " for " + (wire.machines || wire.environmentName) + ": median " + (result.Median !== null ? roundValue(result.Median) : "n/a") + " across " + scored.length + " of " + result.Machines.length + " machines, " + outliers + (outliers === 1 ? " outlier" : " outliers"));
+    // Sparklines share one scale so that machines far from the others stand out
+    var values = [];
+    result.Machines.forEach(function (machine) { return machine.Points.forEach(function (point) { return values.push(point[1]); }); });
+    var range = { min: Math.min.apply(null, values), max: Math.max.apply(null, values) };
+    var table = $("<table>").addClass("ms-grid breakdownTable");
+    section.append(table);
+    table.DataTable({
+        paging: false,
+        searching: false,
+        info: false,
+        order: [[0, "asc"]],
+        data: result.Machines.map(function (machine, index) { return [
+            index + 1,
+            $("<div>").text(machine.Machine).html(),
+            machine.Value !== null ? roundValue(machine.Value) : "",
+            machine.RelativeDeviation !== undefined && machine.RelativeDeviation !== null ? roundValue(machine.RelativeDeviation * 100) : "",
+            machine.Score !== undefined ? roundValue(machine.Score) : "",
+            machine.Error !== undefined ? $("<div>").text(describeError(machine.Error)).html() : getSparkline(machine.Points, range, 120, 20)
+        ]; }),
+        columns: [
+            { title: "Rank" },
+            { title: "Machine" },
+            { title: "Average" },
+            { title: "vs median (%)" },
+            { title: "Score" },
+            { title: "Trend", orderable: false }
+        ],
+        createdRow: function (row, data, index) {
+            var machine = result.Machines[index];
+            $(row).toggleClass("outlier", !!machine.IsOutlier).toggleClass("breakdownError", machine.Error !== undefined);
+            $("td", row).eq(1).addClass("breakdownMachine").attr("title", "Add this machine to the graph").click(function () {
+                queryData(machine.Machine, wire.environmentName, getTimeoutValue(), wire.pivotDimension, wire.counter, graphLimits[graphId] || null, wire.dimensions || "", wire.startTime, wire.endTime, 1, 1, 0, 0, generateUuid(), graphId);
+            });
+        }
+    });
+}
+function roundValue(value) {
+    return Math.round(value * 100) / 100;
+}
+// Inline SVG line through [time, value] points, scaled to the value range given
+function getSparkline(points, range, width, height) {
+    if (points.length < 2) {
+        return "";
+    }
+    var start = points[0][0];
+    var span = points[points.length - 1][0] - start || 1;
+    var valueSpan = range.max - range.min || 1;
+    var coordinates = points.map(function (point) { return ((point[0] - start) / span * width).toFixed(1) + "," + (height - 1 - (point[1] - range.min) / valueSpan * (height - 2)).toFixed(1); });
+    return "<svg class='sparkline' width='" + width + "' height='" + height + "'><polyline points='" + coordinates.join(" ") + "' /></svg>";
+}
+// Percentiles
+// Parses a percentile filter listing several percentiles and bands ("50,99,5-95"). Single percentiles return null.
+function getPercentileSpec(filters) {
+    var percentile = paramsUnserialize(filters)["percentile"];
+    if (percentile === undefined || !/[,\-]/.test(percentile)) {
+        return null;
+    }
+    var spec = { lines: [], bands: [] };
+    percentile.split(",").forEach(function (part) {
+        var range = part.split("-").map(function (value) { return value.trim(); });
+        if (range.length === 2) {
+            spec.bands.push({ low: range[0], high: range[1] });
+        }
+        else if (range[0] !== "") {
+            spec.lines.push(range[0]);
+        }
+    });
+    return spec;
+}
+function getPercentileLabel(percentile) {
+    return isNaN(parseFloat(percentile)) ? percentile : "p" + percentile;
+}
+function addPercentilePoints(data, prefix, spec, value) {
+    if (value.PercentileValues === undefined) {
+        return;
+    }
+    var time = getSampleTime(value);
+    spec.lines.forEach(function (percentile) {
+        addDataSetPoint(data, prefix + " " + getPercentileLabel(percentile), [time, value.PercentileValues[percentile]]);
+    });
+    spec.bands.forEach(function (band) {
+        addDataSetPoint(data, prefix + " " + getPercentileLabel(band.low) + "-" + getPercentileLabel(band.high), [time, value.PercentileValues[band.low], value.PercentileValues[band.high]]);
+    });
+}
+// Percentiles of a saved series, or null unless it lists several
+function getWirePercentileSpec(wire) {
+    return getPercentileSpec(serializeParams(wire.dimensions || ""));
+}
+function addDataSetPoint(data, name, point) {
+    if (!data[name]) {
+        data[name] = [];
+    }
+    data[name].push(point);
+}
+// Points of a series keyed by chart series name: one data set per dimension value or percentile (per percentile of
+// each dimension value when split both ways), or a single one
+function buildDataSets(values, prefix, counterName, pivotDimension, percentileSpec) {
+    var data = {};
+    values.forEach(function (value) {
+        if (pivotDimension !== "" && percentileSpec !== null) {
+            addPercentilePoints(data, prefix + value.DimensionVal, percentileSpec, value);
+        }
+        else if (pivotDimension !== "") {
+            addDataSetPoint(data, prefix + value.DimensionVal, [getSampleTime(value), value.ChartValue]);
+        }
+        else if (percentileSpec !== null) {
+            addPercentilePoints(data, prefix + counterName, percentileSpec, value);
+        }
+        else {
+            addDataSetPoint(data, prefix + counterName, [getSampleTime(value), value.ChartValue]);
+        }
+    });
+    return data;
+}
+// Comparisons
+// Milliseconds of a time shift back such as "1d", "1w" or "90m". Returns null for anything else.
+function parseTimeShift(value) {
+    var shift = typeof value === "string" && /^\s*\d/.test(value) ? MetricSystem.parseDuration(value) : null;
+    return shift > 0 ? shift : null;
+}
+function getComparisonLabel(shift) {
+    return shift.trim() + " earlier";
+}
+// Appended to the names of the data sets a series is compared with
+function getComparisonSuffix(seriesId) {
+    return " (" + getComparisonLabel(seriesComparisons[seriesId]) + ")";
+}
+// Start and end times of a series moved back by shift milliseconds
+function getShiftedTimes(startTime, endTime, shift) {
+    var now = new Date().getTime();
+    if (startTime === "" || endTime === "") {
+        startTime = "now-1h";
+        endTime = "now";
+    }
+    return [resolveTime(startTime, now) - shift, resolveTime(endTime, now) - shift];
+}
+// Samples with their times moved forward by shift milliseconds, onto the time axis of the series they are compared with
+function shiftValues(values, shift) {
+    return values.map(function (value) { return $.extend({}, value, {
+        StartTime: "/Date(" + (parseInt(value.StartTime.substr(6)) + shift) + ")/",
+        EndTime: "/Date(" + (getSampleTime(value) + shift) + ")/"
+    }); });
+}
+// Fetches the shifted samples a series is compared with, unless a batch query already did, then calls done. A failed
+// comparison leaves the series drawn on its own.
+function loadComparison(seriesId, queryUri, queryPayload, params, pivotDimension, startTime, endTime, done) {
+    var shift = parseTimeShift(seriesComparisons[seriesId]);
+    if (shift === null || comparisonValues[seriesId] !== undefined) {
+        done();
+        return;
+    }
+    var times = getShiftedTimes(startTime, endTime, shift);
+    $.ajax({
+        url: queryUri,
+        type: "POST",
+        data: $.extend({}, queryPayload, { queryParameters: getQueryString(params, pivotDimension, times[0], times[1]) }),
+        success: function (response) {
+            comparisonValues[seriesId] = shiftValues(response.Values, shift);
+            done();
+        },
+        error: function () { return done(); }
+    });
+}
+// Data sets of the shifted samples of a series, named after the data sets they are compared with
+function buildComparisonDataSets(seriesId, prefix, counterName, pivotDimension, percentileSpec) {
+    var dataSets = buildDataSets(comparisonValues[seriesId], prefix, counterName, pivotDimension, percentileSpec);
+    var suffix = getComparisonSuffix(seriesId);
+    var data = {};
+    Object.keys(dataSets).forEach(function (name) {
+        data[name + suffix] = dataSets[name];
+    });
+    return data;
+}
+// Merges shifted samples fetched by a live refresh and drops the ones older than cutoff
+function appendComparisonValues(seriesId, values, cutoff) {
+    var wire = wires[seriesId];
+    var times = {};
+    values.forEach(function (value) {
+        times[getSampleTime(value)] = true;
+    });
+    comparisonValues[seriesId] = comparisonValues[seriesId].filter(function (sample) {
+        var time = getSampleTime(sample);
+        return time >= cutoff && !times[time];
+    }).concat(values);
+    comparisonData[seriesId] = buildComparisonDataSets(seriesId, seriesPrefixes[seriesId], wire.counter, wire.pivotDimension, getWirePercentileSpec(wire));
+}
+function getGridColumns(seriesId) {
+    var columns = [{ "title": "EndTime" }, { "title": "Value" }, { "title": "MachineCount" }];
+    if (seriesComparisons[seriesId] !== undefined) {
+        columns.push({ "title": "Change vs " + getComparisonLabel(seriesComparisons[seriesId]) + " (%)" });
+    }
+    return columns;
+}
+// Table rows of a series: time, value and machines, plus the percent change from the shifted sample with the same
+// time and dimension value when the series is compared
+function getGridRowFormatter(seriesId) {
+    var shifted = {};
+    (comparisonValues[seriesId] || []).forEach(function (sample) {
+        shifted[getSampleTime(sample) + "|" + sample.DimensionVal] = sample.ChartValue;
+    });
+    return function (value) {
+        var row = [new Date(getSampleTime(value)).toLocaleString(), value.ChartValue, value.MachineCount];
+        if (seriesComparisons[seriesId] !== undefined) {
+            var previous = shifted[getSampleTime(value) + "|" + value.DimensionVal];
+            row.push(previous ? roundValue((value.ChartValue - previous) / previous * 100) : "");
+        }
+        return row;
+    };
+}
+// Split limits
+// Limit picked in the options, or null to keep every dimension value
+function getSplitLimit() {
+    var keep = ($("#splitLimit").val() || "").split(":");
+    var count = parseInt(keep[1]);
+    if (keep.length !== 2 || !(count > 0)) {
+        return null;
+    }
+    return { count: count, order: keep[0], by: $("#splitRank").val() || "sum" };
+}
+// Changes the limit of an existing graph, picked in the options while the graph is chosen, and of its wires
+function setGraphLimit(graphId, limit) {
+    if (limit) {
+        graphLimits[graphId] = limit;
+    }
+    else {
+        delete graphLimits[graphId];
+    }
+    graphToSeriesMap[graphId].forEach(function (seriesId) {
+        if (wires[seriesId] !== undefined) {
+            wires[seriesId].limit = graphLimits[graphId];
+        }
+    });
+    if ((graphViews[graphId] || "line") === "line") {
+        renderLineChart(graphId);
+    }
+    updateWires();
+    refreshPath();
+}
+// Only series split by a dimension are limited, not those split into percentiles, whose lines and bands of a
+// dimension value cannot be summed into "other"
+function isLimitedSeries(graphId, seriesId) {
+    var wire = wires[seriesId];
+    return graphLimits[graphId] !== undefined && wire !== undefined && wire.pivotDimension !== "" && !$.isArray(chartData[seriesId]) && getWirePercentileSpec(wire) === null;
+}
+// Value a data set is ranked by, or null when it has no values
+function getRankValue(points, by) {
+    var values = points.map(function (point) { return point[1]; }).filter(function (value) { return value !== null && value !== undefined; });
+    if (values.length === 0) {
+        return null;
+    }
+    switch (by) {
+        case "max":
+            return Math.max.apply(null, values);
+        case "latest":
+            return values[values.length - 1];
+    }
+    var sum = values.reduce(function (total, value) { return total + value; }, 0);
+    return by === "average" ? sum / values.length : sum;
+}
+// Keeps the data sets of the dimension values ranking first and sums the points of the others, time by time, into
+// a data set named otherName
+function limitDataSets(data, limit, otherName) {
+    var names = Object.keys(data);
+    if (names.length <= limit.count) {
+        return data;
+    }
+    var ranks = {};
+    names.forEach(function (name) {
+        ranks[name] = getRankValue(data[name], limit.by);
+    });
+    var sign = limit.order === "bottom" ? 1 : -1;
+    names.sort(function (a, b) {
+        if (ranks[a] === null || ranks[b] === null) {
+            return ranks[a] === null ? (ranks[b] === null ? 0 : 1) : -1;
+        }
+        return sign * (ranks[a] - ranks[b]);
+    });
+    var limited = {};
+    names.slice(0, limit.count).forEach(function (name) {
+        limited[name] = data[name];
+    });
+    var totals = {};
+    names.slice(limit.count).forEach(function (name) {
+        data[name].forEach(function (point) {
+            if (point[1] !== null && point[1] !== undefined) {
+                totals[point[0]] = (totals[point[0]] || 0) + point[1];
+            }
+        });
+    });
+    limited[otherName + " (" + (names.length - limit.count) + ")"] = Object.keys(totals).map(function (time) { return [parseInt(time), totals[time]]; }).sort(function (a, b) { return a[0] - b[0]; });
+    return limited;
+}
+// Live refresh
+function startLiveRefresh(graphId) {
+    stopLiveRefresh(graphId);
+    var live = liveGraphs[graphId];
+    if (live !== undefined && !live.paused && live.interval > 0) {
+        liveTimers[graphId] = setInterval(function () { return refreshLiveGraph(graphId); }, live.interval);
+    }
+}
+function stopLiveRefresh(graphId) {
+    if (liveTimers[graphId] !== undefined) {
+        clearInterval(liveTimers[graphId]);
+        delete liveTimers[graphId];
+    }
+}
+function setLivePaused(graphId, paused) {
+    var live = liveGraphs[graphId];
+    live.paused = paused;
+    $("#" + graphId + "_live").toggleClass("fa-pause", !paused).toggleClass("fa-play", paused).attr("title", paused ? "Resume live updates" : "Pause live updates (every " + live.interval / 1000 + " seconds)");
+    if (paused) {
+        stopLiveRefresh(graphId);
+    }
+    else {
+        startLiveRefresh(graphId);
+    }
+    refreshPath();
+}
+// Fetches only the samples after the last point of every series of a live graph
+function refreshLiveGraph(graphId) {
+    var live = liveGraphs[graphId];
+    if (live === undefined || graphToSeriesMap[graphId] === undefined) {
+        stopLiveRefresh(graphId);
+        return;
+    }
+    var now = new Date().getTime();
+    var cutoff = now - live.window;
+    var seriesIds = graphToSeriesMap[graphId].filter(function (seriesId) { return wires[seriesId] !== undefined; });
+    var queries = seriesIds.map(function (seriesId) { return getBatchQuery(seriesId, wires[seriesId], Math.max(getLastSampleTime(seriesId), cutoff), now, getTimeoutValue()); });
+    // Compared series fetch the shifted samples after their last one
+    var compared = seriesIds.filter(function (seriesId) { return parseTimeShift(seriesComparisons[seriesId]) !== null && comparisonValues[seriesId] !== undefined; });
+    compared.forEach(function (seriesId) {
+        var shift = parseTimeShift(seriesComparisons[seriesId]);
+        var last = comparisonValues[seriesId].reduce(function (time, sample) { return Math.max(time, getSampleTime(sample)); }, 0);
+        queries.push(getBatchQuery(seriesId + "_comparison", wires[seriesId], Math.max(last, cutoff) - shift, now - shift, getTimeoutValue()));
+    });
+    $.ajax({
+        url: baseUri + "/batch",
+        type: "POST",
+        contentType: "application/json",
+        data: JSON.stringify({ queries: queries, diagnostics: true }),
+        // Keep the loading banner for queries the user asked for
+        global: false,
+        success: function (responses) {
+            if (graphToSeriesMap[graphId] === undefined) {
+                return;
+            }
+            seriesIds.forEach(function (seriesId) {
+                if (responses[seriesId] !== undefined && responses[seriesId].RequestDetails !== undefined) {
+                    seriesDiagnostics[seriesId] = responses[seriesId].RequestDetails;
+                }
+                if (responses[seriesId] !== undefined && responses[seriesId].ErrorType === undefined && chartData[seriesId] !== undefined) {
+                    appendLiveValues(graphId, seriesId, responses[seriesId].Values, cutoff);
+                }
+            });
+            compared.forEach(function (seriesId) {
+                var response = responses[seriesId + "_comparison"];
+                if (response !== undefined && response.ErrorType === undefined && comparisonValues[seriesId] !== undefined) {
+                    appendComparisonValues(seriesId, shiftValues(response.Values, parseTimeShift(seriesComparisons[seriesId])), cutoff);
                 }
+            });
+            renderGraphDiagnostics(graphId);
+            renderGraphCoverage(graphId);
+            if (graphViews[graphId] !== undefined && graphViews[graphId] !== "line") {
+                graphWindows[graphId] = { min: cutoff, max: now };
+                renderGraphView(graphId);
+            }
+            else if (graphCoverage[graphId] || compared.length > 0 || graphLimits[graphId] !== undefined) {
+                renderLineChart(graphId);
+            }
+            else {
+                $("#" + graphId + "_chart").highcharts().redraw();
+            }
+        }
+    });
+}
+function getLastSampleTime(seriesId) {
+    var data = chartData[seriesId];
+    var dataSets = $.isArray(data) ? [data] : Object.keys(data).map(function (name) { return data[name]; });
+    var last = 0;
+    dataSets.forEach(function (points) {
+        if (points.length > 0) {
+            last = Math.max(last, points[points.length - 1][0]);
+        }
+    });
+    return last;
+}
+// Merges new samples into a live series and drops the points older than cutoff
+function appendLiveValues(graphId, seriesId, values, cutoff) {
+    var wire = wires[seriesId];
+    var dataSets = buildDataSets(values, seriesPrefixes[seriesId], wire.counter, wire.pivotDimension, getWirePercentileSpec(wire));
+    var stored = chartData[seriesId];
+    var isSplit = !$.isArray(stored);
+    var chart = (graphViews[graphId] || "line") === "line" ? $("#" + graphId + "_chart").highcharts() : null;
+    Object.keys(dataSets).forEach(function (name) {
+        var points = isSplit ? (stored[name] = stored[name] || []) : stored;
+        var chartSeries = chart ? chart.get(seriesFromData(name, dataSets[name]).id) : null;
+        if (chart && !chartSeries) {
+            // First sample of a new dimension value
+            chartSeries = chart.addSeries(getHighchartsConfig(null, [seriesFromData(name, dataSets[name])], {}).series[0], false);
+        }
+        dataSets[name].forEach(function (point) {
+            var last = points.length > 0 ? points[points.length - 1][0] : null;
+            if (last !== null && point[0] < last) {
+                return;
+            }
+            if (point[0] === last) {
+                // The latest sample may have been partial when it was last fetched
+                points[points.length - 1] = point;
+                if (chartSeries) {
+                    chartSeries.removePoint(points.length - 1, false);
+                }
+            }
+            else {
+                points.push(point);
+            }
+            if (chartSeries) {
+                chartSeries.addPoint(point, false);
+            }
+        });
+    });
+    var names = isSplit ? Object.keys(stored) : [seriesToMetadataMap[seriesId].name];
+    names.forEach(function (name) {
+        var points = isSplit ? stored[name] : stored;
+        var chartSeries = chart ? chart.get(seriesFromMachine(name).id) : null;
+        while (points.length > 0 && points[0][0] < cutoff) {
+            points.shift();
+            if (chartSeries) {
+                chartSeries.removePoint(0, false);
             }
-            $("#" + graphId + "_table").append($("<h4>").text(seriesDescription), grid);
-            grid.DataTable({
-                paging: false,
-                scrollY: "300px",
-                "data": gridData,
-                "columns": [
-                    { "title": "EndTime" },
-                    { "title": "Value" },
-                    { "title": "MachineCount" }
-                ]
+        }
+    });
+    // Samples fetched again replace the ones stored for the same time
+    var times = {};
+    values.forEach(function (value) {
+        times[getSampleTime(value)] = true;
+    });
+    coverageData[seriesId] = (coverageData[seriesId] || []).filter(function (point) { return point[0] >= cutoff && !times[point[0]]; }).concat(getCoveragePoints(values));
+    if (histogramData[seriesId] !== undefined || values.some(function (value) { return value.Histogram !== undefined; })) {
+        histogramData[seriesId] = (histogramData[seriesId] || []).filter(function (sample) {
+            var time = getSampleTime(sample);
+            return time >= cutoff && !times[time];
+        }).concat(values.filter(function (value) { return value.Histogram !== undefined; }));
+    }
+}
+// Histogram views
+function setGraphView(graphId, view) {
+    var chart = $("#" + graphId + "_chart").highcharts();
+    if (chart && (graphViews[graphId] || "line") !== "distribution") {
+        // Keep the time window the user zoomed to for the distribution view
+        var extremes = chart.xAxis[0].getExtremes();
+        graphWindows[graphId] = { min: extremes.min, max: extremes.max };
+    }
+    graphViews[graphId] = view;
+    graphToSeriesMap[graphId].forEach(function (seriesId) {
+        if (wires[seriesId] !== undefined) {
+            wires[seriesId].view = view;
+        }
+    });
+    renderGraphView(graphId);
+    refreshPath();
+}
+function renderGraphView(graphId) {
+    var chartDiv = $("#" + graphId + "_chart");
+    var samples = [];
+    graphToSeriesMap[graphId].forEach(function (seriesId) {
+        if (histogramData[seriesId] !== undefined) {
+            samples = samples.concat(histogramData[seriesId].filter(function (sample) { return sample.Histogram !== undefined; }));
+        }
+    });
+    if (graphViews[graphId] === "heatmap" && samples.length > 0) {
+        chartDiv.highcharts(getHeatmapConfig(samples, graphWindows[graphId]));
+    }
+    else if (graphViews[graphId] === "distribution" && samples.length > 0) {
+        chartDiv.highcharts(getDistributionConfig(samples, graphWindows[graphId]));
+    }
+    else {
+        renderLineChart(graphId);
+    }
+    highchartsResizeHack(chartDiv);
+}
+function renderLineChart(graphId) {
+    var chartDiv = $("#" + graphId + "_chart");
+    var series = [];
+    var seriesData = {};
+    graphToSeriesMap[graphId].forEach(function (seriesId) {
+        var data = chartData[seriesId];
+        var limited = isLimitedSeries(graphId, seriesId);
+        if ($.isArray(data)) {
+            series.push(seriesToMetadataMap[seriesId]);
+            seriesData[seriesToMetadataMap[seriesId].id] = data;
+        }
+        else {
+            // Split series keep one data set per dimension value or percentile
+            if (limited) {
+                data = limitDataSets(data, graphLimits[graphId], seriesPrefixes[seriesId] + "other");
+            }
+            Object.keys(data).forEach(function (name) {
+                var dimensionSeries = seriesFromData(name, data[name]);
+                series.push(dimensionSeries);
+                seriesData[dimensionSeries.id] = data[name];
             });
-            thisChart.redraw();
-            var newCounter = {
-                graphId: graphId,
-                counter: counterName,
-                machines: machineName,
-                environmentName: environmentName,
-                startTime: startTime,
-                endTime: endTime,
-                dimensions: replaceAll($.param(params), "&", "%26"),
-                pivotDimension: pivotDimension,
-                top: 1,
-                left: 1,
-                width: 1,
-                height: 1
-            };
-            wires[seriesId] = newCounter;
-            if (graphToSeriesMap[graphId].length == 1) {
-                $("#" + graphId + "_title").append($("<i class='fa fa-times-circle'></i>").addClass("toggle").click(function () {
-                    for (var val in graphToSeriesMap[graphId]) {
-                        delete wires[val];
-                        delete seriesToMetadataMap[val];
-                    }
-                    gridster.remove_widget($("#" + graphId)[0]);
-                    delete graphToSeriesMap[graphId];
-                    updateWires();
-                }), $("<i class='fa fa-table'></i>").addClass("toggle").click(function (e) {
-                    if ($("#" + graphId + "_chart").is(":hidden")) {
-                        $("#" + graphId + "_table").hide();
-                        $("#" + graphId + "_chart").show();
-                        $(e.target).removeClass("fa-line-chart");
-                        $(e.target).addClass("fa-table");
-                    }
-                    else {
-                        $("#" + graphId + "_chart").hide();
-                        $("#" + graphId + "_table").show();
-                        $("th").each(function () {
-                            if (this.textContent == "EndTime") {
-                                this.click();
-                                this.click();
-                            }
-                        });
-                        $(e.target).removeClass("fa-table");
-                        $(e.target).addClass("fa-line-chart");
-                    }
-                }), $("<i class='fa fa-bookmark'></i>").addClass("toggle").click(function () {
-                    alert(document.URL.split("?")[0] + "?" + "wires={\"counters\":[" + JSON.stringify(wires[seriesId]) + "]}");
-                }), $("<i class='fa fa-info-circle'></i>").addClass("toggle").click(function () {
-                    alert(seriesDescription);
-                }));
+        }
+        // Comparisons are drawn dashed, aligned on the time axis of the series
+        var comparison = comparisonData[seriesId];
+        if (comparison !== undefined) {
+            var suffix = getComparisonSuffix(seriesId);
+            Object.keys(comparison).filter(function (name) { return !limited || data.hasOwnProperty(name.substr(0, name.length - suffix.length)); }).forEach(function (name) {
+                var comparisonSeries = seriesFromData(name, comparison[name]);
+                comparisonSeries.dashStyle = "Dash";
+                series.push(comparisonSeries);
+                seriesData[comparisonSeries.id] = comparison[name];
+            });
+        }
+    });
+    var config = getHighchartsConfig(null, series, {});
+    if (graphCoverage[graphId]) {
+        addCoverageOverlay(graphId, config);
+    }
+    chartDiv.highcharts(config);
+    var chart = chartDiv.highcharts();
+    series.forEach(function (s) {
+        chart.get(s.id).setData(seriesData[s.id], false);
+    });
+    chart.redraw();
+}
+// Groups histogram values into at most maxBins value ranges
+function getHistogramBins(samples, maxBins) {
+    var distinct = {};
+    samples.forEach(function (sample) {
+        sample.Histogram.forEach(function (bucket) {
+            distinct[bucket[0]] = true;
+        });
+    });
+    var values = Object.keys(distinct).map(function (value) { return parseInt(value); }).sort(function (a, b) { return a - b; });
+    if (values.length <= maxBins) {
+        return values.map(function (value) {
+            return { min: value, max: value, label: value.toString() };
+        });
+    }
+    var min = values[0];
+    var binWidth = Math.ceil((values[values.length - 1] - min + 1) / maxBins);
+    var bins = [];
+    for (var i = 0; i < maxBins; i++) {
+        var binMin = min + i * binWidth;
+        bins.push({ min: binMin, max: binMin + binWidth - 1, label: binMin + "-" + (binMin + binWidth - 1) });
+    }
+    return bins;
+}
+function getHistogramBinIndex(bins, value) {
+    for (var i = 0; i < bins.length; i++) {
+        if (value <= bins[i].max) {
+            return i;
+        }
+    }
+    return bins.length - 1;
+}
+function getSampleTime(sample) {
+    return new Date(parseInt(sample.EndTime.substr(6))).getTime();
+}
+// Time by value heatmap of histogram bucket counts
+function getHeatmapConfig(samples, timeWindow) {
+    var bins = getHistogramBins(samples, 20);
+    var cells = {};
+    var times = [];
+    samples.forEach(function (sample) {
+        var time = getSampleTime(sample);
+        times.push(time);
+        sample.Histogram.forEach(function (bucket) {
+            var key = time + ":" + getHistogramBinIndex(bins, bucket[0]);
+            cells[key] = (cells[key] || 0) + bucket[1];
+        });
+    });
+    // Cells are as wide as the smallest gap between samples
+    times.sort(function (a, b) { return a - b; });
+    var columnSize = 0;
+    for (var i = 1; i < times.length; i++) {
+        var gap = times[i] - times[i - 1];
+        if (gap > 0 && (columnSize === 0 || gap < columnSize)) {
+            columnSize = gap;
+        }
+    }
+    return {
+        chart: {
+            type: "heatmap",
+            backgroundColor: "rgba(255, 255, 255, 0)",
+            plotBackgroundColor: "rgba(255, 255, 255, 0.9)",
+            zoomType: "x",
+            style: {
+                fontFamily: "Segoe UI"
             }
-            updateWires();
-            refreshPath();
-        })
+        },
+        credits: { enabled: false },
+        title: { text: "" },
+        xAxis: {
+            type: "datetime",
+            min: timeWindow ? timeWindow.min : null,
+            max: timeWindow ? timeWindow.max : null
+        },
+        yAxis: {
+            categories: bins.map(function (bin) { return bin.label; }),
+            title: { text: "" }
+        },
+        colorAxis: {
+            min: 0,
+            minColor: "#ffffff",
+            maxColor: "#2f7ed8"
+        },
+        legend: {
+            align: "right",
+            layout: "vertical",
+            verticalAlign: "middle"
+        },
+        tooltip: {
+            formatter: function () {
+                return Highcharts.dateFormat("%A, %b %d, %Y %H:%M:%S", this.point.x) + "<br/>" + bins[this.point.y].label + ": <b>" + this.point.value + "</b>";
+            }
+        },
+        series: [{
+            name: "Samples",
+            data: Object.keys(cells).map(function (key) {
+                var parts = key.split(":");
+                return [parseInt(parts[0]), parseInt(parts[1]), cells[key]];
+            }),
+            colsize: columnSize || 60000,
+            borderWidth: 0
+        }]
+    };
+}
+// Value distribution (with its CDF) of every histogram sample inside the time window
+function getDistributionConfig(samples, timeWindow) {
+    var windowSamples = samples.filter(function (sample) {
+        var time = getSampleTime(sample);
+        return !timeWindow || (time >= timeWindow.min && time <= timeWindow.max);
     });
-    return;
+    var bins = getHistogramBins(windowSamples, 40);
+    var counts = bins.map(function () { return 0; });
+    var total = 0;
+    windowSamples.forEach(function (sample) {
+        sample.Histogram.forEach(function (bucket) {
+            counts[getHistogramBinIndex(bins, bucket[0])] += bucket[1];
+            total += bucket[1];
+        });
+    });
+    var cumulative = 0;
+    var cdf = counts.map(function (count) {
+        cumulative += count;
+        return total > 0 ? cumulative * 100 / total : 0;
+    });
+    var title = "";
+    if (timeWindow) {
+        title = new Date(timeWindow.min).toLocaleString() + " to " + new Date(timeWindow.max).toLocaleString();
+    }
+    return {
+        chart: {
+            backgroundColor: "rgba(255, 255, 255, 0)",
+            plotBackgroundColor: "rgba(255, 255, 255, 0.9)",
+            style: {
+                fontFamily: "Segoe UI"
+            }
+        },
+        credits: { enabled: false },
+        title: {
+            text: title,
+            style: {
+                "font-size": "12px",
+                "font-weight": "lighter"
+            }
+        },
+        xAxis: {
+            categories: bins.map(function (bin) { return bin.label; })
+        },
+        yAxis: [{
+            min: 0,
+            title: { text: "Count" }
+        }, {
+            min: 0,
+            max: 100,
+            opposite: true,
+            title: { text: "Cumulative %" }
+        }],
+        tooltip: { shared: true },
+        legend: { enabled: true },
+        plotOptions: {
+            column: {
+                groupPadding: 0,
+                pointPadding: 0,
+                borderWidth: 0
+            }
+        },
+        series: [{
+            type: "column",
+            name: "Count",
+            data: counts
+        }, {
+            type: "line",
+            name: "CDF",
+            yAxis: 1,
+            data: cdf,
+            marker: { enabled: false },
+            tooltip: {
+                valueDecimals: 2,
+                valueSuffix: "%"
+            }
+        }]
+    };
 }
 // Utility functions
 var seriesFromMachine = function (name) {
@@ -199,6 +1274,14 @@ var seriesFromMachine = function (name) {
         type: "line"
     };
 };
+// Data sets with [time, low, high] points are drawn as shaded bands
+var seriesFromData = function (name, data) {
+    var series = seriesFromMachine(name);
+    if (data.length > 0 && data[0].length === 3) {
+        series.type = "arearange";
+    }
+    return series;
+};
 function refreshMachinesList() {
     var machines = [];
     var machineList = $("#machineName");
@@ -213,12 +1296,12 @@ function refreshMachinesList() {
     }
     else {
         $.get(baseUri + "/machines?environment=" + $("#EnvironmentList").val(), function (result) {
-            for (var machine in result) {
-                machines.push(machine);
-            }
+            result.Servers.forEach(function (server) {
+                machines.push(server.Port === defaultServerPort ? server.Hostname : server.Hostname + ":" + server.Port);
+            });
             machines.sort();
             machines.map(function (m) {
-                machineList.append($("<option class='machineNameOption' />").val(m.Hostname).text(m.Hostname));
+                machineList.append($("<option class='machineNameOption' />").val(m).text(m));
             });
             if ($("#queryEnvironment").is(":checked")) {
                 $("#machineName").hide();
@@ -245,15 +1328,73 @@ function getMachineName() {
     }
     return result;
 }
+// Dimension filters may be a parameter object or a serialized (wire) string
+function serializeParams(params) {
+    if (typeof params === "string") {
+        return decodeURIComponent(params);
+    }
+    return decodeURIComponent($.param(params));
+}
+function getQueryString(params, pivotDimension, startTime, endTime) {
+    var query = typeof params === "string" ? paramsUnserialize(decodeURIComponent(params)) : $.extend({}, params);
+    if (pivotDimension !== "" && pivotDimension !== undefined && pivotDimension !== null) {
+        query["dimension"] = pivotDimension;
+    }
+    var serialized = $.param(query);
+    return (serialized !== "" ? serialized + "&" : "") + getStartEndTimes(startTime, endTime);
+}
 function getStartEndTimes(startTime, endTime) {
-    if (startTime !== "" && endTime !== "") {
-        return "start=" + new Date(startTime).toISOString() + "&end=" + new Date(endTime).toISOString();
+    var now = new Date().getTime();
+    if (startTime === "" || endTime === "") {
+        startTime = "now-1h";
+        endTime = "now";
+    }
+    return "start=" + new Date(resolveTime(startTime, now)).toISOString() + "&end=" + new Date(resolveTime(endTime, now)).toISOString();
+}
+// Relative times
+// "now", "today" or "yesterday" with an optional offset such as "-6h", or "N units ago" (see lib/metricsystem.js)
+function isRelativeTime(value) {
+    return MetricSystem.parseRelativeTime(value, 0) !== null;
+}
+// Times are kept as entered (relative or absolute) and resolved only when a query is sent
+function resolveTime(value, now) {
+    var time = MetricSystem.parseRelativeTime(value, now);
+    return time !== null ? time : new Date(value).getTime();
+}
+function formatTime(value) {
+    return isRelativeTime(value) ? value.trim() : new Date(value).toLocaleTimeString();
+}
+// "now-6h" style start of a window of the given length ending now
+function getRelativeStart(span) {
+    var units = Object.keys(MetricSystem.TimeUnits).filter(function (unit) { return span % MetricSystem.TimeUnits[unit] === 0; });
+    var unit = units.length > 0 ? units[units.length - 1] : "s";
+    return "now-" + Math.max(1, Math.round(span / MetricSystem.TimeUnits[unit])) + unit;
+}
+// Start or end picker value: the relative expression typed or picked, otherwise the date picked
+function getPickerTime(pickerId) {
+    var text = $("#" + pickerId + " input").val();
+    if (isRelativeTime(text)) {
+        return text.trim();
+    }
+    return $("#" + pickerId).data("datetimepicker").getLocalDate();
+}
+// Quick pick presets are "start|end" pairs
+function applyTimeRange(range) {
+    if (range === "") {
+        return;
     }
-    return "start=1 hour ago&end=now";
+    var times = range.split("|");
+    $("#start input").val(times[0]);
+    $("#end input").val(times[1]);
 }
 function refreshEnvironments() {
     $.get(baseUri + "/environments").done(function (data) {
-        $("#EnvironmentList").select2({ data: data });
+        $("#EnvironmentList").select2({ data: data.map(function (environment) { return environment.Name; }) });
+        data.forEach(function (environment) {
+            environmentMachineCounts[environment.Name] = environment.MachineCount;
+        });
+        Object.keys(graphToSeriesMap).forEach(renderGraphCoverage);
+        refreshMachinesList();
         updateCounters();
     });
 }
@@ -272,18 +1413,54 @@ function updateCounters() {
     }
     refreshCounters();
 }
+// Sends the MetricSystem client's requests through jQuery, so they show the loading indicator like the others
+function ajaxTransport(options, callback) {
+    $.ajax({
+        url: options.url,
+        type: options.method,
+        contentType: "application/json",
+        data: options.body ? JSON.stringify(options.body) : undefined,
+        dataType: "text",
+        timeout: options.timeout
+    }).done(function (body, status, xhr) {
+        callback(null, xhr.status, body);
+    }).fail(function (xhr, status) {
+        if (status === "timeout") {
+            callback({ code: "ETIMEDOUT", message: "Timed out" });
+        }
+        else if (xhr.status === 0) {
+            callback({ message: "Unable to reach MetricUX" });
+        }
+        else {
+            callback(null, xhr.status, xhr.responseText);
+        }
+    });
+}
+// Client for the MetricSystem API of the environment picked in the UI
+function getClient() {
+    return new MetricSystem.Client(apiUri + "/" + encodeURIComponent($("#EnvironmentList").val()), { timeout: parseInt(getTimeoutValue(), 10) || undefined, transport: ajaxTransport });
+}
+// Tiered request for the machines picked in the UI. Without machines MetricUX fans out to the whole environment.
+function getTieredRequest() {
+    var timeout = parseInt(getTimeoutValue(), 10) || undefined;
+    return MetricSystem.createTieredRequest(getMachineName(), { timeout: timeout }) || { FanoutTimeoutInMilliseconds: timeout };
+}
 function refreshCounters() {
-    var queryPayload = { machineName: getMachineName(), environmentName: $("#EnvironmentList").val(), counterName: "/*", queryCommand: "list", queryParameters: "", timeoutValue: getTimeoutValue() };
-    $.post(baseUri + "/info", queryPayload).done(function (data) {
-        $("#counters").select2({ data: data });
-        updateDimensions(data[0]);
+    getClient().listCounters("/*", {}, getTieredRequest(), function (error, names) {
+        if (error) {
+            return showClientError(error);
+        }
+        $("#counters").select2({ data: names });
+        updateDimensions(names[0]);
     });
 }
 function updateDimensions(counterName) {
-    var queryPayload = { machineName: getMachineName(), environmentName: $("#EnvironmentList").val(), counterName: counterName, queryCommand: "listDimensions", queryParameters: "", timeoutValue: getTimeoutValue() };
     $("#splitBy").empty();
     $("#splitBy").append($("<option>").text("none"));
-    $.post(baseUri + "/info", queryPayload).done(function (dimensions) {
+    getClient().listDimensions(counterName, {}, getTieredRequest(), function (error, dimensions) {
+        if (error) {
+            return showClientError(error);
+        }
         var dimensionList = $("<div>").addClass("dimensionGrid");
         dimensionList.addClass("dimensionValues");
         dimensions.forEach(function (dimension) {
@@ -300,14 +1477,17 @@ function updateDimensions(counterName) {
             minimumResultsForSearch: 10
         });
         $("#dimensionGrid").append(dimensionList);
+        renderWriteDimensions(dimensions);
     });
 }
 function updateDimensionValues(counterName, dimensionName, dimensionSelector, e) {
     var toggleButton = $(e.target);
     if (toggleButton.hasClass("fa-plus-circle")) {
-        var queryPayload = { machineName: getMachineName(), environmentName: $("#EnvironmentList").val(), counterName: counterName, queryCommand: "listDimensionValues", queryParameters: "dimension=" + dimensionName, timeoutValue: getTimeoutValue() };
-        $.post(baseUri + "/info", queryPayload).done(function (data) {
-            $("#" + dimensionName).select2({ data: data });
+        getClient().listDimensionValues(counterName, dimensionName, {}, getTieredRequest(), function (error, values) {
+            if (error) {
+                return showClientError(error);
+            }
+            $("#" + dimensionName).select2({ data: values });
             dimensionSelector.show();
             $(e.target).removeClass("fa-plus-circle");
             $(e.target).addClass("fa-minus-circle");
@@ -320,25 +1500,187 @@ function updateDimensionValues(counterName, dimensionName, dimensionSelector, e)
     }
 }
 ;
+// Writes
+// A value box per dimension of the selected counter; dimensions left empty are not written
+function renderWriteDimensions(dimensions) {
+    var list = $("#writeDimensions").empty();
+    dimensions.forEach(function (dimension) {
+        list.append($("<label>").text(dimension).attr("for", "write_" + dimension), $("<input>").attr("id", "write_" + dimension).addClass("writeDimension").data("dimension", dimension));
+    });
+}
+function postWrites(data) {
+    data.counterName = $("#counters").val();
+    data.environmentName = $("#EnvironmentList").val();
+    data.machineName = $("#writeMachine").val();
+    $("#writeResult").text("");
+    $.ajax({
+        url: baseUri + "/write",
+        type: "POST",
+        contentType: "application/json",
+        data: JSON.stringify(data),
+        success: function (result) {
+            $("#writeResult").text("Wrote " + result.Counters.map(function (counter) { return counter.Writes + (counter.Writes === 1 ? " write to " : " writes to ") + counter.Counter; }).join(", ") + " on " + result.Endpoint);
+        },
+        error: showErrorMessage
+    });
+}
+// Writes the value of the form to the selected counter
+function writeData() {
+    var dimensions = {};
+    $("#writeDimensions .writeDimension").each(function (index, element) {
+        var value = $(element).val();
+        if (value) {
+            dimensions[$(element).data("dimension")] = value;
+        }
+    });
+    postWrites({
+        writes: [{
+            Value: $("#writeValue").val(),
+            Count: $("#writeCount").val(),
+            Timestamp: $("#writeTimestamp").val(),
+            Dimensions: dimensions
+        }]
+    });
+}
+// Replays a file of writes: a JSON list of writes, or CSV with a header row. Rows without a Counter write to the
+// selected counter.
+function replayWriteFile() {
+    var input = $("#writeFile")[0];
+    var file = input.files[0];
+    if (!file) {
+        return;
+    }
+    var reader = new FileReader();
+    reader.onload = function () {
+        var text = reader.result;
+        input.value = "";
+        postWrites(/\.csv$/i.test(file.name) ? { csv: text } : { writes: text });
+    };
+    reader.readAsText(file);
+}
 function getJsonResponse() {
     var queryParams = getQueryParams();
+    var counterName = $("#counters").val();
     var pivotDimension = $("#splitBy").val();
     if (pivotDimension === "none") {
         pivotDimension = "";
     }
+    // An expression replaces the counter, filters and split dimension picked
+    var expression = $.trim($("#expression").val() || "");
+    if (expression !== "") {
+        counterName = expression;
+        queryParams = {};
+        pivotDimension = "";
+    }
     var graphIdVal = $("#graphId").val();
     if (graphIdVal === "" || graphIdVal === "new graph" || graphIdVal === null) {
         graphIdVal = generateUuid();
     }
-    queryData(getMachineName(), $("#EnvironmentList").val(), getTimeoutValue(), pivotDimension, $("#counters").val(), 10, queryParams, $("#start").data("datetimepicker").getLocalDate(), $("#end").data("datetimepicker").getLocalDate(), 1, 1, 0, 0, generateUuid(), graphIdVal);
+    var startTime = getPickerTime("start");
+    var endTime = getPickerTime("end");
+    var seriesId = generateUuid();
+    var compare = $.trim($("#compareWith").val() || "");
+    if (compare !== "") {
+        if (parseTimeShift(compare) === null) {
+            $("#errorMessage").text("Compare with takes a time shift such as 1d, 1w or 6h.").show();
+            return;
+        }
+        seriesComparisons[seriesId] = compare;
+    }
+    if (expression !== "") {
+        seriesExpressions[seriesId] = true;
+    }
+    // The span picked becomes a window which keeps moving with the current time
+    var refreshInterval = parseInt($("#refreshInterval").val()) || 0;
+    if (refreshInterval > 0 && liveGraphs[graphIdVal] === undefined) {
+        var now = new Date().getTime();
+        var span = resolveTime(endTime, now) - resolveTime(startTime, now);
+        liveGraphs[graphIdVal] = { interval: refreshInterval, window: span > 0 ? span : 3600000 };
+    }
+    if (liveGraphs[graphIdVal] !== undefined) {
+        startTime = getRelativeStart(liveGraphs[graphIdVal].window);
+        endTime = "now";
+    }
+    queryData(getMachineName(), $("#EnvironmentList").val(), getTimeoutValue(), pivotDimension, counterName, getSplitLimit(), queryParams, startTime, endTime, 1, 1, 0, 0, seriesId, graphIdVal);
 }
 function getTimeoutValue() {
     return $("#timeout").val();
 }
+// /data/batch query for the series of a wire between two times. Expression series send their expression.
+function getBatchQuery(id, wire, startTime, endTime, timeoutValue) {
+    var query = { id: id, machineName: wire.machines, environmentName: wire.environmentName, timeoutValue: timeoutValue };
+    if (wire.expression) {
+        query.expression = wire.counter;
+        query.queryParameters = getQueryString("", "", startTime, endTime);
+    }
+    else {
+        query.counterName = wire.counter;
+        query.queryParameters = getQueryString(wire.dimensions || "", wire.pivotDimension, startTime, endTime);
+    }
+    return query;
+}
+// Loads every series of a dashboard through a single batch request
 function hydrateWires(wires) {
     if (wires != undefined) {
-        $.each(wires.counters, function (index, counter) {
-            queryData(counter.machines, counter.environmentName, 5000, counter.pivotDimension, counter.counter, 10, "", counter.startTime, counter.endTime, counter.width, counter.height, counter.top, counter.left, generateUuid(), counter.graphId);
+        // A saved dashboard opened without unsaved changes keeps its short URL
+        var isSavedDashboard = currentDashboardId !== "" && window.location.search.indexOf("wires=") < 0;
+        // Live graphs show the window leading up to now
+        wires.counters.forEach(function (counter) {
+            if (counter.live) {
+                liveGraphs[counter.graphId] = liveGraphs[counter.graphId] || counter.live;
+                counter.startTime = getRelativeStart(liveGraphs[counter.graphId].window);
+                counter.endTime = "now";
+            }
+        });
+        var seriesIds = wires.counters.map(function () { return generateUuid(); });
+        var queries = wires.counters.map(function (counter, index) { return getBatchQuery(seriesIds[index], counter, counter.startTime, counter.endTime, 5000); });
+        wires.counters.forEach(function (counter, index) {
+            var shift = parseTimeShift(counter.compare);
+            if (shift !== null) {
+                var times = getShiftedTimes(counter.startTime, counter.endTime, shift);
+                queries.push(getBatchQuery(seriesIds[index] + "_comparison", counter, times[0], times[1], 5000));
+            }
+        });
+        var hydrate = function (responses) {
+            $.each(wires.counters, function (index, counter) {
+                if (counter.view !== undefined) {
+                    graphViews[counter.graphId] = counter.view;
+                }
+                if (counter.coverage) {
+                    graphCoverage[counter.graphId] = true;
+                }
+                var response = responses ? responses[seriesIds[index]] : undefined;
+                var values = responses ? (response ? response.Values : []) : undefined;
+                var error = response && response.ErrorType !== undefined ? response : undefined;
+                if (response && response.RequestDetails !== undefined) {
+                    seriesDiagnostics[seriesIds[index]] = response.RequestDetails;
+                }
+                if (counter.expression) {
+                    seriesExpressions[seriesIds[index]] = true;
+                }
+                if (counter.compare !== undefined) {
+                    seriesComparisons[seriesIds[index]] = counter.compare;
+                    var comparison = responses ? responses[seriesIds[index] + "_comparison"] : undefined;
+                    if (comparison && comparison.ErrorType === undefined) {
+                        comparisonValues[seriesIds[index]] = shiftValues(comparison.Values, parseTimeShift(counter.compare));
+                    }
+                }
+                var pivotDimension = response && response.SplitBy !== undefined ? response.SplitBy : counter.pivotDimension;
+                queryData(counter.machines, counter.environmentName, 5000, pivotDimension, counter.counter, counter.limit || null, counter.dimensions || "", counter.startTime, counter.endTime, counter.width, counter.height, counter.top, counter.left, seriesIds[index], counter.graphId, values, error);
+            });
+            if (isSavedDashboard) {
+                savedWireString = getWireString();
+                refreshPath();
+            }
+        };
+        $.ajax({
+            url: baseUri + "/batch",
+            type: "POST",
+            contentType: "application/json",
+            data: JSON.stringify({ queries: queries, diagnostics: true }),
+            success: hydrate,
+            // Fall back to querying each series on its own
+            error: function () { return hydrate(null); }
         });
     }
 }
@@ -351,8 +1693,8 @@ function getQueryParams() {
         }
     });
     var percentileValue = $("#percentile").val();
-    if (percentileValue != "") {
-        queryParams["percentile"] = percentileValue;
+    if (percentileValue != null && percentileValue.length > 0) {
+        queryParams["percentile"] = $.isArray(percentileValue) ? percentileValue.join(",") : percentileValue;
     }
     return queryParams;
 }
@@ -361,8 +1703,11 @@ function getDefaultPercentiles() {
     defaults.push("average");
     defaults.push("minimum");
     defaults.push("maximum");
+    defaults.push("5-95");
+    defaults.push("25-75");
+    defaults.push("1-99");
     for (var i = 0; i < 100; i++) {
-        defaults.push(i);
+        defaults.push(i.toString());
     }
     return defaults;
 }
@@ -372,11 +1717,26 @@ window.onload = function () {
     $("#start").data("datetimepicker").setLocalDate(new Date(endDate.getTime() - 3600000));
     $("#end").datetimepicker({ language: "en", format: "MM/dd/yyyy HH:mm:ss PP", pick12HourFormat: true });
     $("#end").data("datetimepicker").setLocalDate(endDate);
+    $("#timeRange").select2({ minimumResultsForSearch: 10 }).change(function () { return applyTimeRange($("#timeRange").val()); });
+    applyTimeRange($("#timeRange").val());
+    $("#start, #end").on("changeDate", function () {
+        $("#timeRange").val("").trigger("change");
+    });
     $("#getData").click(getJsonResponse);
     $("#EnvironmentList").blur(function () {
+        refreshMachinesList();
         updateCounters();
     });
     refreshEnvironments();
+    refreshDashboards();
+    $("#dashboardList").change(function () { return openDashboard($("#dashboardList").val()); });
+    $("#saveDashboard").click(function () { return saveDashboard(false); });
+    $("#saveDashboardAs").click(function () { return saveDashboard(true); });
+    $("#deleteDashboard").click(deleteDashboard);
+    $("#showHistory").click(toggleDashboardHistory);
+    if (window.localStorage) {
+        $("#dashboardAuthor").val(window.localStorage.getItem("metricux.author") || "");
+    }
     $("#queryEnvironment").click(updateCounters);
     $("#queryEnvironment").click(function () {
         if ($("#queryEnvironment").is(":checked")) {
@@ -391,19 +1751,165 @@ window.onload = function () {
     $("#counters").change(function () {
         updateDimensions($("#counters").val());
     });
+    $("#writeData").click(writeData);
+    $("#writeFile").change(replayWriteFile);
     $("#splitBy").select2();
+    $("#refreshInterval").select2({ minimumResultsForSearch: 10 });
+    $("#splitLimit").select2({ minimumResultsForSearch: 10 });
+    $("#splitRank").select2({ minimumResultsForSearch: 10 });
+    $("#splitLimit, #splitRank").change(function () {
+        var graphId = $("#graphId").val();
+        if (graphToSeriesMap.hasOwnProperty(graphId)) {
+            setGraphLimit(graphId, getSplitLimit());
+        }
+    });
+    $("#percentile").select2({ data: getDefaultPercentiles(), tags: true });
+    $("#compareWith").select2({ tags: true });
     gridster = $(".gridster ul").gridster({
         widget_margins: [10, 10],
         min_cols: 2,
         widget_base_dimensions: [640, 300]
     }).data("gridster");
     $("#loading").hide();
+    $("#errorMessage").hide().click(function () { return $("#errorMessage").hide(); });
     $(document).ajaxStart(function () {
         $("#loading").show();
     }).ajaxStop(function () {
         $("#loading").hide();
     });
 };
+// Saved dashboards
+function refreshDashboards() {
+    $.get(dashboardsUri).done(function (dashboards) {
+        var dashboardList = $("#dashboardList");
+        dashboardList.empty().append($("<option>").val("").text(""));
+        dashboards.forEach(function (dashboard) {
+            dashboardList.append($("<option>").val(dashboard.Id).text(dashboard.Name + " (" + dashboard.GraphCount + ")"));
+        });
+        dashboardList.val(currentDashboardId).select2({ placeholder: "Open dashboard...", minimumResultsForSearch: 10 });
+    });
+}
+function openDashboard(id) {
+    if (id !== "" && id !== null && id !== currentDashboardId) {
+        window.location.href = "/d/" + id;
+    }
+}
+// Saves the graphs shown as the current dashboard, or as a new one
+function saveDashboard(asNew) {
+    var name = $.trim($("#dashboardName").val());
+    if (name === "") {
+        alert("Enter a name for the dashboard.");
+        return;
+    }
+    var isUpdate = currentDashboardId !== "" && !asNew;
+    var wireString = getWireString();
+    $.ajax({
+        url: dashboardsUri + (isUpdate ? "/" + currentDashboardId : ""),
+        type: isUpdate ? "PUT" : "POST",
+        contentType: "application/json",
+        data: JSON.stringify({ name: name, wires: JSON.parse(wireString), author: getDashboardAuthor() }),
+        success: function (dashboard) {
+            currentDashboardId = dashboard.Id;
+            savedWireString = wireString;
+            refreshPath();
+            refreshDashboards();
+            if ($("#dashboardHistory").is(":visible")) {
+                refreshDashboardHistory();
+            }
+        },
+        error: function (xhr) {
+            alert("Unable to save the dashboard: " + (xhr.responseJSON ? xhr.responseJSON.ErrorMessage : xhr.statusText));
+        }
+    });
+}
+function deleteDashboard() {
+    if (currentDashboardId === "" || !confirm("Delete the dashboard " + $("#dashboardName").val() + "?")) {
+        return;
+    }
+    $.ajax({
+        url: dashboardsUri + "/" + currentDashboardId,
+        type: "DELETE",
+        success: function () {
+            currentDashboardId = "";
+            savedWireString = "";
+            $("#dashboardName").val("");
+            $("#dashboardHistory").hide();
+            refreshPath();
+            refreshDashboards();
+        }
+    });
+}
+// Name saved with each version of a dashboard, remembered by the browser
+function getDashboardAuthor() {
+    var author = $.trim($("#dashboardAuthor").val());
+    if (author !== "" && window.localStorage) {
+        window.localStorage.setItem("metricux.author", author);
+    }
+    return author;
+}
+function toggleDashboardHistory() {
+    if ($("#dashboardHistory").is(":visible")) {
+        $("#dashboardHistory").hide();
+    }
+    else if (currentDashboardId === "") {
+        alert("Save the dashboard to keep its history.");
+    }
+    else {
+        $("#dashboardHistory").show();
+        refreshDashboardHistory();
+    }
+}
+// Lists the versions of the current dashboard, with the two selected for comparison
+function refreshDashboardHistory() {
+    var history = $("#dashboardHistory");
+    $.get(dashboardsUri + "/" + currentDashboardId + "/versions").done(function (versions) {
+        var table = $("<table>").addClass("versionTable").append($("<tr>").append(["Version", "Saved", "Author", "Name", "Graphs", "From", "To", ""].map(function (title) { return $("<th>").text(title); })));
+        versions.forEach(function (version, index) {
+            var restore = index === 0 ? $("<span>").text("current") : $("<button>").addClass("dashboardButton").text("Restore").click(function () { return restoreDashboardVersion(version.Version); });
+            table.append($("<tr>").append($("<td>").text(version.Version), $("<td>").text(new Date(version.Saved).toLocaleString()), $("<td>").text(version.Author), $("<td>").text(version.Name), $("<td>").text(version.GraphCount), $("<td>").append($("<input type='radio' name='diffFrom'>").val(version.Version.toString()).prop("checked", index === 1)), $("<td>").append($("<input type='radio' name='diffTo'>").val(version.Version.toString()).prop("checked", index === 0)), $("<td>").append(restore)));
+        });
+        history.empty().append($("<div>").addClass("seriesTitle").text("History of " + $("#dashboardName").val()).append($("<i class='fa fa-times-circle'></i>").addClass("toggle").click(function () { return history.hide(); })), table, $("<button>").addClass("dashboardButton").text("Compare").click(compareDashboardVersions), $("<ul>").attr("id", "dashboardDiff").addClass("dashboardDiff"));
+    });
+}
+function compareDashboardVersions() {
+    var from = $("input[name=diffFrom]:checked").val();
+    var to = $("input[name=diffTo]:checked").val();
+    if (from === undefined || to === undefined) {
+        return;
+    }
+    $.get(dashboardsUri + "/" + currentDashboardId + "/diff", { from: from, to: to }).done(function (diff) {
+        var list = $("#dashboardDiff").empty();
+        list.append($("<li>").text("Version " + diff.From.Version + " to " + diff.To.Version + ", saved by " + diff.Authors.map(function (version) { return version.Author + " (" + version.Version + ")"; }).join(", ")));
+        if (diff.Name !== null) {
+            list.append($("<li>").text("Renamed from " + diff.Name.From + " to " + diff.Name.To));
+        }
+        diff.Changes.forEach(function (change) {
+            var item = $("<li>").addClass("change-" + change.Type).text(change.Type + " " + change.Counter + " for " + (change.Machines || change.EnvironmentName) + " in graph " + change.GraphId);
+            if (change.Fields !== undefined) {
+                item.append($("<ul>").append(change.Fields.map(function (field) { return $("<li>").text(field.Field + ": " + JSON.stringify(field.From) + " \u2192 " + JSON.stringify(field.To)); })));
+            }
+            list.append(item);
+        });
+        if (diff.Changes.length === 0 && diff.Name === null) {
+            list.append($("<li>").text("No changes"));
+        }
+    });
+}
+// Rolls the dashboard back to an earlier version and reloads it
+function restoreDashboardVersion(version) {
+    if (!confirm("Restore version " + version + " of " + $("#dashboardName").val() + "? Unsaved changes are lost.")) {
+        return;
+    }
+    $.ajax({
+        url: dashboardsUri + "/" + currentDashboardId + "/versions/" + version + "/restore",
+        type: "POST",
+        contentType: "application/json",
+        data: JSON.stringify({ author: getDashboardAuthor() }),
+        success: function () {
+            window.location.href = "/d/" + currentDashboardId;
+        }
+    });
+}
 function paramsUnserialize(p) {
     var ret = {}, seg = p.replace(/^\?/, "").split("&"), len = seg.length, i = 0, s;
     for (; i < len; i++) {
@@ -436,15 +1942,18 @@ function updateWire(graphId) {
     });
     refreshPath();
 }
-function refreshPath() {
+function getWireString() {
     var wireArray = [];
-    var keyArray = [];
-    var key;
-    for (key in wires) {
+    for (var key in wires) {
         if (wires.hasOwnProperty(key)) {
             wireArray.push(JSON.stringify(wires[key]));
         }
     }
+    return "{\"counters\":[" + wireArray.toString() + "]}";
+}
+function refreshPath() {
+    var keyArray = [];
+    var key;
     for (key in graphToSeriesMap) {
         if (graphToSeriesMap.hasOwnProperty(key)) {
             keyArray.push(key);
@@ -452,7 +1961,11 @@ function refreshPath() {
     }
     keyArray.push("new graph");
     $("#graphId").select2({ data: keyArray });
-    var newPath = "?wires={\"counters\":[" + wireArray.toString() + "]}";
+    var wireString = getWireString();
+    var newPath = "/?wires=" + wireString;
+    if (currentDashboardId !== "") {
+        newPath = "/d/" + currentDashboardId + (wireString !== savedWireString ? "?wires=" + wireString : "");
+    }
     if (typeof (window.history.pushState) == "function") {
         window.history.pushState(null, newPath, newPath);
     }
@@ -574,7 +2087,7 @@ function getHighchartsConfig(selectPoint, series, options) {
             id: "yAxis_" + 0
         },
         series: series.map(function (s, i) {
-            return {
+            var seriesConfig = {
                 data: [],
                 id: s.id,
                 name: s.name,
@@ -584,6 +2097,14 @@ function getHighchartsConfig(selectPoint, series, options) {
                 },
                 yAxis: "yAxis_" + ((options.separateYAxes && options.separateYAxes()) ? i : 0)
             };
+            if (s.type === "arearange") {
+                seriesConfig.fillOpacity = 0.3;
+                seriesConfig.lineWidth = 0;
+            }
+            if (s.dashStyle !== undefined) {
+                seriesConfig.dashStyle = s.dashStyle;
+            }
+            return seriesConfig;
         })
     };
 }
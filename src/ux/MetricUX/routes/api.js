@@ -0,0 +1,73 @@
+﻿var express = require('express');
+var backend = require('../lib/backend');
+var metricsystem = require('../lib/metricsystem');
+var errors = require('../lib/errors');
+
+// The MetricSystem REST API of each environment, for clients such as the browser build of metricsystem.js:
+// /api/{environment}/counters/{pattern}/info|query and /api/{environment}/batch. Requests whose body has no Sources
+// fan out to every known machine of the environment, like the data routes; Sources which are not known machines of
+// the environment are dropped. The other TieredRequest members they send (FanoutTimeoutInMilliseconds, ...) are kept.
+
+var router = express.Router();
+
+var commandPaths = [/^\/counters\/.+\/(info|query)$/, /^\/batch$/];
+
+/* Forwards a request to the server backing the environment and answers with its response as it is */
+function forward(req, res) {
+    var environmentName = req.params.environment;
+    var unknown = backend.checkEnvironment(environmentName);
+    if (unknown) {
+        return errors.send(res, unknown);
+    }
+    if (!commandPaths.some(function (pattern) { return pattern.test(req.path); })) {
+        return errors.send(res, errors.create("Unknown MetricSystem command: " + req.path, 404));
+    }
+    if (req.method !== "GET" && req.method !== "POST") {
+        return errors.send(res, errors.create("Unsupported method: " + req.method, 405));
+    }
+
+    var body = {};
+    Object.keys((req.method === "POST" && req.body) || {}).forEach(function (key) {
+        body[key] = req.body[key];
+    });
+    if (body.Sources) {
+        var sources = metricsystem.parseServerList(body.Sources).filter(function (server) {
+            return backend.isKnownMachine(environmentName, server);
+        });
+        if (sources.length === 0) {
+            return errors.send(res, errors.create("None of the Sources are known machines of environment " + environmentName + ".", 400));
+        }
+        body.Sources = sources;
+    }
+    if (!body.Sources) {
+        var tieredRequest = backend.getTieredRequest({ environmentName: environmentName });
+        Object.keys(tieredRequest || {}).forEach(function (key) {
+            if (body[key] === undefined) {
+                body[key] = tieredRequest[key];
+            }
+        });
+    }
+    if (!body.Sources) {
+        // Nothing to fan out to: the server answers for itself
+        ["FanoutTimeoutInMilliseconds", "MaxFanout", "IncludeRequestDiagnostics"].forEach(function (key) {
+            delete body[key];
+        });
+    }
+    if (Object.keys(body).length === 0) {
+        body = null;
+    }
+
+    backend.getClient(environmentName).send(req.url, body, body && body.FanoutTimeoutInMilliseconds, function (error, result) {
+        if (error && error.type === "upstream") {
+            return res.status(error.status).send(error.response);
+        }
+        if (error) {
+            return errors.send(res, error);
+        }
+        res.json(result);
+    });
+}
+
+router.use("/:environment", forward);
+
+module.exports = router;
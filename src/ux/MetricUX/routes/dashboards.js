@@ -0,0 +1,76 @@
+﻿var express = require('express');
+var dashboards = require('../lib/dashboards');
+var errors = require('../lib/errors');
+
+var router = express.Router();
+
+/* Who is saving: the author named in the body, or the user an authenticating proxy passed on */
+function getAuthor(req) {
+    return (req.body && req.body.author) || req.get("X-Forwarded-User") || req.get("X-Remote-User");
+}
+
+function sendResult(res) {
+    return function (error, result) {
+        if (error) {
+            return errors.send(res, error);
+        }
+        res.json(result);
+    };
+}
+
+/* GET saved dashboards: [{ Id, Name, GraphCount, Version, Created, Updated, UpdatedBy }] */
+router.get("/", function (req, res) {
+    dashboards.get().list(sendResult(res));
+});
+
+/* POST a new dashboard ({ name, wires, author }) */
+router.post("/", function (req, res) {
+    dashboards.get().create({ name: req.body.name, wires: req.body.wires, author: getAuthor(req) }, function (error, dashboard) {
+        if (error) {
+            return errors.send(res, error);
+        }
+        res.status(201).json(dashboard);
+    });
+});
+
+/* GET a dashboard: { Id, Name, Wires, Version, Created, Updated, UpdatedBy } */
+router.get("/:id", function (req, res) {
+    dashboards.get().get(req.params.id, sendResult(res));
+});
+
+/* PUT a new name and/or new wires ({ name, wires, author }) for a dashboard, saving a new version */
+router.put("/:id", function (req, res) {
+    var fields = { name: req.body.name, wires: req.body.wires, author: getAuthor(req) };
+    dashboards.get().update(req.params.id, fields, sendResult(res));
+});
+
+/* GET the versions of a dashboard, newest first: [{ Version, Name, GraphCount, Author, Saved }] */
+router.get("/:id/versions", function (req, res) {
+    dashboards.get().versions(req.params.id, sendResult(res));
+});
+
+/* GET a version of a dashboard: { Version, Name, Wires, Author, Saved } */
+router.get("/:id/versions/:version", function (req, res) {
+    dashboards.get().getVersion(req.params.id, req.params.version, sendResult(res));
+});
+
+/* GET the changes between two versions (?from=N&to=M, to defaults to the current version) */
+router.get("/:id/diff", function (req, res) {
+    dashboards.get().diff(req.params.id, req.query.from, req.query.to, sendResult(res));
+});
+
+/* POST to make an earlier version current again ({ author }) */
+router.post("/:id/versions/:version/restore", function (req, res) {
+    dashboards.get().restore(req.params.id, req.params.version, getAuthor(req), sendResult(res));
+});
+
+router.delete("/:id", function (req, res) {
+    dashboards.get().remove(req.params.id, function (error) {
+        if (error) {
+            return errors.send(res, error);
+        }
+        res.status(204).end();
+    });
+});
+
+module.exports = router;
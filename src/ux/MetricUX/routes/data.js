@@ -1,56 +1,239 @@
 ﻿var express = require('express');
-var request = require('request');
+var metricsystem = require('../lib/metricsystem');
+var commands = require('../lib/commands');
+var config = require('../lib/config');
+var backend = require('../lib/backend');
+var registry = require('../lib/registry');
+var errors = require('../lib/errors');
+var breakdown = require('../lib/breakdown');
+var writes = require('../lib/writes');
+var expressions = require('../lib/expressions');
 
 var router = express.Router();
 
-/* GET environment list */
+/* GET environment list: [{ Name, MachineCount, LastRefreshed }] */
 router.get("/environments", function (req, res) {
-    request.get('https://proxy/MetricUX/Data/GetEnvironments',
-        function (error, response, body) { res.json(["xap-prod-co3b","xap-prod-bn1"]) });//JSON.parse(body)) });
+    res.json(registry.get().getEnvironments());
 });
 
-/* GET machines in an environment*/
+/* GET machines in an environment: { Environment, Servers: [ServerInfo] } */
 router.get("/machines", function (req, res) {
-    request.get('https://proxy/MetricUX/Data/UpdateMachineList?environment='+req.query.environment,
-        function (error, response, body) { res.json(JSON.parse(body)) });
+    var servers = registry.get().getServers(req.query.environment);
+    if (!servers) {
+        return errors.send(res, errors.create("Unknown environment: " + req.query.environment, 404));
+    }
+
+    res.json({ Environment: req.query.environment, Servers: servers });
 });
 
 router.post("/info", function (req, res) {
-    request.post('https://proxy/MetricUX/Data/GetJSON',
-    { form: { machineName: req.body.machineName, environmentName: req.body.environmentName, counterName: req.body.counterName, queryCommand: req.body.queryCommand, queryParameters: req.body.queryParameters, timeoutValue: 2500  } },
-    function (error, response, body) {
-        if (!error && response.statusCode == 200) {
-            if (body[0] !== "<") {
-                try {
-                    res.json(JSON.parse(body));
-                }
-                catch (SyntaxException) {
-                    res.json({ error: "syntax error" });
-                }
-            }
-            else {
-                res.json(body);
-            }
+    var unknown = backend.checkEnvironment(req.body.environmentName);
+    if (unknown) {
+        return errors.send(res, unknown);
+    }
+
+    var command = {
+        queryCommand: req.body.queryCommand,
+        counterName: req.body.counterName,
+        queryParameters: req.body.queryParameters,
+        tieredRequest: backend.getTieredRequest(req.body)
+    };
+
+    commands.execute(backend.getClient(req.body.environmentName), command, function (error, result) {
+        if (error) {
+            return errors.send(res, error);
         }
-        else {
-            res.json([]);
+        res.json(result);
+    });
+});
+
+/* POST a query: the samples, or { Values, RequestDetails } when diagnostics are asked for ({ diagnostics: true }) */
+router.post("/query", function (req, res) {
+    var unknown = backend.checkEnvironment(req.body.environmentName);
+    if (unknown) {
+        return errors.send(res, unknown);
+    }
+
+    var command = {
+        queryCommand: "query",
+        counterName: req.body.counterName,
+        queryParameters: req.body.queryParameters,
+        tieredRequest: backend.getTieredRequest(req.body)
+    };
+
+    commands.execute(backend.getClient(req.body.environmentName), command, function (error, result, requestDetails) {
+        if (error) {
+            return errors.send(res, error);
         }
+        res.json(backend.wantsDiagnostics(req.body) ? { Values: result, RequestDetails: requestDetails || [] } : result);
+    });
+});
+
+/* POST an expression series ({ expression, environmentName, machineName, queryParameters, timeoutValue,
+ * diagnostics }): answers { Values, SplitBy, RequestDetails }, see expressions.js */
+router.post("/expression", function (req, res) {
+    expressions.query(req.body, function (error, result) {
+        if (error) {
+            return errors.send(res, error);
+        }
+        res.json(result);
+    });
+});
+
+/* POST a query to run on each machine of an environment (or of machineName) on its own ({ counterName,
+ * environmentName, machineName, queryParameters, timeoutValue }). Answers { Median, Machines } as described in
+ * breakdown.js. */
+router.post("/breakdown", function (req, res) {
+    var unknown = backend.checkEnvironment(req.body.environmentName);
+    if (unknown) {
+        return errors.send(res, unknown);
     }
-    );
+
+    var settings = config.get();
+    var machines = metricsystem.parseServerList(req.body.machineName || registry.get().getServers(req.body.environmentName));
+    if (machines.length === 0) {
+        return errors.send(res, errors.create("No machines are known for environment " + req.body.environmentName + ".", 400));
+    }
+
+    var command = { counterName: req.body.counterName, queryParameters: req.body.queryParameters };
+    var options = { timeout: req.body.timeoutValue || settings.fanoutTimeout, maxFanout: settings.maxFanout };
+    breakdown.query(backend.getClient(req.body.environmentName), machines, command, options, function (error, result) {
+        if (error) {
+            return errors.send(res, error);
+        }
+        res.json(result);
+    });
 });
 
-router.post("/query", function (req, res) {
-    request.post('https://proxy/MetricUX/Data/GetJSON',
-    { form: { queryCommand: "query", counterName: req.body.counterName, queryParameters: req.body.queryParameters, environmentName: req.body.environmentName, timeoutValue: req.body.timeoutValue } },
-    function (error, response, body) {
-        if (!error && response.statusCode === 200) {
-            res.json(JSON.parse(body));
+/* POST a dashboard's queries ({ queries: [{ id, counterName, environmentName, machineName, queryParameters,
+ * timeoutValue }], diagnostics }). Queries are sent as one /batch request per environment and machine set; the
+ * response maps each id to { HttpResponseCode, ErrorMessage, Values, RequestDetails }, plus ErrorType when the query
+ * failed. Queries with an expression instead of a counterName run as expression series and also answer SplitBy.
+ * Batches with a query which is not an object or whose id is missing or repeated are rejected. */
+router.post("/batch", function (req, res) {
+    var queries = (req.body && req.body.queries) || [];
+    if (!Array.isArray(queries) || queries.length === 0) {
+        return errors.send(res, errors.create("No queries provided.", 400));
+    }
+
+    // Results are keyed by id, so every query needs one of its own
+    var ids = {};
+    for (var i = 0; i < queries.length; i++) {
+        var query = queries[i];
+        if (!query || typeof query !== "object" || Array.isArray(query)) {
+            return errors.send(res, errors.create("Query " + i + " is not an object.", 400));
+        }
+        if (query.id === undefined || query.id === null || String(query.id) === "") {
+            return errors.send(res, errors.create("Query " + i + " has no id.", 400));
         }
-        else {
-            res.json({ counterName: "Test" });
+        if (ids.hasOwnProperty(String(query.id))) {
+            return errors.send(res, errors.create("Query id " + query.id + " is used more than once.", 400));
         }
+        ids[String(query.id)] = true;
     }
-    );
+
+    var groups = {};
+    var expressionQueries = [];
+    queries.forEach(function (query) {
+        if (query.expression) {
+            return expressionQueries.push(query);
+        }
+        var key = (query.environmentName || "") + "|" + (query.machineName || "");
+        (groups[key] = groups[key] || []).push(query);
+    });
+
+    var results = {};
+    var remaining = Object.keys(groups).length + expressionQueries.length;
+    expressionQueries.forEach(function (query) {
+        var options = {
+            expression: query.expression,
+            environmentName: query.environmentName,
+            machineName: query.machineName,
+            queryParameters: query.queryParameters,
+            timeoutValue: query.timeoutValue,
+            diagnostics: req.body.diagnostics
+        };
+        expressions.query(options, function (error, result) {
+            if (error) {
+                results[query.id] = errors.toEnvelope(error);
+                results[query.id].Values = [];
+            }
+            else {
+                results[query.id] = { HttpResponseCode: 200, ErrorMessage: "", Values: result.Values, SplitBy: result.SplitBy, RequestDetails: result.RequestDetails };
+            }
+
+            if (--remaining === 0) {
+                res.json(results);
+            }
+        });
+    });
+    Object.keys(groups).forEach(function (key) {
+        var group = groups[key];
+        var timeoutValue = Math.max.apply(null, group.map(function (query) { return parseInt(query.timeoutValue, 10) || 0; }));
+        var tieredRequest = backend.getTieredRequest({
+            machineName: group[0].machineName,
+            environmentName: group[0].environmentName,
+            timeoutValue: timeoutValue,
+            diagnostics: req.body.diagnostics
+        });
+
+        var batch = function (callback) {
+            var unknown = backend.checkEnvironment(group[0].environmentName);
+            if (unknown) {
+                return callback(unknown);
+            }
+            commands.batch(backend.getClient(group[0].environmentName), group, tieredRequest, callback);
+        };
+        batch(function (error, groupResults) {
+            group.forEach(function (query) {
+                if (error) {
+                    results[query.id] = errors.toEnvelope(error);
+                    results[query.id].Values = [];
+                }
+                else {
+                    results[query.id] = groupResults[String(query.id)];
+                }
+            });
+
+            if (--remaining === 0) {
+                res.json(results);
+            }
+        });
+    });
+});
+
+/* POST writes ({ counterName, environmentName, machineName, writes }, or csv instead of writes) to a machine of the
+ * environment, or to the environment's server when no machine is given. Answers { Endpoint, Counters: [{ Counter,
+ * Writes }] }; writes to each counter are recorded all or none, but a failure leaves the counters before it written. */
+router.post("/write", function (req, res) {
+    var groups;
+    try {
+        groups = writes.parse(req.body || {});
+    }
+    catch (error) {
+        return errors.send(res, error);
+    }
+
+    var unknown = backend.checkEnvironment(req.body.environmentName);
+    if (unknown) {
+        return errors.send(res, unknown);
+    }
+
+    var machineName = String(req.body.machineName || "").trim();
+    if (machineName.indexOf(",") >= 0) {
+        return errors.send(res, errors.create("Writes go to a single machine, not " + machineName + ".", 400));
+    }
+
+    var client = machineName ? backend.getMachineClient(req.body.environmentName, machineName) : backend.getClient(req.body.environmentName);
+    if (!client) {
+        return errors.send(res, errors.create(machineName + " is not a known machine of the environment.", 400));
+    }
+    writes.send(client, groups, function (error, written) {
+        if (error) {
+            return errors.send(res, error);
+        }
+        res.json({ Endpoint: client.endpoint, Counters: written });
+    });
 });
 
 module.exports = router;
\ No newline at end of file
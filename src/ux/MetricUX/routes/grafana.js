@@ -0,0 +1,203 @@
+﻿var express = require('express');
+var backend = require('../lib/backend');
+var commands = require('../lib/commands');
+var registry = require('../lib/registry');
+var targets = require('../lib/targets');
+var errors = require('../lib/errors');
+
+// Datasource for Grafana's SimpleJSON plugin. Targets are written as described in targets.js; the special ad hoc
+// filter key "environment" picks the environment of targets which do not name one.
+
+var router = express.Router();
+
+var environmentKey = "environment";
+
+/* Grafana may call the datasource straight from the browser */
+router.use(function (req, res, next) {
+    res.set("Access-Control-Allow-Origin", "*");
+    res.set("Access-Control-Allow-Headers", "accept, content-type");
+    res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+    if (req.method === "OPTIONS") {
+        return res.status(200).end();
+    }
+    next();
+});
+
+/* Runs a front end command (see commands.js) against an environment */
+function execute(queryCommand, environmentName, counterName, queryParameters, callback) {
+    var unknown = backend.checkEnvironment(environmentName);
+    if (unknown) {
+        return callback(unknown);
+    }
+    commands.execute(backend.getClient(environmentName), {
+        queryCommand: queryCommand,
+        counterName: counterName,
+        queryParameters: queryParameters,
+        tieredRequest: backend.getTieredRequest({ environmentName: environmentName })
+    }, callback);
+}
+
+/* Applies Grafana's ad hoc filters ([{ key, operator, value }]) to a parsed target. Filters in the target win. */
+function applyAdhocFilters(parsed, adhocFilters) {
+    for (var i = 0; i < adhocFilters.length; i++) {
+        var filter = adhocFilters[i];
+        if (filter.operator !== "=") {
+            return errors.create("Unsupported ad hoc filter operator: " + filter.operator + ". Only = is supported.", 400);
+        }
+        if (filter.key === environmentKey) {
+            parsed.environmentName = parsed.environmentName || filter.value;
+        }
+        else if (parsed.filters[filter.key] === undefined && parsed.splitBy !== filter.key) {
+            parsed.filters[filter.key] = filter.value;
+        }
+    }
+    return null;
+}
+
+/* Queries every target of a request in parallel. Calls back with a list of series lists, in target order. */
+function queryTargets(list, range, adhocFilters, callback) {
+    var results = [];
+    var failed = null;
+    var remaining = list.length;
+    if (remaining === 0) {
+        return callback(null, results);
+    }
+
+    list.forEach(function (target, index) {
+        var parsed = targets.parse(target);
+        var error = parsed ? applyAdhocFilters(parsed, adhocFilters || []) : targets.invalid(target);
+        if (error) {
+            failed = failed || error;
+            if (--remaining === 0) {
+                callback(failed);
+            }
+            return;
+        }
+
+        targets.query(parsed, range.from, range.to, function (error, series) {
+            failed = failed || error;
+            results[index] = series;
+            if (--remaining === 0) {
+                callback(failed, results);
+            }
+        });
+    });
+}
+
+/* GET answers Grafana's "Test connection" */
+router.get("/", function (req, res) {
+    res.send("OK");
+});
+
+/* POST { target } to list the counters whose name contains target, which may carry an environment prefix and "*"
+ * wildcards */
+router.post("/search", function (req, res) {
+    var match = /^\s*(?:([^\/:\s]+)\s*:)?\s*(.*?)\s*$/.exec(String((req.body && req.body.target) || ""));
+    var environmentName = match[1] || "";
+    var text = match[2];
+    var pattern = text.indexOf("*") >= 0 ? text : "/*";
+
+    execute("list", environmentName, pattern, "", function (error, names) {
+        if (error) {
+            return errors.send(res, error);
+        }
+
+        res.json(names.filter(function (name) {
+            return pattern !== "/*" || name.toLowerCase().indexOf(text.toLowerCase()) >= 0;
+        }).map(function (name) {
+            return (environmentName ? environmentName + ":" : "") + name;
+        }));
+    });
+});
+
+/* POST { range: { from, to }, targets: [{ target, refId, type, hide }], adhocFilters } for time series or tables */
+router.post("/query", function (req, res) {
+    var body = req.body || {};
+    var visible = (body.targets || []).filter(function (target) { return !target.hide && target.target; });
+    var range = body.range || {};
+
+    queryTargets(visible.map(function (target) { return target.target; }), range, body.adhocFilters, function (error, results) {
+        if (error) {
+            return errors.send(res, error);
+        }
+
+        var response = [];
+        visible.forEach(function (target, index) {
+            if (target.type === "table") {
+                var rows = [];
+                results[index].forEach(function (series) {
+                    series.Points.forEach(function (point) {
+                        rows.push([point[0], series.Target, point[1]]);
+                    });
+                });
+                response.push({
+                    type: "table",
+                    columns: [{ text: "Time", type: "time" }, { text: "Series", type: "string" }, { text: "Value", type: "number" }],
+                    rows: rows
+                });
+                return;
+            }
+
+            results[index].forEach(function (series) {
+                response.push({
+                    target: series.Target,
+                    datapoints: series.Points.map(function (point) { return [point[1], point[0]]; })
+                });
+            });
+        });
+        res.json(response);
+    });
+});
+
+/* POST { range, annotation: { query } }: every non-zero point of the target in annotation.query is an event */
+router.post("/annotations", function (req, res) {
+    var body = req.body || {};
+    var annotation = body.annotation || {};
+
+    queryTargets([annotation.query], body.range || {}, [], function (error, results) {
+        if (error) {
+            return errors.send(res, error);
+        }
+
+        var events = [];
+        results[0].forEach(function (series) {
+            series.Points.forEach(function (point) {
+                if (point[1]) {
+                    events.push({ annotation: annotation, time: point[0], title: series.Target, text: String(point[1]), tags: [] });
+                }
+            });
+        });
+        res.json(events);
+    });
+});
+
+/* POST for the dimensions ad hoc filters can use */
+router.post("/tag-keys", function (req, res) {
+    execute("listDimensions", "", "/*", "", function (error, dimensions) {
+        if (error) {
+            return errors.send(res, error);
+        }
+
+        res.json([environmentKey].concat(dimensions).map(function (dimension) {
+            return { type: "string", text: dimension };
+        }));
+    });
+});
+
+/* POST { key } for the values of a dimension (or the environment names) */
+router.post("/tag-values", function (req, res) {
+    var key = (req.body && req.body.key) || "";
+    if (key === environmentKey) {
+        return res.json(registry.get().getEnvironments().map(function (environment) { return { text: environment.name }; }));
+    }
+
+    execute("listDimensionValues", "", "/*", { dimension: key }, function (error, values) {
+        if (error) {
+            return errors.send(res, error);
+        }
+
+        res.json(values.map(function (value) { return { text: value }; }));
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+﻿var express = require('express');
+var graphite = require('../lib/graphite');
+var errors = require('../lib/errors');
+
+// Graphite's render API for tools which speak it; see graphite.js for the targets it understands.
+
+var router = express.Router();
+
+var defaultFrom = "-24h";
+var defaultUntil = "now";
+
+/* Parameters of a render request, from the query string or a form body */
+function getParameters(req) {
+    var parameters = {};
+    [req.query, req.body || {}].forEach(function (source) {
+        Object.keys(source).forEach(function (key) {
+            parameters[key] = source[key];
+        });
+    });
+    return parameters;
+}
+
+/* GET or POST target (repeated for several targets), from, until, format (json or csv) and environment, the
+ * environment of targets which do not name one */
+function render(req, res) {
+    var parameters = getParameters(req);
+    var format = (parameters.format || "json").toLowerCase();
+    if (format !== "json" && format !== "csv") {
+        return errors.send(res, errors.create("Unsupported format: " + format + ". Supported formats are json and csv.", 400));
+    }
+
+    var from = parameters.from || defaultFrom;
+    var until = parameters.until || defaultUntil;
+    var now = Date.now();
+    var range = { from: graphite.parseTime(from, now), until: graphite.parseTime(until, now) };
+    if (range.from === null || range.until === null) {
+        return errors.send(res, errors.create("Invalid time range: from=" + from + ", until=" + until + ".", 400));
+    }
+
+    var nodes;
+    try {
+        nodes = [].concat(parameters.target || []).map(function (target) {
+            var node = graphite.parseExpression(target);
+            if (parameters.environment) {
+                graphite.setEnvironment(node, parameters.environment);
+            }
+            return node;
+        });
+    }
+    catch (error) {
+        return errors.send(res, error);
+    }
+
+    var results = [];
+    var failed = null;
+    var remaining = nodes.length;
+    var done = function () {
+        if (failed) {
+            return errors.send(res, failed);
+        }
+
+        var series = [].concat.apply([], results);
+        if (format === "csv") {
+            res.set("Content-Type", "text/csv");
+            return res.send(graphite.toCsv(series));
+        }
+        res.json(graphite.toJson(series));
+    };
+
+    if (remaining === 0) {
+        return done();
+    }
+    nodes.forEach(function (node, index) {
+        graphite.evaluate(node, range, function (error, series) {
+            failed = failed || error;
+            results[index] = series || [];
+            if (--remaining === 0) {
+                done();
+            }
+        });
+    });
+}
+
+router.get("/", render);
+router.post("/", render);
+
+module.exports = router;
@@ -1,9 +1,39 @@
 ﻿var express = require('express');
+var config = require('../lib/config');
+var dashboards = require('../lib/dashboards');
 var router = express.Router();
 
+/* Wires for the inline script which hydrates the page */
+function toScriptJson(value) {
+    return JSON.stringify(value).replace(/</g, "\\u003c");
+}
+
 /* GET home page. */
 router.get('/', function (req, res) {
-    res.render('index', { title: 'MetricUX', wires: req.query.wires });
+    res.render('index', {
+        title: 'MetricUX',
+        wires: req.query.wires,
+        timeout: config.get().fanoutTimeout,
+        coverageThreshold: config.get().coverageThreshold
+    });
+});
+
+/* GET a saved dashboard by its short id. Wires in the query string hold unsaved changes and take precedence. */
+router.get('/d/:id', function (req, res, next) {
+    dashboards.get().get(req.params.id, function (error, dashboard) {
+        if (error) {
+            return next(error);
+        }
+
+        res.render('index', {
+            title: dashboard.Name + ' - MetricUX',
+            wires: req.query.wires || toScriptJson(dashboard.Wires),
+            timeout: config.get().fanoutTimeout,
+            coverageThreshold: config.get().coverageThreshold,
+            dashboardId: dashboard.Id,
+            dashboardName: dashboard.Name
+        });
+    });
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,14 @@
+﻿var express = require('express');
+var prometheus = require('../lib/prometheus');
+
+var router = express.Router();
+
+/* GET the configured counters in the Prometheus text exposition format */
+router.get("/", function (req, res) {
+    prometheus.get().render(function (text) {
+        res.set("Content-Type", prometheus.ContentType);
+        res.send(text);
+    });
+});
+
+module.exports = router;
@@ -1,9 +0,0 @@
-﻿var express = require('express');
-var router = express.Router();
-
-/* GET users listing. */
-router.get('/', function (req, res) {
-    res.send('respond with a resource');
-});
-
-module.exports = router;
\ No newline at end of file
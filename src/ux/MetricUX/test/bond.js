@@ -0,0 +1,235 @@
+﻿var assert = require("assert");
+var bond = require("../lib/bond");
+var commands = require("../lib/commands");
+var metricsystem = require("../lib/metricsystem");
+var helpers = require("./helpers");
+
+// Decoding of Bond compact binary: responses written out byte by byte following the Bond specification, then the
+// mock MetricSystem's compact binary compared with its JSON.
+
+/* A buffer from hex bytes, which may be spread over several arguments and spaced */
+function bytes() {
+    return new Buffer(Array.prototype.join.call(arguments, "").replace(/\s+/g, ""), "hex");
+}
+
+/* Hex of a string shorter than 128 bytes with its length in front, as compact binary writes strings */
+function text(value) {
+    var buffer = new Buffer(value, "utf8");
+    return ("0" + buffer.length.toString(16)).slice(-2) + buffer.toString("hex");
+}
+
+var start = "80 c0 d5 ac d4 52"; // zigzag 1420070400000
+var end = "c0 e9 dc ac d4 52"; // zigzag 1420070460000
+
+var server = {
+    bytes: "2a 29" + text("web") + "44 e8 20 00", // Server (1): Hostname (1) "web", Port (2) 4200
+    json: { Hostname: "web", Port: 4200, MachineFunction: "", Datacenter: "" }
+};
+
+var counterInfoResponse = bytes(
+    "01", // MetricSystemResponse: no fields
+    "2b 0a 01", // TieredResponse.RequestDetails (1): list of 1 struct
+    server.bytes,
+    "50 00", // Status (2): 0
+    "8f 90 03", // HttpResponseCode (4): 200
+    "00",
+    "01",
+    "2b 0a 01", // CounterInfoResponse.Counters (1): list of 1 struct
+    "29", text("/Svc/Latency"), // Name (1)
+    "50 02", // Type (2): 1
+    "71", start, // StartTime (3)
+    "91", end, // EndTime (4)
+    "ab 09 01", text("dc"), // Dimensions (5): list of 1 string
+    "cb 06 0d 01", // DimensionValues (6, an escaped id): nullable, so a list of 1 map
+    "09 0c 01", text("dc"), // string to set of strings, 1 entry
+    "09 02", text("east"), text("west"),
+    "00",
+    "00");
+
+var counterQueryResponse = bytes(
+    "01",
+    "2b 0a 00", // RequestDetails (1): empty list
+    "01",
+    "29", text("q1"), // UserContext (1)
+    "4f 90 03", // HttpResponseCode (2): 200
+    "8b 0b 01 0a 02", // Samples (4): nullable list of 2 structs
+    "29", text("/Svc/Requests"), // Name (1)
+    "4d 09 09 01", text("dc"), text("east"), // Dimensions (2): map of 1 string to string
+    "71", start,
+    "91", end,
+    "b0 02", // SampleType (5): 1
+    "d1 0a f0 01", // HitCount (10): 120
+    "c5 64 03", // MachineCount (100): 3
+    "00",
+    "29", text("/Svc/Latency"),
+    "71", start,
+    "91", end,
+    "b0 04", // SampleType (5): 2
+    "cd 0b 11 05 02 c8 01 03 09 02", // Histogram (11): map of int64 to uint32, 100 => 3 and -5 => 2
+    "c6 0c 05", // SampleCount (12): 5
+    "c8 0d 00 00 00 00 00 00 29 40", // Average (13): 12.5
+    "00",
+    "00");
+
+var batchQueryResponse = bytes(
+    "01",
+    "2b 0a 01",
+    server.bytes,
+    "50 02", // Status (2): 1
+    "00",
+    "01",
+    "2b 0a 02", // Responses (1): list of 2 structs
+    "01 01", // no RequestDetails
+    "29", text("q1"),
+    "4f a8 06", // HttpResponseCode (2): 404
+    "69", text("No data matched query."), // ErrorMessage (3)
+    "8b 0b 00", // Samples (4): null
+    "00",
+    "01 01",
+    "29", text("q2"),
+    "4f 90 03",
+    "8b 0b 01 0a 00", // Samples (4): an empty list
+    "00",
+    "00");
+
+function dataSample(fields) {
+    var sample = {
+        Name: "", Dimensions: {}, StartTime: 1420070400000, EndTime: 1420070460000, SampleType: 0, HitCount: 0, Histogram: {},
+        SampleCount: 0, Average: 0, Percentile: 0, PercentileValue: 0, MinValue: 0, MaxValue: 0, MachineCount: 0
+    };
+    Object.keys(fields).forEach(function (key) {
+        sample[key] = fields[key];
+    });
+    return sample;
+}
+
+describe("bond", function () {
+    it("decodes a CounterInfoResponse", function () {
+        assert.deepEqual(bond.decode(counterInfoResponse, "CounterInfoResponse"), {
+            RequestDetails: [{ Server: server.json, Status: 0, StatusDescription: "", HttpResponseCode: 200, IsAggregator: false }],
+            Counters: [{
+                Name: "/Svc/Latency",
+                Type: 1,
+                StartTime: 1420070400000,
+                EndTime: 1420070460000,
+                Dimensions: ["dc"],
+                DimensionValues: { dc: ["east", "west"] }
+            }]
+        });
+    });
+
+    it("decodes a CounterQueryResponse, filling in the fields left out", function () {
+        assert.deepEqual(bond.decode(counterQueryResponse, "CounterQueryResponse"), {
+            RequestDetails: [],
+            UserContext: "q1",
+            HttpResponseCode: 200,
+            ErrorMessage: "",
+            Samples: [
+                dataSample({ Name: "/Svc/Requests", Dimensions: { dc: "east" }, SampleType: 1, HitCount: 120, MachineCount: 3 }),
+                dataSample({ Name: "/Svc/Latency", SampleType: 2, Histogram: { "100": 3, "-5": 2 }, SampleCount: 5, Average: 12.5 })
+            ]
+        });
+    });
+
+    it("decodes a BatchQueryResponse with null and empty samples", function () {
+        assert.deepEqual(bond.decode(batchQueryResponse, "BatchQueryResponse"), {
+            RequestDetails: [{ Server: server.json, Status: 1, StatusDescription: "", HttpResponseCode: 0, IsAggregator: false }],
+            Responses: [
+                { RequestDetails: [], UserContext: "q1", HttpResponseCode: 404, ErrorMessage: "No data matched query.", Samples: null },
+                { RequestDetails: [], UserContext: "q2", HttpResponseCode: 200, ErrorMessage: "", Samples: [] }
+            ]
+        });
+    });
+
+    it("reads structs whose empty base was left out", function () {
+        var decoded = bond.decode(counterInfoResponse.slice(1), "CounterInfoResponse");
+        assert.equal(decoded.Counters[0].Name, "/Svc/Latency");
+        assert.equal(decoded.RequestDetails[0].HttpResponseCode, 200);
+    });
+
+    it("throws on truncated data and unknown types", function () {
+        assert.throws(function () {
+            bond.decode(counterQueryResponse.slice(0, 40), "CounterQueryResponse");
+        }, /Unexpected end of data/);
+        assert.throws(function () {
+            bond.decode(bytes("01 01 3f 00"), "CounterQueryResponse");
+        }, /Unknown Bond type 31/);
+        assert.throws(function () {
+            bond.decode(counterQueryResponse, "DataSample");
+        }, /Unknown schema/);
+    });
+
+    describe("against the mock MetricSystem", function () {
+        var json;
+        var binary;
+        var range = { start: String(Date.now() - 60 * 60 * 1000), end: String(Date.now()) };
+
+        before(function (done) {
+            helpers.start(function (error, started) {
+                if (error) {
+                    return done(error);
+                }
+                var endpoint = "http://localhost:" + started.mock.environments[0].port;
+                json = new metricsystem.Client(endpoint);
+                binary = new metricsystem.Client(endpoint, { transport: bond.transport });
+                done();
+            });
+        });
+
+        /* Runs the same call with both clients and checks they answer alike */
+        function compare(call, done) {
+            call(json, function (error, expected) {
+                assert.ifError(error);
+                call(binary, function (error, actual) {
+                    assert.ifError(error);
+                    assert.deepEqual(actual, expected);
+                    done();
+                });
+            });
+        }
+
+        it("answers in compact binary when asked to", function (done) {
+            var seen = null;
+            var transport = function (options, callback) {
+                bond.transport(options, function (error, statusCode, body) {
+                    seen = body;
+                    callback(error, statusCode, body);
+                });
+            };
+            new metricsystem.Client(json.endpoint, { transport: transport }).query("/Test/Requests", range, null, function (error, response) {
+                assert.ifError(error);
+                assert.equal(typeof seen, "object");
+                assert.ok(response.Samples.length > 0);
+                done();
+            });
+        });
+
+        it("decodes counter info like JSON", function (done) {
+            compare(function (client, callback) {
+                client.info("/Test/*", { dimension: "*" }, null, callback);
+            }, done);
+        });
+
+        it("decodes hit count and histogram queries like JSON", function (done) {
+            compare(function (client, callback) {
+                var queryParameters = { start: range.start, end: range.end, dimension: "dc" };
+                commands.execute(client, { queryCommand: "query", counterName: "/Test/Requests", queryParameters: queryParameters }, callback);
+            }, function () {
+                compare(function (client, callback) {
+                    var queryParameters = { start: range.start, end: range.end, percentile: "50,99" };
+                    commands.execute(client, { queryCommand: "query", counterName: "/Test/Latency", queryParameters: queryParameters }, callback);
+                }, done);
+            });
+        });
+
+        it("decodes batches like JSON", function (done) {
+            compare(function (client, callback) {
+                commands.batch(client, [
+                    { id: "requests", counterName: "/Test/Requests", queryParameters: range },
+                    { id: "p99", counterName: "/Test/Latency", queryParameters: { start: range.start, end: range.end, percentile: 99 } },
+                    { id: "missing", counterName: "/Test/Missing", queryParameters: range }
+                ], { Sources: [{ Hostname: "test-prod-01" }, { Hostname: "test-prod-02" }] }, callback);
+            }, done);
+        });
+    });
+});
@@ -0,0 +1,54 @@
+var assert = require("assert");
+var breakdown = require("../lib/breakdown");
+
+// Machines scored by their modified z-score against the fleet median and ranked by it
+
+function machines(values) {
+    return values.map(function (value, index) {
+        return { Machine: "web0" + (index + 1) + ":4200", Value: value };
+    });
+}
+
+describe("breakdown", function () {
+    it("scores a machine far from the median as an outlier and ranks it first", function () {
+        var fleet = machines([10, 11, 9, 10, 12, 50]);
+        fleet.push({ Machine: "web00:4200", Value: null, Error: { ErrorMessage: "timed out" } });
+        assert.equal(breakdown.score(fleet), 10.5);
+
+        var ranked = breakdown.rank(fleet);
+        assert.equal(ranked[0].Machine, "web06:4200");
+        assert.equal(ranked[0].Deviation, 39.5);
+        assert.ok(Math.abs(ranked[0].Score - 39.5 * 0.6745) < 1e-9);
+        assert.ok(ranked[0].IsOutlier);
+        assert.deepEqual(ranked.slice(1).filter(function (machine) { return machine.IsOutlier; }), []);
+
+        // Machines without a value are not scored and come last
+        assert.equal(ranked[ranked.length - 1].Machine, "web00:4200");
+        assert.strictEqual(ranked[ranked.length - 1].Score, undefined);
+    });
+
+    it("scores every machine 0 when they are all equal", function () {
+        var fleet = machines([7, 7, 7, 7]);
+        assert.equal(breakdown.score(fleet), 7);
+        fleet.forEach(function (machine) {
+            assert.strictEqual(machine.Score, 0);
+            assert.strictEqual(machine.RelativeDeviation, 0);
+            assert.strictEqual(machine.IsOutlier, false);
+        });
+        assert.deepEqual(breakdown.rank(fleet).map(function (machine) { return machine.Machine; }),
+            ["web01:4200", "web02:4200", "web03:4200", "web04:4200"]);
+    });
+
+    it("falls back to the mean absolute deviation when most machines share the median", function () {
+        var fleet = machines([5, 5, 5, 5, 20]);
+        breakdown.score(fleet);
+        assert.ok(Math.abs(fleet[4].Score - 15 / (3 * 1.2533)) < 1e-9);
+        assert.ok(fleet[4].IsOutlier);
+        assert.strictEqual(fleet[0].Score, 0);
+    });
+
+    it("takes the middle of an even number of values as the median", function () {
+        assert.equal(breakdown.median([4, 1, 3, 2]), 2.5);
+        assert.strictEqual(breakdown.median([]), null);
+    });
+});
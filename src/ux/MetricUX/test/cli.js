@@ -0,0 +1,130 @@
+var assert = require("assert");
+var cli = require("../lib/cli");
+var helpers = require("./helpers");
+
+// Arguments of the metricux command line tool, and its output in each format from the mock MetricSystem
+
+/* Runs the tool and calls back with its exit code and the lines it printed to each stream */
+function run(argv, callback) {
+    var printed = { log: [], error: [] };
+    var output = {
+        log: function (text) { printed.log = printed.log.concat(text.split("\n")); },
+        error: function (text) { printed.error = printed.error.concat(text.split("\n")); }
+    };
+    helpers.start(function (error) {
+        assert.ifError(error);
+        cli.run(argv, output, function (code) {
+            callback(code, printed.log, printed.error);
+        });
+    });
+}
+
+describe("cli", function () {
+    describe("parseArguments", function () {
+        it("reads the command, its arguments, options and flags", function () {
+            var parsed = cli.parseArguments(["query", "/Svc/Requests", "-e", "prod", "--format=csv", "-f", "dc=east", "--filter", "url=/a=b", "-a", "--split-by", "status"]);
+            assert.equal(parsed.command, "query");
+            assert.deepEqual(parsed.args, ["/Svc/Requests"]);
+            assert.deepEqual(parsed.options, {
+                filters: { dc: "east", url: "/a=b" },
+                format: "csv",
+                start: "now-1h",
+                end: "now",
+                environment: "prod",
+                aggregate: true,
+                splitBy: "status"
+            });
+        });
+
+        it("rejects unknown options and formats, missing values and malformed filters", function () {
+            [["list", "-x"], ["list", "-o", "xml"], ["query", "/Svc/Requests", "-e"], ["query", "/Svc/Requests", "-f", "east"]].forEach(function (argv) {
+                assert.throws(function () { cli.parseArguments(argv); }, function (error) {
+                    return error.status === 400;
+                }, argv.join(" "));
+            });
+        });
+    });
+
+    describe("getSparkline", function () {
+        it("scales values between the lowest and highest, leaving gaps for missing ones", function () {
+            assert.equal(cli.getSparkline([0, 7, null, 14]), "_= #");
+            assert.equal(cli.getSparkline([5, 5]), "__");
+        });
+    });
+
+    describe("run", function () {
+        this.timeout(10000);
+        var query = ["query", "/Test/Requests", "-e", "test-prod", "-s", "now-10m", "-b", "dc"];
+
+        it("prints a table by default", function (done) {
+            run(query, function (code, lines) {
+                assert.equal(code, 0);
+                assert.ok(/^Series\s+Time\s+Value\s+Machines$/.test(lines[0]), lines[0]);
+                assert.ok(/^-+  -+  -+  -+$/.test(lines[1]), lines[1]);
+                assert.ok(lines.length > 2);
+                assert.ok(lines.slice(2).every(function (line) { return /^(east|west)\s+\S+Z\s+\d/.test(line); }), lines.join("\n"));
+                done();
+            });
+        });
+
+        it("prints CSV", function (done) {
+            run(query.concat(["-o", "csv"]), function (code, lines) {
+                assert.equal(code, 0);
+                assert.equal(lines[0], "Series,Time,Value,MachineCount");
+                lines.slice(1).forEach(function (line) {
+                    assert.ok(/^(east|west),[^,]+Z,[\d.]+,\d+$/.test(line), line);
+                });
+                done();
+            });
+        });
+
+        it("prints JSON rows, one per percentile of a histogram counter", function (done) {
+            run(["query", "/Test/Latency", "-e", "test-prod", "-s", "now-10m", "-p", "50,5-95", "-o", "json"], function (code, lines) {
+                assert.equal(code, 0);
+                var rows = JSON.parse(lines.join("\n"));
+                assert.ok(rows.length > 0);
+                assert.deepEqual(rows.slice(0, 3).map(function (row) { return row.Series; }),
+                    ["/Test/Latency p50", "/Test/Latency p5", "/Test/Latency p95"]);
+                assert.deepEqual(Object.keys(rows[0]), ["Series", "Time", "Value", "MachineCount"]);
+                done();
+            });
+        });
+
+        it("prints a sparkline per series", function (done) {
+            run(query.concat(["-o", "sparkline"]), function (code, lines) {
+                assert.equal(code, 0);
+                assert.ok(/^Series\s+Trend\s+Min\s+Max\s+Last$/.test(lines[0]), lines[0]);
+                assert.deepEqual(lines.slice(2).map(function (line) { return line.split(" ")[0]; }).sort(), ["east", "west"]);
+                lines.slice(2).forEach(function (line) {
+                    assert.ok(/^(east|west)\s+[_.\-~=+*# ]+\s+[\d.]+\s+[\d.]+\s+[\d.]+$/.test(line), line);
+                });
+                done();
+            });
+        });
+
+        it("prints lists one name per line", function (done) {
+            run(["dimensions", "/Test/Requests", "-e", "test-prod"], function (code, lines) {
+                assert.equal(code, 0);
+                assert.deepEqual(lines.slice().sort(), ["dc", "status"]);
+                done();
+            });
+        });
+
+        it("exits with 2 and the usage for malformed arguments", function (done) {
+            run(["query", "--nope"], function (code, lines, errorLines) {
+                assert.equal(code, 2);
+                assert.equal(errorLines[0], "Unknown option: --nope");
+                assert.ok(errorLines.indexOf("Usage: metricux <command> [options]") > 0);
+                done();
+            });
+        });
+
+        it("exits with 1 for errors of MetricSystem", function (done) {
+            run(["query", "/Test/Missing", "-e", "test-prod"], function (code, lines, errorLines) {
+                assert.equal(code, 1);
+                assert.ok(/^MetricSystem returned 404: /.test(errorLines[0]), errorLines[0]);
+                done();
+            });
+        });
+    });
+});
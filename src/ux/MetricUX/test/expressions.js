@@ -0,0 +1,137 @@
+﻿var assert = require("assert");
+var expressions = require("../lib/expressions");
+
+// Parsing and computing expression series, with the samples of each target given rather than queried
+
+var minute = 60 * 1000;
+
+/* A legacy sample ending at time, width milliseconds long */
+function sample(time, value, dimensionValue, width) {
+    return {
+        StartTime: "/Date(" + (time - (width || minute)) + ")/",
+        EndTime: "/Date(" + time + ")/",
+        ChartValue: value,
+        MachineCount: 2,
+        DimensionVal: dimensionValue || ""
+    };
+}
+
+/* Computes an expression from the samples of each of its targets, in order. Answers { dimension value: [[time,
+ * value]] }. */
+function compute(expression, samples) {
+    var node = expressions.parse(expression);
+    var targets = expressions.getTargets(node);
+    var series = targets.map(function (target, index) {
+        return expressions.toSeries(samples[index] || [], target.parsed.splitBy !== "");
+    });
+
+    var result = expressions.compute(node, targets, series);
+    if (typeof result === "number") {
+        return result;
+    }
+    var points = {};
+    expressions.toValues(result).forEach(function (value) {
+        (points[value.DimensionVal] = points[value.DimensionVal] || []).push([parseInt(value.EndTime.substr(6), 10), value.ChartValue]);
+    });
+    return points;
+}
+
+describe("expressions", function () {
+    describe("parse", function () {
+        it("binds * and / tighter than + and -", function () {
+            assert.equal(compute("1 + 2 * 3"), 7);
+            assert.equal(compute("10 - 6 / 2"), 7);
+            assert.equal(compute("(1 + 2) * 3"), 9);
+        });
+
+        it("associates operators of the same level to the left", function () {
+            assert.equal(compute("8 - 2 - 1"), 5);
+            assert.equal(compute("8 / 2 / 2"), 2);
+        });
+
+        it("negates numbers, groups and counters", function () {
+            assert.equal(compute("-2 * 3"), -6);
+            assert.equal(compute("2 * -3"), -6);
+            assert.equal(compute("-(1 + 2)"), -3);
+            assert.equal(compute("- -4"), 4);
+            assert.deepEqual(compute("-/Svc/Requests", [[sample(minute, 5)]]), { "": [[minute, -5]] });
+        });
+
+        it("reads counters with filters, environments and operators written around braces", function () {
+            var targets = expressions.getTargets(expressions.parse("prod:/Svc/Errors{dc=*,role=web}/ /Svc/Requests-Total"));
+            assert.deepEqual(targets.map(function (target) { return target.parsed; }), [
+                { environmentName: "prod", counterName: "/Svc/Errors", filters: { role: "web" }, splitBy: "dc" },
+                { environmentName: "", counterName: "/Svc/Requests-Total", filters: {}, splitBy: "" }
+            ]);
+        });
+
+        it("rejects malformed expressions with a 400 error", function () {
+            ["", "1 +", "(1 + 2", "1 2", "/Svc/Requests{dc}", "1 + )"].forEach(function (expression) {
+                assert.throws(function () {
+                    expressions.parse(expression);
+                }, function (error) {
+                    return error.status === 400 && /^Invalid expression/.test(error.message);
+                }, expression);
+            });
+        });
+    });
+
+    describe("compute", function () {
+        it("combines series at the times both have a point", function () {
+            var errors = [sample(minute, 2), sample(2 * minute, 4), sample(3 * minute, 6)];
+            var requests = [sample(minute, 100), sample(2 * minute, 200), sample(4 * minute, 400)];
+            assert.deepEqual(compute("/Svc/Errors / /Svc/Requests * 100", [errors, requests]), { "": [[minute, 2], [2 * minute, 2]] });
+        });
+
+        it("applies a series which is not split to every value of a split one", function () {
+            var errors = [sample(minute, 3, "east"), sample(minute, 9, "west")];
+            var requests = [sample(minute, 300)];
+            assert.deepEqual(compute("/Svc/Errors{dc=*} / /Svc/Requests", [errors, requests]), {
+                east: [[minute, 0.01]],
+                west: [[minute, 0.03]]
+            });
+            assert.deepEqual(compute("/Svc/Requests - /Svc/Errors{dc=*}", [requests, errors]), {
+                east: [[minute, 297]],
+                west: [[minute, 291]]
+            });
+        });
+
+        it("matches split series by dimension value", function () {
+            var errors = [sample(minute, 3, "east"), sample(minute, 9, "west"), sample(minute, 1, "north")];
+            var requests = [sample(minute, 300, "east"), sample(minute, 100, "west"), sample(minute, 100, "south")];
+            assert.deepEqual(compute("/Svc/Errors{dc=*} / /Svc/Requests{dc=*}", [errors, requests]), {
+                east: [[minute, 0.01]],
+                west: [[minute, 0.09]]
+            });
+        });
+
+        it("leaves out points dividing by zero", function () {
+            var errors = [sample(minute, 3), sample(2 * minute, 4)];
+            var requests = [sample(minute, 0), sample(2 * minute, 8)];
+            assert.deepEqual(compute("/Svc/Errors / /Svc/Requests", [errors, requests]), { "": [[2 * minute, 0.5]] });
+            assert.deepEqual(compute("/Svc/Errors / 0", [errors]), {});
+        });
+
+        it("rejects dividing constants by zero", function () {
+            assert.throws(function () {
+                compute("1 / (2 - 2)");
+            }, function (error) {
+                return error.status === 400 && /Division by zero/.test(error.message);
+            });
+        });
+
+        it("rejects counters whose points are a different time apart", function () {
+            var errors = [sample(5 * minute, 3, "", 5 * minute), sample(10 * minute, 4, "", 5 * minute)];
+            var requests = [sample(minute, 100), sample(2 * minute, 100)];
+            assert.throws(function () {
+                compute("/Svc/Errors / /Svc/Requests", [errors, requests]);
+            }, function (error) {
+                return error.status === 400 && /5 minutes and 1 minute apart/.test(error.message);
+            });
+        });
+
+        it("combines counters without data into an empty result", function () {
+            assert.deepEqual(compute("/Svc/Errors / /Svc/Requests", [[], [sample(minute, 100)]]), {});
+        });
+    });
+});
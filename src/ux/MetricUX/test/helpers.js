@@ -0,0 +1,142 @@
+﻿var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var request = require("request");
+var mock = require("../lib/mock");
+
+// Starts the mock MetricSystem on free ports and MetricUX in process, pointed at it. Settings are read once per
+// process, so the first test asking for a server starts it and every other one shares it; it stops when the tests
+// are done.
+
+var mockSettings = {
+    seed: "metricux-tests",
+    retentionDays: 7,
+    environments: {
+        "test-prod": { port: 0, machines: 4, datacenters: ["east", "west"] },
+        // A machine named localhost can be written to directly
+        "test-dev": { port: 0, machines: ["localhost", "test-dev-02"], datacenters: ["east"] }
+    },
+    counters: [
+        { name: "/Test/Requests", type: "hitcount", rate: 600, dimensions: { dc: ["east", "west"], status: { "200": 0.9, "500": 0.1 } } },
+        { name: "/Test/Errors", type: "hitcount", rate: 60, dimensions: { dc: ["east", "west"] } },
+        { name: "/Test/Latency", type: "histogram", rate: 300, median: 40, dimensions: { dc: ["east", "west"] } }
+    ]
+};
+
+// Files of this process alone, so that test runs side by side do not share them
+var registryFile = path.join(os.tmpdir(), "metricux-test-environments-" + process.pid + ".json");
+var dashboardFile = path.join(os.tmpdir(), "metricux-test-dashboards-" + process.pid + ".json");
+
+var started = null;
+var waiting = [];
+
+function finish(error) {
+    var callbacks = waiting;
+    waiting = [];
+    callbacks.forEach(function (callback) {
+        callback(error, started);
+    });
+}
+
+/* Calls back with { url, app, mock } once MetricUX answers at url, with the environments of mockSettings */
+function start(callback) {
+    if (started) {
+        return callback(null, started);
+    }
+    waiting.push(callback);
+    if (waiting.length > 1) {
+        return;
+    }
+
+    mock.start(mockSettings, function (error, servers) {
+        if (error) {
+            return finish(error);
+        }
+
+        var environments = {};
+        servers.environments.forEach(function (environment) {
+            environments[environment.name] = { endpoint: "http://localhost:" + environment.port, listServers: true };
+        });
+        process.env.NODE_ENV = "test";
+        process.env.METRICUX_ENDPOINT = environments["test-prod"].endpoint;
+        process.env.METRICUX_ENVIRONMENTS = JSON.stringify(environments);
+        process.env.METRICUX_REGISTRY_FILE = registryFile;
+        process.env.METRICUX_DASHBOARD_FILE = dashboardFile;
+        process.env.METRICUX_FANOUT_TIMEOUT = "1000";
+
+        var app = require("../app");
+        require("../lib/registry").get().refresh(function (error) {
+            if (error) {
+                return servers.close(function () { finish(error); });
+            }
+
+            var server = app.listen(0, function () {
+                started = { url: "http://localhost:" + server.address().port, app: app, server: server, mock: servers };
+                finish(null);
+            });
+        });
+    });
+}
+
+/* Stops MetricUX and the mock and removes the files they wrote */
+function stop(callback) {
+    if (!started) {
+        return callback();
+    }
+    var current = started;
+    started = null;
+    current.server.close(function () {
+        current.mock.close(function (error) {
+            [registryFile, dashboardFile].forEach(function (file) {
+                if (fs.existsSync(file)) {
+                    fs.unlinkSync(file);
+                }
+            });
+            callback(error);
+        });
+    });
+}
+
+/* Sends a request to MetricUX: options.url is a path, and a body is sent and answered as JSON */
+function send(options, callback) {
+    start(function (error, server) {
+        if (error) {
+            return callback(error);
+        }
+
+        var requestOptions = { url: server.url + options.url, method: options.method || "GET", qs: options.qs };
+        if (options.body !== undefined) {
+            requestOptions.json = options.body;
+        }
+        else if (options.json !== false) {
+            requestOptions.json = true;
+        }
+        request(requestOptions, callback);
+    });
+}
+
+function get(url, qs, callback) {
+    send({ url: url, qs: qs }, callback);
+}
+
+function post(url, body, callback) {
+    send({ url: url, method: "POST", body: body }, callback);
+}
+
+/* Milliseconds since the epoch of a legacy sample's EndTime ("/Date(ms)/") */
+function getTime(value) {
+    return parseInt(value.EndTime.substr(6), 10);
+}
+
+after(function (done) {
+    stop(done);
+});
+
+module.exports = {
+    mockSettings: mockSettings,
+    start: start,
+    send: send,
+    get: get,
+    post: post,
+    getTime: getTime
+};
@@ -0,0 +1,68 @@
+var assert = require("assert");
+var metricsystem = require("../lib/metricsystem");
+var commands = require("../lib/commands");
+
+// Durations and relative times, read the same way by the routes, the Graphite and Prometheus endpoints and the
+// browser
+
+var minute = 60 * 1000;
+var hour = 60 * minute;
+var day = 24 * hour;
+
+describe("metricsystem", function () {
+    describe("parseDuration", function () {
+        it("reads a number and a unit written as an abbreviation or a name", function () {
+            assert.equal(metricsystem.parseDuration("5m"), 5 * minute);
+            assert.equal(metricsystem.parseDuration(" 90 min "), 90 * minute);
+            assert.equal(metricsystem.parseDuration("2Hours"), 2 * hour);
+            assert.equal(metricsystem.parseDuration("1w"), 7 * day);
+            assert.equal(metricsystem.parseDuration("1mon"), 30 * day);
+            assert.equal(metricsystem.parseDuration("1y"), 365 * day);
+        });
+
+        it("keeps the sign", function () {
+            assert.equal(metricsystem.parseDuration("-1d"), -day);
+            assert.equal(metricsystem.parseDuration("+30min"), 30 * minute);
+        });
+
+        it("answers null for anything else", function () {
+            ["", "5", "m", "5 fortnights", "1.5h", "5m ago", null, undefined].forEach(function (value) {
+                assert.strictEqual(metricsystem.parseDuration(value), null, String(value));
+            });
+        });
+    });
+
+    describe("parseRelativeTime", function () {
+        var now = new Date(2015, 0, 10, 15, 30).getTime();
+        var midnight = new Date(2015, 0, 10).getTime();
+
+        it("reads now, today and yesterday with an optional offset", function () {
+            assert.equal(metricsystem.parseRelativeTime("now", now), now);
+            assert.equal(metricsystem.parseRelativeTime("now-6h", now), now - 6 * hour);
+            assert.equal(metricsystem.parseRelativeTime(" NOW + 10 minutes ", now), now + 10 * minute);
+            assert.equal(metricsystem.parseRelativeTime("today", now), midnight);
+            assert.equal(metricsystem.parseRelativeTime("today+9h", now), midnight + 9 * hour);
+            assert.equal(metricsystem.parseRelativeTime("yesterday", now), new Date(2015, 0, 9).getTime());
+        });
+
+        it("reads times some units ago", function () {
+            assert.equal(metricsystem.parseRelativeTime("90 minutes ago", now), now - 90 * minute);
+            assert.equal(metricsystem.parseRelativeTime("2d ago", now), now - 2 * day);
+        });
+
+        it("answers null for anything else", function () {
+            ["", "2015-01-10", "now-6", "now-6x", "today 9h", "ago", "-6h", 1420900000000, null].forEach(function (value) {
+                assert.strictEqual(metricsystem.parseRelativeTime(value, now), null, String(value));
+            });
+        });
+    });
+
+    describe("commands.normalizeTime", function () {
+        it("turns relative times into ISO 8601 and passes anything else through", function () {
+            var now = Date.UTC(2015, 0, 10, 15, 30);
+            assert.equal(commands.normalizeTime("now-1h", now), "2015-01-10T14:30:00.000Z");
+            assert.equal(commands.normalizeTime("1 week ago", now), "2015-01-03T15:30:00.000Z");
+            assert.equal(commands.normalizeTime("2015-01-01T00:00:00Z", now), "2015-01-01T00:00:00Z");
+        });
+    });
+});
@@ -0,0 +1,127 @@
+var assert = require("assert");
+var prometheus = require("../lib/prometheus");
+var helpers = require("./helpers");
+
+// Counter and histogram metrics exported to Prometheus, from samples given rather than queried and then from the mock
+// MetricSystem
+
+var minute = 60 * 1000;
+
+/* A legacy sample of the minute ending at time */
+function sample(time, value, histogram) {
+    return {
+        StartTime: "/Date(" + (time - minute) + ")/",
+        EndTime: "/Date(" + time + ")/",
+        ChartValue: value,
+        MachineCount: 1,
+        DimensionVal: "east",
+        Histogram: histogram
+    };
+}
+
+/* { series name and labels: value } of exposition lines */
+function parse(lines) {
+    var values = {};
+    lines.forEach(function (line) {
+        var index = line.lastIndexOf(" ");
+        values[line.substr(0, index)] = Number(line.substr(index + 1));
+    });
+    return values;
+}
+
+describe("prometheus", function () {
+    var histogram = prometheus.normalizeMetric({ counter: "/Svc/Latency", type: "histogram", labels: ["dc"], settle: "1m" });
+    var counter = prometheus.normalizeMetric({ counter: "/Svc/Requests", type: "counter", labels: ["dc"], settle: "1m" });
+
+    it("adds each settled bucket to a counter once", function () {
+        var exporter = new prometheus.Exporter([]);
+        var first = [sample(minute, 10), sample(2 * minute, 20), sample(3 * minute, 30)];
+        assert.deepEqual(exporter.renderCounter(counter, [{ values: ["east"], samples: first }], 2 * minute),
+            ["svc_requests_total{dc=\"east\"} 30"]);
+
+        var second = [sample(2 * minute, 20), sample(3 * minute, 30), sample(4 * minute, 40)];
+        assert.deepEqual(exporter.renderCounter(counter, [{ values: ["east"], samples: second }], 4 * minute),
+            ["svc_requests_total{dc=\"east\"} 100"]);
+    });
+
+    it("adds each settled bucket to a histogram once, so its series only grow", function () {
+        var exporter = new prometheus.Exporter([]);
+        var first = [sample(minute, 0, [[10, 2], [20, 1]]), sample(2 * minute, 0, [[20, 3]]), sample(3 * minute, 0, [[5, 4]])];
+        assert.deepEqual(parse(exporter.renderHistogram(histogram, [{ values: ["east"], samples: first }], 2 * minute)), {
+            "svc_latency_bucket{dc=\"east\",le=\"10\"}": 2,
+            "svc_latency_bucket{dc=\"east\",le=\"20\"}": 6,
+            "svc_latency_bucket{dc=\"east\",le=\"+Inf\"}": 6,
+            "svc_latency_sum{dc=\"east\"}": 100,
+            "svc_latency_count{dc=\"east\"}": 6
+        });
+
+        var second = [sample(2 * minute, 0, [[20, 3]]), sample(3 * minute, 0, [[5, 4]])];
+        assert.deepEqual(parse(exporter.renderHistogram(histogram, [{ values: ["east"], samples: second }], 3 * minute)), {
+            "svc_latency_bucket{dc=\"east\",le=\"5\"}": 4,
+            "svc_latency_bucket{dc=\"east\",le=\"10\"}": 6,
+            "svc_latency_bucket{dc=\"east\",le=\"20\"}": 10,
+            "svc_latency_bucket{dc=\"east\",le=\"+Inf\"}": 10,
+            "svc_latency_sum{dc=\"east\"}": 120,
+            "svc_latency_count{dc=\"east\"}": 10
+        });
+
+        // Nothing settled since: the same totals
+        assert.equal(parse(exporter.renderHistogram(histogram, [{ values: ["east"], samples: [] }], 3 * minute))["svc_latency_count{dc=\"east\"}"], 10);
+    });
+
+    it("adds the share of a compacted bucket which was not counted yet", function () {
+        var exporter = new prometheus.Exporter([]);
+        exporter.renderCounter(counter, [{ values: ["east"], samples: [sample(minute, 10), sample(2 * minute, 20)] }], 2 * minute);
+
+        // Minutes 1 to 4 compacted into one bucket of 90 hits, of which the last two minutes were not counted
+        var compacted = sample(4 * minute, 90);
+        compacted.StartTime = "/Date(" + minute + ")/";
+        assert.deepEqual(exporter.renderCounter(counter, [{ values: ["east"], samples: [compacted] }], 4 * minute),
+            ["svc_requests_total{dc=\"east\"} 90"]);
+
+        exporter.renderHistogram(histogram, [{ values: ["east"], samples: [sample(2 * minute, 0, [[10, 4]])] }], 2 * minute);
+        var compactedHistogram = sample(4 * minute, 0, [[10, 6], [30, 3]]);
+        compactedHistogram.StartTime = "/Date(" + minute + ")/";
+        var values = parse(exporter.renderHistogram(histogram, [{ values: ["east"], samples: [compactedHistogram] }], 4 * minute));
+        assert.equal(values["svc_latency_count{dc=\"east\"}"], 10);
+        assert.equal(values["svc_latency_bucket{dc=\"east\",le=\"10\"}"], 8);
+        assert.equal(values["svc_latency_sum{dc=\"east\"}"], 140);
+    });
+
+    it("never queries from before the window, even for series which stopped reporting", function (done) {
+        var exporter = new prometheus.Exporter([]);
+        var now = 1000 * minute;
+        exporter.totals[counter.name + JSON.stringify(["gone"])] = { total: 5, end: 10 * minute };
+        exporter.totals[counter.name + JSON.stringify(["east"])] = { total: 5, end: now - minute };
+        exporter.collect = function (metric, start, end, aggregate, callback) {
+            assert.equal(start, now - counter.window);
+            assert.equal(end, now);
+            callback(null, []);
+        };
+        exporter.renderMetric(counter, now, function (lines, succeeded) {
+            assert.ok(succeeded);
+            done();
+        });
+    });
+
+    it("renders histograms of the mock MetricSystem which do not shrink between scrapes", function (done) {
+        helpers.start(function (error) {
+            assert.ifError(error);
+            var exporter = new prometheus.Exporter([{ counter: "/Test/Latency", type: "histogram", labels: ["dc"], window: "1h", settle: "0s" }]);
+            exporter.render(function (text) {
+                assert.ok(/# TYPE test_latency histogram\n/.test(text));
+                var first = parse(text.split("\n").filter(function (line) { return /^test_latency_count/.test(line); }));
+                assert.ok(first["test_latency_count{dc=\"east\"}"] > 0);
+
+                exporter.render(function (text) {
+                    var second = parse(text.split("\n").filter(function (line) { return /^test_latency_count/.test(line); }));
+                    Object.keys(first).forEach(function (key) {
+                        assert.ok(second[key] >= first[key], key);
+                    });
+                    assert.ok(/metricux_metric_up\{metric="test_latency"\} 1/.test(text));
+                    done();
+                });
+            });
+        });
+    });
+});
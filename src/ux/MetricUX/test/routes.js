@@ -0,0 +1,597 @@
+﻿var assert = require("assert");
+var metricsystem = require("../lib/metricsystem");
+var helpers = require("./helpers");
+
+// End to end tests of the MetricUX routes against the mock MetricSystem (see helpers.js)
+
+var range = { start: "now-1h", end: "now" };
+
+function getDimensionValues(values) {
+    var seen = {};
+    values.forEach(function (value) {
+        seen[value.DimensionVal] = true;
+    });
+    return Object.keys(seen).sort();
+}
+
+describe("/data", function () {
+    before(function (done) {
+        helpers.start(done);
+    });
+
+    it("lists the environments and the machines they reported", function (done) {
+        helpers.get("/data/environments", null, function (error, response, body) {
+            assert.ifError(error);
+            assert.deepEqual(body.map(function (environment) { return [environment.Name, environment.MachineCount]; }),
+                [["test-dev", 2], ["test-prod", 4]]);
+            done();
+        });
+    });
+
+    it("answers a query with a sample per time bucket", function (done) {
+        helpers.post("/data/query", { counterName: "/Test/Requests", environmentName: "test-prod", queryParameters: range }, function (error, response, body) {
+            assert.ifError(error);
+            assert.equal(response.statusCode, 200);
+            assert.ok(body.length > 0);
+            body.forEach(function (value) {
+                assert.ok(value.ChartValue > 0);
+                assert.equal(value.DimensionVal, "");
+                assert.equal(value.MachineCount, 4);
+            });
+            done();
+        });
+    });
+
+    it("splits a query by a dimension and reports the machines with diagnostics", function (done) {
+        var queryParameters = { start: range.start, end: range.end, dimension: "dc" };
+        helpers.post("/data/query", { counterName: "/Test/Requests", environmentName: "test-prod", queryParameters: queryParameters, diagnostics: true }, function (error, response, body) {
+            assert.ifError(error);
+            assert.equal(response.statusCode, 200);
+            assert.deepEqual(getDimensionValues(body.Values), ["east", "west"]);
+            assert.equal(body.RequestDetails.length, 4);
+            body.RequestDetails.forEach(function (detail) {
+                assert.equal(detail.Status, "Success");
+            });
+            done();
+        });
+    });
+
+    it("answers unknown counters with an error envelope", function (done) {
+        helpers.post("/data/query", { counterName: "/Test/Missing", environmentName: "test-prod", queryParameters: range }, function (error, response, body) {
+            assert.ifError(error);
+            assert.equal(response.statusCode, 404);
+            assert.equal(body.ErrorType, "upstream");
+            assert.equal(body.HttpResponseCode, 404);
+            done();
+        });
+    });
+
+    it("answers queries naming an unknown environment with a 404", function (done) {
+        helpers.post("/data/query", { counterName: "/Test/Requests", environmentName: "nope", queryParameters: range }, function (error, response, body) {
+            assert.ifError(error);
+            assert.equal(response.statusCode, 404);
+            assert.equal(body.ErrorMessage, "Unknown environment: nope");
+            helpers.post("/data/batch", { queries: [{ id: 1, counterName: "/Test/Requests", environmentName: "nope", queryParameters: range }] }, function (error, response, body) {
+                assert.ifError(error);
+                assert.equal(response.statusCode, 200);
+                assert.equal(body["1"].HttpResponseCode, 404);
+                assert.equal(body["1"].ErrorMessage, "Unknown environment: nope");
+                done();
+            });
+        });
+    });
+
+    it("runs the queries of a batch and answers each by id", function (done) {
+        helpers.post("/data/batch", {
+            queries: [
+                { id: "requests", counterName: "/Test/Requests", environmentName: "test-prod", queryParameters: range },
+                { id: "dev", counterName: "/Test/Requests", environmentName: "test-dev", queryParameters: range },
+                { id: "missing", counterName: "/Test/Missing", environmentName: "test-prod", queryParameters: range },
+                { id: "rate", expression: "/Test/Errors / /Test/Requests", environmentName: "test-prod", queryParameters: range }
+            ]
+        }, function (error, response, body) {
+            assert.ifError(error);
+            assert.equal(response.statusCode, 200);
+            assert.equal(body.requests.HttpResponseCode, 200);
+            assert.ok(body.requests.Values.length > 0);
+            assert.equal(body.dev.Values[0].MachineCount, 2);
+            assert.equal(body.missing.HttpResponseCode, 404);
+            assert.deepEqual(body.missing.Values, []);
+            assert.equal(body.rate.HttpResponseCode, 200);
+            assert.ok(body.rate.Values.length > 0);
+            done();
+        });
+    });
+
+    it("rejects a batch without queries", function (done) {
+        helpers.post("/data/batch", { queries: [] }, function (error, response, body) {
+            assert.ifError(error);
+            assert.equal(response.statusCode, 400);
+            assert.equal(body.ErrorType, "request");
+            done();
+        });
+    });
+
+    it("rejects batches whose queries are not objects or lack an id of their own", function (done) {
+        var query = { counterName: "/Test/Requests", environmentName: "test-prod", queryParameters: range };
+        var batches = [
+            [{ id: "a", counterName: query.counterName }, null],
+            [query],
+            [{ id: "a", counterName: "/Test/Requests" }, { id: "a", counterName: "/Test/Missing" }]
+        ];
+        var messages = [/Query 1 is not an object/, /Query 0 has no id/, /Query id a is used more than once/];
+
+        var next = function (index) {
+            if (index >= batches.length) {
+                return done();
+            }
+            helpers.post("/data/batch", { queries: batches[index] }, function (error, response, body) {
+                assert.ifError(error);
+                assert.equal(response.statusCode, 400);
+                assert.equal(body.ErrorType, "request");
+                assert.ok(messages[index].test(body.ErrorMessage), body.ErrorMessage);
+                next(index + 1);
+            });
+        };
+        next(0);
+    });
+
+    it("writes values which later queries include", function (done) {
+        helpers.post("/data/write", {
+            counterName: "/Test/Requests",
+            environmentName: "test-dev",
+            writes: [{ Value: 7, Count: 2, Timestamp: "now-5m", Dimensions: { dc: "north" } }]
+        }, function (error, response, body) {
+            assert.ifError(error);
+            assert.equal(response.statusCode, 200);
+            assert.deepEqual(body.Counters, [{ Counter: "/Test/Requests", Writes: 1 }]);
+
+            var queryParameters = { start: range.start, end: range.end, dimension: "dc" };
+            helpers.post("/data/query", { counterName: "/Test/Requests", environmentName: "test-dev", queryParameters: queryParameters }, function (error, response, body) {
+                assert.ifError(error);
+                var north = body.filter(function (value) { return value.DimensionVal === "north"; });
+                assert.equal(north.length, 1);
+                assert.equal(north[0].ChartValue, 14);
+                done();
+            });
+        });
+    });
+
+    it("writes the rows of a CSV file", function (done) {
+        helpers.post("/data/write", {
+            environmentName: "test-dev",
+            csv: "Counter,Value,dc\n/Test/Errors,1,east\n/Test/Requests,3,east\n/Test/Errors,2,west\n"
+        }, function (error, response, body) {
+            assert.ifError(error);
+            assert.equal(response.statusCode, 200);
+            assert.deepEqual(body.Counters, [{ Counter: "/Test/Errors", Writes: 2 }, { Counter: "/Test/Requests", Writes: 1 }]);
+            done();
+        });
+    });
+
+    it("writes to a machine of the environment", function (done) {
+        helpers.start(function (error, started) {
+            assert.ifError(error);
+            var port = started.mock.environments.filter(function (environment) { return environment.name === "test-dev"; })[0].port;
+            helpers.post("/data/write", {
+                counterName: "/Test/Errors",
+                environmentName: "test-dev",
+                machineName: "localhost:" + port,
+                writes: [{ Value: 1 }]
+            }, function (error, response, body) {
+                assert.ifError(error);
+                assert.equal(response.statusCode, 200);
+                assert.equal(body.Endpoint, "http://localhost:" + port);
+                done();
+            });
+        });
+    });
+
+    it("rejects writes to machines outside the environment", function (done) {
+        helpers.post("/data/write", {
+            counterName: "/Test/Errors",
+            environmentName: "test-dev",
+            machineName: "test-prod-01",
+            writes: [{ Value: 1 }]
+        }, function (error, response, body) {
+            assert.ifError(error);
+            assert.equal(response.statusCode, 400);
+            assert.equal(body.ErrorType, "request");
+            assert.ok(/test-prod-01 is not a known machine/.test(body.ErrorMessage));
+            done();
+        });
+    });
+
+    it("rejects writes to unknown counters", function (done) {
+        helpers.post("/data/write", { counterName: "/Test/Missing", environmentName: "test-dev", writes: [{ Value: 1 }] }, function (error, response, body) {
+            assert.ifError(error);
+            assert.equal(response.statusCode, 404);
+            assert.equal(body.ErrorType, "upstream");
+            done();
+        });
+    });
+
+    it("computes expression series per dimension value", function (done) {
+        helpers.post("/data/expression", {
+            expression: "/Test/Errors{dc=*} / /Test/Requests{dc=*} * 100",
+            environmentName: "test-prod",
+            queryParameters: range
+        }, function (error, response, body) {
+            assert.ifError(error);
+            assert.equal(response.statusCode, 200);
+            assert.equal(body.SplitBy, "dc");
+            assert.deepEqual(getDimensionValues(body.Values), ["east", "west"]);
+            body.Values.forEach(function (value) {
+                assert.ok(value.ChartValue > 0 && value.ChartValue < 100);
+            });
+            done();
+        });
+    });
+
+    it("rejects malformed expressions", function (done) {
+        helpers.post("/data/expression", { expression: "/Test/Errors / (", environmentName: "test-prod", queryParameters: range }, function (error, response, body) {
+            assert.ifError(error);
+            assert.equal(response.statusCode, 400);
+            assert.ok(/Invalid expression/.test(body.ErrorMessage));
+            done();
+        });
+    });
+});
+
+describe("/api", function () {
+    var client;
+    var port;
+    var apiRange = { start: String(Date.now() - 60 * 60 * 1000), end: String(Date.now()) };
+
+    before(function (done) {
+        helpers.start(function (error, started) {
+            if (error) {
+                return done(error);
+            }
+            client = new metricsystem.Client(started.url + "/api/test-prod");
+            port = started.mock.environments.filter(function (environment) { return environment.name === "test-prod"; })[0].port;
+            done();
+        });
+    });
+
+    function getMachines(requestDetails) {
+        return requestDetails.map(function (detail) { return detail.Machine; }).sort();
+    }
+
+    it("fans queries out to every machine of the environment", function (done) {
+        client.query("/Test/Requests", apiRange, { IncludeRequestDiagnostics: true }, function (error, response) {
+            assert.ifError(error);
+            assert.ok(response.Samples.length > 0);
+            assert.equal(response.RequestDetails.length, 4);
+            done();
+        });
+    });
+
+    it("answers counter info and batches", function (done) {
+        client.info("/Test/*", {}, null, function (error, counters) {
+            assert.ifError(error);
+            assert.deepEqual(counters.map(function (counter) { return counter.Name; }).sort(), ["/Test/Errors", "/Test/Latency", "/Test/Requests"]);
+
+            client.batch([{ CounterName: "/Test/Requests", QueryParameters: apiRange }, { CounterName: "/Test/Missing", QueryParameters: apiRange }], null, function (error, responses) {
+                assert.ifError(error);
+                assert.deepEqual(responses.map(function (response) { return response.HttpResponseCode; }), [200, 404]);
+                done();
+            });
+        });
+    });
+
+    it("drops Sources which are not machines of the environment", function (done) {
+        var sources = "test-prod-01:" + port + ",test-dev-02:" + port + ",example.com:80";
+        client.query("/Test/Requests", apiRange, { sources: sources, includeRequestDiagnostics: true }, function (error, response) {
+            assert.ifError(error);
+            assert.deepEqual(getMachines(response.RequestDetails), ["test-prod-01:" + port]);
+            done();
+        });
+    });
+
+    it("rejects requests naming no machine of the environment", function (done) {
+        client.query("/Test/Requests", apiRange, { sources: "example.com:80" }, function (error) {
+            assert.equal(error.status, 400);
+            assert.equal(error.response.ErrorType, "request");
+            done();
+        });
+    });
+
+    it("rejects unknown commands", function (done) {
+        helpers.get("/api/test-prod/write/Test/Requests", null, function (error, response, body) {
+            assert.ifError(error);
+            assert.equal(response.statusCode, 404);
+            assert.ok(/Unknown MetricSystem command/.test(body.ErrorMessage));
+            done();
+        });
+    });
+
+    it("rejects unknown environments", function (done) {
+        helpers.get("/api/nope/info/Test/Requests", null, function (error, response, body) {
+            assert.ifError(error);
+            assert.equal(response.statusCode, 404);
+            assert.equal(body.ErrorMessage, "Unknown environment: nope");
+            done();
+        });
+    });
+});
+
+describe("/render", function () {
+    it("answers Graphite paths split by a tag", function (done) {
+        helpers.get("/render", { target: "Test.Requests;dc=*", from: "-1h" }, function (error, response, body) {
+            assert.ifError(error);
+            assert.equal(response.statusCode, 200);
+            assert.deepEqual(body.map(function (series) { return series.target; }), ["Test.Requests;dc=east", "Test.Requests;dc=west"]);
+            body.forEach(function (series) {
+                assert.ok(series.datapoints.length > 0);
+                assert.equal(series.datapoints[0].length, 2);
+            });
+            done();
+        });
+    });
+
+    it("sums and scales series", function (done) {
+        helpers.get("/render", { target: ["Test.Requests", "scale(sumSeries(Test.Requests;dc=*),2)"], from: "-1h" }, function (error, response, body) {
+            assert.ifError(error);
+            assert.equal(response.statusCode, 200);
+            assert.equal(body.length, 2);
+            assert.equal(body[1].target, "scale(sumSeries(Test.Requests;dc=*),2)");
+
+            var totals = {};
+            body[0].datapoints.forEach(function (point) {
+                totals[point[1]] = point[0];
+            });
+            body[1].datapoints.forEach(function (point) {
+                assert.equal(point[0], 2 * totals[point[1]]);
+            });
+            done();
+        });
+    });
+
+    it("answers CSV", function (done) {
+        helpers.send({ url: "/render", qs: { target: "test-dev:Test.Errors", from: "-1h", format: "csv" }, json: false }, function (error, response, body) {
+            assert.ifError(error);
+            assert.equal(response.statusCode, 200);
+            assert.ok(/^text\/csv/.test(response.headers["content-type"]));
+            assert.ok(/^test-dev:Test\.Errors,\d{4}-\d\d-\d\d \d\d:\d\d:\d\d,\d+\r\n/.test(body));
+            done();
+        });
+    });
+
+    it("names series of dimension values holding commas and braces", function (done) {
+        helpers.post("/data/write", {
+            counterName: "/Test/Errors",
+            environmentName: "test-prod",
+            writes: [{ Value: 5, Dimensions: { dc: "a,b" } }, { Value: 3, Dimensions: { dc: "{c}" } }]
+        }, function (error, response) {
+            assert.ifError(error);
+            assert.equal(response.statusCode, 200);
+
+            helpers.get("/render", { target: "Test.Errors;dc=*", from: "-5min" }, function (error, response, body) {
+                assert.ifError(error);
+                assert.equal(response.statusCode, 200);
+                var targets = body.map(function (series) { return series.target; });
+                assert.ok(targets.indexOf("Test.Errors;dc=a,b") >= 0);
+                assert.ok(targets.indexOf("Test.Errors;dc={c}") >= 0);
+                done();
+            });
+        });
+    });
+
+    it("rejects unsupported functions", function (done) {
+        helpers.get("/render", { target: "derivative(Test.Requests)" }, function (error, response, body) {
+            assert.ifError(error);
+            assert.equal(response.statusCode, 400);
+            assert.ok(/Unsupported function/.test(body.ErrorMessage));
+            done();
+        });
+    });
+
+    it("rejects unknown environments", function (done) {
+        helpers.get("/render", { target: "Test.Requests", environment: "nope" }, function (error, response, body) {
+            assert.ifError(error);
+            assert.equal(response.statusCode, 404);
+            assert.equal(body.ErrorMessage, "Unknown environment: nope");
+            done();
+        });
+    });
+});
+
+describe("/grafana", function () {
+    var grafanaRange = { from: new Date(Date.now() - 60 * 60 * 1000).toISOString(), to: new Date().toISOString() };
+
+    it("answers the connection test", function (done) {
+        helpers.send({ url: "/grafana", json: false }, function (error, response, body) {
+            assert.ifError(error);
+            assert.equal(body, "OK");
+            done();
+        });
+    });
+
+    it("searches counters", function (done) {
+        helpers.post("/grafana/search", { target: "test-dev:late" }, function (error, response, body) {
+            assert.ifError(error);
+            assert.deepEqual(body, ["test-dev:/Test/Latency"]);
+            done();
+        });
+    });
+
+    it("answers time series and tables", function (done) {
+        helpers.post("/grafana/query", {
+            range: grafanaRange,
+            targets: [
+                { refId: "A", target: "/Test/Requests{dc=*}" },
+                { refId: "B", target: "test-dev:/Test/Errors", type: "table" },
+                { refId: "C", target: "/Test/Latency", hide: true }
+            ]
+        }, function (error, response, body) {
+            assert.ifError(error);
+            assert.equal(response.statusCode, 200);
+            assert.deepEqual(body.slice(0, 2).map(function (series) { return series.target; }),
+                ["/Test/Requests{dc=east}", "/Test/Requests{dc=west}"]);
+            assert.ok(body[0].datapoints.length > 0);
+            assert.equal(body[2].type, "table");
+            assert.ok(body[2].rows.length > 0);
+            assert.equal(body.length, 3);
+            done();
+        });
+    });
+
+    it("applies ad hoc filters", function (done) {
+        helpers.post("/grafana/query", {
+            range: grafanaRange,
+            targets: [{ refId: "A", target: "/Test/Requests" }],
+            adhocFilters: [{ key: "environment", operator: "=", value: "test-dev" }, { key: "dc", operator: "=", value: "east" }]
+        }, function (error, response, body) {
+            assert.ifError(error);
+            assert.equal(response.statusCode, 200);
+            assert.deepEqual(body.map(function (series) { return series.target; }), ["test-dev:/Test/Requests{dc=east}"]);
+            done();
+        });
+    });
+
+    it("rejects unknown environments", function (done) {
+        helpers.post("/grafana/query", { range: grafanaRange, targets: [{ refId: "A", target: "nope:/Test/Requests" }] }, function (error, response, body) {
+            assert.ifError(error);
+            assert.equal(response.statusCode, 404);
+            assert.equal(body.ErrorMessage, "Unknown environment: nope");
+            done();
+        });
+    });
+});
+
+describe("/dashboards", function () {
+    var wires = {
+        counters: [
+            { graphId: "g1", counter: "/Test/Requests", environmentName: "test-prod", machines: "", dimensions: "", pivotDimension: "dc", row: 1, col: 1 },
+            { graphId: "g2", counter: "/Test/Latency", environmentName: "test-prod", machines: "", dimensions: "percentile=99", pivotDimension: "", row: 1, col: 2 }
+        ]
+    };
+
+    function create(name, callback) {
+        helpers.post("/dashboards", { name: name, wires: wires, author: "ana" }, function (error, response, body) {
+            assert.ifError(error);
+            assert.equal(response.statusCode, 201);
+            callback(body);
+        });
+    }
+
+    it("creates, lists, loads and deletes dashboards", function (done) {
+        create(" Front end ", function (dashboard) {
+            assert.ok(/^[0-9a-f]{8}$/.test(dashboard.Id));
+            assert.equal(dashboard.Name, "Front end");
+            assert.equal(dashboard.Version, 1);
+            assert.equal(dashboard.UpdatedBy, "ana");
+
+            helpers.get("/dashboards", null, function (error, response, body) {
+                assert.ifError(error);
+                var listed = body.filter(function (summary) { return summary.Id === dashboard.Id; })[0];
+                assert.equal(listed.Name, "Front end");
+                assert.equal(listed.GraphCount, 2);
+
+                helpers.get("/dashboards/" + dashboard.Id, null, function (error, response, body) {
+                    assert.ifError(error);
+                    assert.deepEqual(body.Wires, wires);
+
+                    helpers.send({ url: "/dashboards/" + dashboard.Id, method: "DELETE" }, function (error, response) {
+                        assert.ifError(error);
+                        assert.equal(response.statusCode, 204);
+                        helpers.get("/dashboards/" + dashboard.Id, null, function (error, response, body) {
+                            assert.ifError(error);
+                            assert.equal(response.statusCode, 404);
+                            assert.equal(body.ErrorMessage, "Unknown dashboard: " + dashboard.Id);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it("rejects dashboards without a name or a counters list", function (done) {
+        helpers.post("/dashboards", { name: " ", wires: wires }, function (error, response, body) {
+            assert.ifError(error);
+            assert.equal(response.statusCode, 400);
+            assert.equal(body.ErrorType, "request");
+            helpers.post("/dashboards", { name: "Broken", wires: { counters: "g1" } }, function (error, response) {
+                assert.ifError(error);
+                assert.equal(response.statusCode, 400);
+                done();
+            });
+        });
+    });
+
+    it("renames dashboards and saves no version when nothing changed", function (done) {
+        create("Back end", function (dashboard) {
+            helpers.send({ url: "/dashboards/" + dashboard.Id, method: "PUT", body: { name: "Storage" } }, function (error, response, body) {
+                assert.ifError(error);
+                assert.equal(body.Name, "Storage");
+                assert.equal(body.Version, 2);
+                assert.equal(body.UpdatedBy, "anonymous");
+
+                var unchanged = { name: "Storage", wires: JSON.parse(JSON.stringify(wires)), author: "ben" };
+                helpers.send({ url: "/dashboards/" + dashboard.Id, method: "PUT", body: unchanged }, function (error, response, body) {
+                    assert.ifError(error);
+                    assert.equal(response.statusCode, 200);
+                    assert.equal(body.Version, 2);
+                    assert.equal(body.UpdatedBy, "anonymous");
+                    done();
+                });
+            });
+        });
+    });
+
+    it("keeps every save as a version which can be compared and restored", function (done) {
+        create("History", function (dashboard) {
+            var moved = JSON.parse(JSON.stringify(wires));
+            moved.counters[0].col = 3;
+            moved.counters.pop();
+            var url = "/dashboards/" + dashboard.Id;
+            helpers.send({ url: url, method: "PUT", body: { wires: moved, author: "ben" } }, function (error, response, body) {
+                assert.ifError(error);
+                assert.equal(body.Version, 2);
+
+                helpers.get(url + "/versions", null, function (error, response, body) {
+                    assert.ifError(error);
+                    assert.deepEqual(body.map(function (version) { return [version.Version, version.Author, version.GraphCount]; }),
+                        [[2, "ben", 1], [1, "ana", 2]]);
+
+                    helpers.get(url + "/diff", { from: 1 }, function (error, response, body) {
+                        assert.ifError(error);
+                        assert.equal(body.From.Version, 1);
+                        assert.equal(body.To.Version, 2);
+                        assert.strictEqual(body.Name, null);
+                        assert.deepEqual(body.Authors.map(function (author) { return author.Author; }), ["ben"]);
+                        assert.deepEqual(body.Changes.map(function (change) { return [change.Type, change.GraphId]; }), [["changed", "g1"], ["removed", "g2"]]);
+                        assert.deepEqual(body.Changes[0].Fields, [{ Field: "col", From: 1, To: 3 }]);
+
+                        helpers.post(url + "/versions/1/restore", { author: "cy" }, function (error, response, body) {
+                            assert.ifError(error);
+                            assert.equal(body.Version, 3);
+                            assert.equal(body.UpdatedBy, "cy");
+                            assert.deepEqual(body.Wires, wires);
+
+                            helpers.get(url + "/versions/2", null, function (error, response, body) {
+                                assert.ifError(error);
+                                assert.deepEqual(body.Wires, moved);
+                                helpers.get(url + "/versions/9", null, function (error, response) {
+                                    assert.ifError(error);
+                                    assert.equal(response.statusCode, 404);
+                                    done();
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it("answers unknown dashboards with a 404", function (done) {
+        helpers.send({ url: "/dashboards/nope", method: "PUT", body: { name: "Nope" } }, function (error, response) {
+            assert.ifError(error);
+            assert.equal(response.statusCode, 404);
+            done();
+        });
+    });
+});
@@ -0,0 +1,44 @@
+var assert = require("assert");
+var wirediff = require("../lib/wirediff");
+
+// Series added, removed and changed between two dashboard wire sets
+
+function wire(graphId, counter, fields) {
+    var result = { graphId: graphId, counter: counter, environmentName: "prod", machines: "" };
+    Object.keys(fields || {}).forEach(function (field) {
+        result[field] = fields[field];
+    });
+    return result;
+}
+
+describe("wirediff", function () {
+    it("lists series added, removed and changed, ordered by graph", function () {
+        var from = { counters: [wire("b", "/Svc/Errors"), wire("a", "/Svc/Requests", { pivotDimension: "dc", sizex: 2 })] };
+        var to = { counters: [wire("a", "/Svc/Requests", { pivotDimension: "", sizex: 2 }), wire("c", "/Svc/Latency")] };
+        assert.deepEqual(wirediff.diff(from, to), [
+            { Type: "changed", GraphId: "a", Counter: "/Svc/Requests", EnvironmentName: "prod", Machines: "", Fields: [{ Field: "pivotDimension", From: "dc", To: "" }] },
+            { Type: "removed", GraphId: "b", Counter: "/Svc/Errors", EnvironmentName: "prod", Machines: "" },
+            { Type: "added", GraphId: "c", Counter: "/Svc/Latency", EnvironmentName: "prod", Machines: "" }
+        ]);
+    });
+
+    it("matches series on their machines, so picking others replaces the series", function () {
+        var changes = wirediff.diff({ counters: [wire("a", "/Svc/Requests")] }, { counters: [wire("a", "/Svc/Requests", { machines: "web01" })] });
+        assert.deepEqual(changes.map(function (change) { return change.Type; }).sort(), ["added", "removed"]);
+    });
+
+    it("tells repeated series of a graph apart by their order", function () {
+        var from = { counters: [wire("a", "/Svc/Requests", { dimensions: "dc=east" })] };
+        var to = { counters: [wire("a", "/Svc/Requests", { dimensions: "dc=east" }), wire("a", "/Svc/Requests", { dimensions: "dc=west" })] };
+        var changes = wirediff.diff(from, to);
+        assert.equal(changes.length, 1);
+        assert.equal(changes[0].Type, "added");
+    });
+
+    it("ignores gridster positions which only turned into strings", function () {
+        var from = { counters: [wire("a", "/Svc/Requests", { row: 1, col: 2 })] };
+        var to = { counters: [wire("a", "/Svc/Requests", { row: "1", col: "2", hidden: undefined })] };
+        assert.deepEqual(wirediff.diff(from, to), []);
+        assert.deepEqual(wirediff.diff(undefined, { counters: [] }), []);
+    });
+});
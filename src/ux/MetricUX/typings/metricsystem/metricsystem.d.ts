@@ -0,0 +1,166 @@
+// Type definitions for the MetricSystem client in lib/metricsystem.js, which defines the MetricSystem global in the
+// browser and is the module exports in Node.
+
+declare module MetricSystem {
+    interface IServerInfo {
+        Hostname: string;
+        Port: number;
+    }
+
+    interface ITieredRequest {
+        Sources?: IServerInfo[]; // required by MetricSystem; MetricUX's /api routes fill it in when it is missing
+        FanoutTimeoutInMilliseconds?: number;
+        MaxFanout?: number;
+        IncludeRequestDiagnostics?: boolean;
+    }
+
+    interface ITieredRequestOptions {
+        sources?: any; // "host[:port],..." or a list of host names or ServerInfo objects
+        timeout?: number;
+        maxFanout?: number;
+        includeRequestDiagnostics?: boolean;
+    }
+
+    // Query parameters (start, end, percentile, dimension, aggregate) and dimension filters, which may use wildcards
+    interface IQueryParameters {
+        [name: string]: any;
+    }
+
+    interface IRequestDetails {
+        Machine: string;
+        Server: IServerInfo;
+        Status: string;
+        StatusDescription: string;
+        HttpResponseCode: number;
+        IsAggregator: boolean;
+    }
+
+    interface ICounterInfo {
+        Name: string;
+        Type: number;
+        StartTime: number;
+        EndTime: number;
+        Dimensions: string[];
+        DimensionValues: { [dimension: string]: string[]; };
+    }
+
+    interface IDataSample {
+        Name: string;
+        Dimensions: { [dimension: string]: string; };
+        StartTime: number;
+        EndTime: number;
+        SampleType: number;
+        MachineCount?: number;
+        HitCount?: number;
+        Histogram?: { [value: string]: number; };
+        PercentileValue?: number;
+        Average?: number;
+        MinValue?: number;
+        MaxValue?: number;
+    }
+
+    interface IQueryResponse {
+        UserContext: string;
+        HttpResponseCode: number;
+        ErrorMessage: string;
+        Samples: IDataSample[];
+        RequestDetails: IRequestDetails[];
+    }
+
+    interface IBatchQuery {
+        CounterName: string;
+        QueryParameters?: IQueryParameters;
+        UserContext?: string;
+    }
+
+    interface IWrite {
+        Value: number;
+        Count?: number;
+        Timestamp?: number;
+        Dimensions?: { [dimension: string]: string; };
+    }
+
+    interface IPoint {
+        StartTime: number;
+        EndTime: number;
+        Value: number;
+        SampleType: number;
+        MachineCount: number;
+        HitCount?: number;
+        Histogram?: number[][]; // [value, count] buckets ordered by value
+    }
+
+    interface ITimeSeries {
+        Name: string;
+        Dimensions: { [dimension: string]: string; };
+        Points: IPoint[];
+    }
+
+    // Errors carry the HTTP status and a type: upstream, timeout, connection, request or internal
+    interface IError extends Error {
+        status: number;
+        type?: string;
+        code?: string;
+        response?: any;
+        requestDetails?: IRequestDetails[];
+    }
+
+    interface ITransportOptions {
+        url: string;
+        method: string;
+        body: any;
+        timeout: number;
+    }
+
+    interface ITransport {
+        (options: ITransportOptions, callback: (error: { code?: string; message: string; }, statusCode?: number, body?: any) => void): void;
+    }
+
+    interface IClientOptions {
+        timeout?: number;
+        log?: boolean;
+        transport?: ITransport;
+    }
+
+    class Client {
+        constructor(endpoint: string, options?: IClientOptions);
+        endpoint: string;
+        timeout: number;
+        send(path: string, body: any, timeout: number, callback: (error: IError, response?: any) => void): void;
+        info(counterPattern: string, queryParameters: IQueryParameters, tieredRequest: ITieredRequest | ITieredRequestOptions,
+            callback: (error: IError, counters?: ICounterInfo[]) => void): void;
+        listCounters(counterPattern: string, queryParameters: IQueryParameters, tieredRequest: ITieredRequest | ITieredRequestOptions,
+            callback: (error: IError, names?: string[]) => void): void;
+        listDimensions(counterPattern: string, queryParameters: IQueryParameters, tieredRequest: ITieredRequest | ITieredRequestOptions,
+            callback: (error: IError, dimensions?: string[]) => void): void;
+        listDimensionValues(counterPattern: string, dimension: string, queryParameters: IQueryParameters,
+            tieredRequest: ITieredRequest | ITieredRequestOptions, callback: (error: IError, values?: string[]) => void): void;
+        query(counterName: string, queryParameters: IQueryParameters, tieredRequest: ITieredRequest | ITieredRequestOptions,
+            callback: (error: IError, response?: IQueryResponse) => void): void;
+        querySeries(counterName: string, queryParameters: IQueryParameters, tieredRequest: ITieredRequest | ITieredRequestOptions,
+            callback: (error: IError, series?: ITimeSeries[], requestDetails?: IRequestDetails[]) => void): void;
+        batch(queries: IBatchQuery[], tieredRequest: ITieredRequest | ITieredRequestOptions,
+            callback: (error: IError, responses?: IQueryResponse[], requestDetails?: IRequestDetails[]) => void): void;
+        write(counterName: string, writes: IWrite[], callback: (error: IError) => void): void;
+        listServers(callback: (error: IError, servers?: IServerInfo[]) => void): void;
+    }
+
+    var DefaultServerPort: number;
+    var TimeoutCodes: string[]; // codes of transport errors which mean a request timed out
+    function createError(message: string, status: number, type?: string): IError;
+    function parseServerInfo(value: any): IServerInfo;
+    function parseServerList(machines: any): IServerInfo[];
+    function createTieredRequest(sources: any, options?: ITieredRequestOptions): ITieredRequest;
+    function normalizeRequestDetails(details: any[]): IRequestDetails[];
+    function toBondMap(map: { [key: string]: any; }): any[];
+    function fromBondMap(list: any[]): { [key: string]: any; };
+    function encodeQuery(queryParameters: IQueryParameters): string;
+    function getChartValue(sample: IDataSample): number;
+    function getHistogramBuckets(sample: IDataSample): number[][];
+    function getPercentileValue(buckets: number[][], percentile: any): number;
+    function toTimeSeries(samples: IDataSample[]): ITimeSeries[];
+    var TimeUnits: { [abbreviation: string]: number; }; // milliseconds in s, m, h, d, w, mon and y
+    function getTimeUnit(name: string): number;
+    function parseDuration(value: any): number;
+    function parseRelativeTime(value: any, now: number): number;
+}